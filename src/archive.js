@@ -0,0 +1,654 @@
+/**
+ * Browser7 SDK Result Archives
+ *
+ * Writes render results to WARC 1.1 files, the format web archives and
+ * replay tools read, or to plain JSON lines, and reads either back into
+ * result objects.
+ *
+ * Each result becomes a group of WARC records:
+ *   response  — the rendered HTML, as an HTTP 200 response for the page URL
+ *   response  — one per fetchResponses entry (WARC-Concurrent-To the page)
+ *   resource  — the screenshot, if any (WARC-Concurrent-To the page)
+ *   metadata  — the rest of the result as JSON: selectedCity, captcha,
+ *               timingBreakdown, bandwidth and so on (WARC-Refers-To the page)
+ *
+ * The HTML and fetched bodies are stored decoded, so the archived HTTP
+ * headers drop Content-Encoding and Transfer-Encoding and carry the real
+ * Content-Length. Gzipped archives compress each record separately, as
+ * `.warc.gz` readers expect.
+ */
+
+import { Browser7Error } from './errors.js';
+import { FetchResponse, serializeResult, restoreResult } from './responses.js';
+import {
+  assertFileSystem, gzip, sha1, randomUUID, open, mkdir, createReadStream, createGunzip, pipeline, dirname, basename
+} from './runtime.js';
+
+const CRLF = '\r\n';
+const RECORD_END = new TextEncoder().encode(`${CRLF}${CRLF}`);
+const HEADER_END = new TextEncoder().encode(`${CRLF}${CRLF}`);
+
+// Headers that describe the bytes on the wire, not the decoded body we store
+const TRANSFER_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+/**
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ */
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} url - The rendered URL
+ * @property {string|null} renderId - The render ID, if it was known when archived
+ * @property {string} archivedAt - ISO timestamp of when the result was written
+ * @property {RenderResult} result - The render result, with FetchResponse objects restored
+ */
+
+/**
+ * @typedef {Object} ArchiveWriteOptions
+ * @property {string} url - The rendered URL
+ * @property {string|null} [renderId=null] - The render ID
+ * @property {Date} [date] - Capture time to record (default: now)
+ */
+
+/**
+ * Base32 (RFC 4648) encoding, as used in WARC digests
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function base32(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += alphabet[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * WARC digest of some bytes
+ * @param {Buffer} bytes
+ * @returns {string} e.g. 'sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ'
+ */
+function digest(bytes) {
+  return `sha1:${base32(sha1(bytes))}`;
+}
+
+/**
+ * Keep a header value on one line
+ * @param {*} value
+ * @returns {string}
+ */
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Serialize one WARC record
+ * @param {Object<string, string|undefined>} fields - WARC header fields (undefined ones are left out)
+ * @param {Buffer} block - Record content
+ * @returns {Buffer}
+ */
+function warcRecord(fields, block) {
+  const lines = ['WARC/1.1'];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined) lines.push(`${name}: ${headerValue(value)}`);
+  }
+  lines.push(`WARC-Block-Digest: ${digest(block)}`, `Content-Length: ${block.length}`);
+  return Buffer.concat([Buffer.from(`${lines.join(CRLF)}${CRLF}${CRLF}`), block, RECORD_END]);
+}
+
+/**
+ * Build an HTTP/1.1 response message
+ * @param {number} status
+ * @param {string} statusText
+ * @param {Object<string, string>} headers - Headers to keep (transfer headers are dropped)
+ * @param {Buffer} body - Decoded body
+ * @returns {Buffer}
+ */
+function httpResponse(status, statusText, headers, body) {
+  const lines = [`HTTP/1.1 ${status} ${statusText}`];
+  for (const [name, value] of Object.entries(headers)) {
+    if (!TRANSFER_HEADERS.includes(name.toLowerCase())) lines.push(`${name}: ${headerValue(value)}`);
+  }
+  lines.push(`Content-Length: ${body.length}`);
+  return Buffer.concat([Buffer.from(`${lines.join(CRLF)}${CRLF}${CRLF}`), body]);
+}
+
+/**
+ * Split an HTTP response message into its parts
+ * @param {Buffer} block
+ * @returns {{status: number, statusText: string, headers: Object<string, string>, body: Buffer}|null}
+ */
+function parseHttpResponse(block) {
+  const end = block.indexOf(HEADER_END);
+  if (end === -1) return null;
+
+  const [statusLine, ...headerLines] = block.subarray(0, end).toString('latin1').split(CRLF);
+  const match = /^HTTP\/\d(?:\.\d)?\s+(\d{3})\s?(.*)$/.exec(statusLine);
+  if (!match) return null;
+
+  const headers = {};
+  for (const line of headerLines) {
+    const separator = line.indexOf(':');
+    if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  }
+  return { status: Number(match[1]), statusText: match[2], headers, body: block.subarray(end + HEADER_END.length) };
+}
+
+/**
+ * MIME type of a screenshot, from its leading bytes
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function imageType(bytes) {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  return 'application/octet-stream';
+}
+
+/**
+ * Accept write(result, { url }) as well as write(batchResultOrCrawlPage)
+ * @param {Object} result
+ * @param {ArchiveWriteOptions} [options]
+ * @returns {{result: RenderResult|null, url: string, renderId: string|null, date: Date}}
+ */
+function toWrite(result, options) {
+  if (options === undefined && result && typeof result.ok === 'boolean' && typeof result.url === 'string') {
+    return {
+      result: result.ok ? result.result : null,
+      url: result.url,
+      renderId: result.renderId ?? null,
+      date: new Date()
+    };
+  }
+  if (typeof options?.url !== 'string') {
+    throw new Browser7Error('Archiving a render result requires its url: write(result, { url })');
+  }
+  return { result, url: options.url, renderId: options.renderId ?? null, date: options.date ?? new Date() };
+}
+
+class ArchiveWriter {
+  /**
+   * Shared file handling for the archive writers
+   * @param {Object} options
+   * @param {string} options.path - Archive file (appended to if it exists)
+   * @param {boolean} [options.gzip] - Gzip the output (default: true when the path ends in .gz)
+   */
+  constructor(options = {}) {
+    if (typeof options.path !== 'string' || !options.path) {
+      throw new Browser7Error('Archive writers require a path');
+    }
+    assertFileSystem('Archives');
+    this.path = options.path;
+    this.gzip = options.gzip ?? this.path.endsWith('.gz');
+    this._file = null;
+    this._closed = false;
+    this._writes = Promise.resolve();
+  }
+
+  /**
+   * Append records to the archive after any writes already queued
+   * @param {Buffer[]} records
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(records) {
+    if (this._closed) {
+      return Promise.reject(new Browser7Error(`Archive writer for ${this.path} is closed`));
+    }
+
+    const write = this._writes.then(async () => {
+      if (!this._file) {
+        await mkdir(dirname(this.path), { recursive: true });
+        this._file = await open(this.path, 'a');
+        await this._opened();
+      }
+      await this._writeRecords(records);
+    });
+    // Keep the queue going after a failed write; the caller still sees the error
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write records to the open file, each as its own gzip member if enabled
+   * @param {Buffer[]} records
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeRecords(records) {
+    const chunks = this.gzip ? await Promise.all(records.map(record => gzip(record))) : records;
+    await this._file.write(Buffer.concat(chunks));
+  }
+
+  /**
+   * Called once the file has been opened, before the first write
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _opened() {}
+
+  /**
+   * Finish queued writes and close the file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._closed = true;
+    await this._writes;
+    if (this._file) {
+      await this._file.close();
+      this._file = null;
+    }
+  }
+}
+
+class WarcWriter extends ArchiveWriter {
+  /**
+   * Write render results as WARC 1.1 records
+   * @param {Object} options
+   * @param {string} options.path - Archive file, e.g. 'crawl.warc.gz' (appended to if it exists)
+   * @param {boolean} [options.gzip] - Gzip each record (default: true when the path ends in .gz)
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  async _opened() {
+    // Every writing session starts with a warcinfo record describing it
+    const info = Buffer.from([
+      `software: browser7-node/${__PACKAGE_VERSION__}`,
+      'format: WARC File Format 1.1',
+      'conformsTo: https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'
+    ].join(CRLF) + CRLF);
+
+    await this._writeRecords([warcRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+      'WARC-Date': new Date().toISOString(),
+      'WARC-Filename': basename(this.path),
+      'Content-Type': 'application/warc-fields'
+    }, info)]);
+  }
+
+  /**
+   * Append a render result
+   *
+   * Also accepts a BatchResult or CrawlPage on its own; failed ones are skipped.
+   * @param {RenderResult|Object} result - Render result (or BatchResult / CrawlPage)
+   * @param {ArchiveWriteOptions} [options] - The URL and render ID (required with a bare result)
+   * @returns {Promise<void>}
+   * @throws {Browser7Error} If the URL is missing or the writer is closed
+   */
+  write(result, options) {
+    const entry = toWrite(result, options);
+    if (!entry.result) return Promise.resolve();
+    return this._append(this._records(entry));
+  }
+
+  /**
+   * The records for one result
+   * @param {{result: RenderResult, url: string, renderId: string|null, date: Date}} entry
+   * @returns {Buffer[]}
+   * @private
+   */
+  _records({ result, url, renderId, date }) {
+    const { html, screenshot, fetchResponses, ...rest } = result;
+    const warcDate = date.toISOString();
+    const pageId = `<urn:uuid:${randomUUID()}>`;
+    const records = [];
+    const metadata = { renderId, result: serializeResult(rest) };
+
+    // Payloads left undecoded (see decodeErrors) stay in the metadata as received
+    const failed = new Set((result.decodeErrors ?? []).map(error => error.field));
+    if (typeof html === 'string' && !failed.has('html')) {
+      const body = Buffer.from(html, 'utf-8');
+      records.push(warcRecord({
+        'WARC-Type': 'response',
+        'WARC-Record-ID': pageId,
+        'WARC-Date': warcDate,
+        'WARC-Target-URI': url,
+        'WARC-Payload-Digest': digest(body),
+        'Content-Type': 'application/http; msgtype=response'
+      }, httpResponse(200, 'OK', { 'Content-Type': 'text/html; charset=utf-8' }, body)));
+    } else if (html !== undefined) {
+      metadata.result.html = html;
+    }
+
+    if (Array.isArray(fetchResponses)) {
+      metadata.fetchResponses = [];
+      for (const raw of fetchResponses) {
+        const response = raw instanceof FetchResponse ? raw : new FetchResponse(raw);
+        const body = response.buffer();
+        records.push(warcRecord({
+          'WARC-Type': 'response',
+          'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+          'WARC-Date': warcDate,
+          'WARC-Target-URI': response.url,
+          'WARC-Concurrent-To': pageId,
+          'WARC-Payload-Digest': digest(body),
+          'Content-Type': 'application/http; msgtype=response'
+        }, httpResponse(response.status, response.statusText, response.headers, body)));
+        // Text bodies were decoded by the API and are stored as UTF-8 whatever their charset header says
+        metadata.fetchResponses.push({ url: response.url, body: response._text !== null ? 'text' : 'bytes' });
+      }
+    } else if (fetchResponses !== undefined) {
+      metadata.result.fetchResponses = fetchResponses;
+    }
+
+    if (typeof screenshot === 'string' && screenshot) {
+      const image = Buffer.from(screenshot, 'base64');
+      records.push(warcRecord({
+        'WARC-Type': 'resource',
+        'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+        'WARC-Date': warcDate,
+        'WARC-Target-URI': `urn:browser7:screenshot:${url}`,
+        'WARC-Concurrent-To': pageId,
+        'Content-Type': imageType(image)
+      }, image));
+    }
+
+    records.push(warcRecord({
+      'WARC-Type': 'metadata',
+      'WARC-Record-ID': `<urn:uuid:${randomUUID()}>`,
+      'WARC-Date': warcDate,
+      'WARC-Target-URI': url,
+      'WARC-Refers-To': pageId,
+      'Content-Type': 'application/json'
+    }, Buffer.from(JSON.stringify(metadata), 'utf-8')));
+
+    return records;
+  }
+}
+
+class JsonlWriter extends ArchiveWriter {
+  /**
+   * Write render results as JSON lines: {url, renderId, archivedAt, result}
+   * @param {Object} options
+   * @param {string} options.path - Archive file, e.g. 'results.jsonl' (appended to if it exists)
+   * @param {boolean} [options.gzip] - Gzip each line (default: true when the path ends in .gz)
+   */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  /**
+   * Append a render result
+   *
+   * Also accepts a BatchResult or CrawlPage on its own; failed ones are skipped.
+   * @param {RenderResult|Object} result - Render result (or BatchResult / CrawlPage)
+   * @param {ArchiveWriteOptions} [options] - The URL and render ID (required with a bare result)
+   * @returns {Promise<void>}
+   * @throws {Browser7Error} If the URL is missing or the writer is closed
+   */
+  write(result, options) {
+    const entry = toWrite(result, options);
+    if (!entry.result) return Promise.resolve();
+
+    const line = JSON.stringify({
+      url: entry.url,
+      renderId: entry.renderId,
+      archivedAt: entry.date.toISOString(),
+      result: serializeResult(entry.result)
+    });
+    return this._append([Buffer.from(`${line}\n`, 'utf-8')]);
+  }
+}
+
+/**
+ * The contents of an archive file, gunzipped if needed
+ * @param {string} file
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readChunks(file) {
+  const handle = await open(file, 'r');
+  let magic;
+  try {
+    ({ buffer: magic } = await handle.read(Buffer.alloc(2), 0, 2, 0));
+  } finally {
+    await handle.close();
+  }
+
+  const raw = createReadStream(file);
+  const source = magic[0] === 0x1f && magic[1] === 0x8b
+    ? pipeline(raw, createGunzip(), () => {})
+    : raw;
+
+  try {
+    for await (const chunk of source) yield chunk;
+  } catch (error) {
+    throw new Browser7Error(`Failed to read archive ${file}: ${error.message}`, null, null, { cause: error });
+  } finally {
+    source.destroy();
+  }
+}
+
+/**
+ * Split a WARC stream into records
+ * @param {AsyncIterable<Buffer>} chunks
+ * @param {string} file - For error messages
+ * @returns {AsyncGenerator<{fields: Object<string, string>, block: Buffer}>} Fields keyed by lowercase name
+ */
+async function* readWarcRecords(chunks, file) {
+  let buffer = Buffer.alloc(0);
+  let parts = [];
+  let size = 0;
+  let record = null;
+
+  const merge = () => {
+    if (parts.length > 0) buffer = Buffer.concat([buffer, ...parts]);
+    parts = [];
+  };
+
+  for await (const chunk of chunks) {
+    parts.push(chunk);
+    size += chunk.length;
+
+    while (true) {
+      if (!record) {
+        merge();
+        // Tolerate extra blank lines between records
+        let start = 0;
+        while (buffer[start] === 0x0d || buffer[start] === 0x0a) start++;
+        const end = buffer.indexOf(HEADER_END, start);
+        if (end === -1) break;
+
+        const [version, ...lines] = buffer.subarray(start, end).toString('utf-8').split(CRLF);
+        if (!version.startsWith('WARC/')) {
+          throw new Browser7Error(`Invalid WARC record in ${file}: expected a WARC/ version line`);
+        }
+        const fields = {};
+        for (const line of lines) {
+          const separator = line.indexOf(':');
+          if (separator > 0) fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+        const length = Number(fields['content-length']);
+        if (!Number.isInteger(length) || length < 0) {
+          throw new Browser7Error(`Invalid WARC record in ${file}: missing Content-Length`);
+        }
+
+        buffer = buffer.subarray(end + HEADER_END.length);
+        size = buffer.length;
+        record = { fields, length };
+      }
+
+      // Wait for the whole block before copying chunks together
+      if (size < record.length) break;
+      merge();
+      const block = buffer.subarray(0, record.length);
+      buffer = buffer.subarray(record.length);
+      size = buffer.length;
+      yield { fields: record.fields, block };
+      record = null;
+    }
+  }
+
+  merge();
+  if (record || buffer.toString('latin1').trim()) {
+    throw new Browser7Error(`Archive ${file} ends with an incomplete WARC record`);
+  }
+}
+
+/**
+ * Rebuild a render result from one page's WARC records
+ * @param {{fields: Object<string, string>, block: Buffer}[]} records - Records sharing a page
+ * @param {string} pageId - WARC-Record-ID of the page's HTML record
+ * @returns {ArchiveEntry|null} Null for groups that hold no page
+ */
+function toArchiveEntry(records, pageId) {
+  const page = records.find(record => record.fields['warc-record-id'] === pageId && record.fields['warc-type'] === 'response');
+  const info = records.find(record => record.fields['warc-type'] === 'metadata' && record.fields['content-type'] === 'application/json');
+  if (!page && !info) return null;
+
+  let metadata = {};
+  if (info) {
+    try {
+      metadata = JSON.parse(info.block.toString('utf-8'));
+    } catch {
+      // Not one of ours
+    }
+  }
+
+  const anchor = page ?? info;
+  const url = anchor.fields['warc-target-uri'];
+  const plain = { status: 'completed', ...metadata.result };
+
+  const http = page && parseHttpResponse(page.block);
+  if (http) {
+    // Decodes with the archived Content-Type charset (UTF-8 for archives written here)
+    plain.html = new FetchResponse({ url, ...http, body: http.body.toString('base64'), encoding: 'base64' }).text();
+  }
+
+  const fetched = records.filter(record =>
+    record !== page && record.fields['warc-type'] === 'response' && record.fields['warc-concurrent-to'] === pageId
+  );
+  if (fetched.length > 0 && plain.fetchResponses === undefined) {
+    plain.fetchResponses = fetched.map((record, index) => {
+      const response = parseHttpResponse(record.block) ?? { status: 0, statusText: '', headers: {}, body: record.block };
+      const base = { url: record.fields['warc-target-uri'], status: response.status, statusText: response.statusText, headers: response.headers };
+      return metadata.fetchResponses?.[index]?.body === 'text'
+        ? { ...base, body: response.body.toString('utf-8') }
+        : { ...base, body: response.body.toString('base64'), encoding: 'base64' };
+    });
+  }
+
+  const screenshot = records.find(record =>
+    record.fields['warc-type'] === 'resource' && record.fields['warc-target-uri']?.startsWith('urn:browser7:screenshot:')
+  );
+  if (screenshot) plain.screenshot = screenshot.block.toString('base64');
+
+  return {
+    url,
+    renderId: metadata.renderId ?? null,
+    archivedAt: anchor.fields['warc-date'],
+    result: restoreResult(plain)
+  };
+}
+
+/**
+ * Read results back from a WARC stream
+ * @param {AsyncIterable<Buffer>} chunks
+ * @param {string} file
+ * @returns {AsyncGenerator<ArchiveEntry>}
+ */
+async function* readWarc(chunks, file) {
+  // A page's records are written together and point at its HTML record
+  let group = null;
+  for await (const record of readWarcRecords(chunks, file)) {
+    const type = record.fields['warc-type'];
+    if (type === 'warcinfo' || type === 'request') continue;
+
+    const pageId = record.fields['warc-concurrent-to'] ?? record.fields['warc-refers-to'] ?? record.fields['warc-record-id'];
+    if (group && group.pageId !== pageId) {
+      const entry = toArchiveEntry(group.records, group.pageId);
+      if (entry) yield entry;
+      group = null;
+    }
+    group ??= { pageId, records: [] };
+    group.records.push(record);
+  }
+
+  if (group) {
+    const entry = toArchiveEntry(group.records, group.pageId);
+    if (entry) yield entry;
+  }
+}
+
+/**
+ * Read results back from a JSON lines stream
+ * @param {AsyncIterable<Buffer>} chunks
+ * @param {string} file
+ * @returns {AsyncGenerator<ArchiveEntry>}
+ */
+async function* readJsonl(chunks, file) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  let lineNumber = 0;
+
+  const parse = (line) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Browser7Error(`Invalid JSON on line ${lineNumber} of ${file}`, null, null, { cause: error });
+    }
+    if (typeof record?.result !== 'object' || record.result === null) {
+      throw new Browser7Error(`Line ${lineNumber} of ${file} is not an archived render result`);
+    }
+    return {
+      url: record.url,
+      renderId: record.renderId ?? null,
+      archivedAt: record.archivedAt,
+      result: restoreResult(record.result)
+    };
+  };
+
+  for await (const chunk of chunks) {
+    pending += decoder.decode(chunk, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      lineNumber++;
+      if (line.trim()) yield parse(line);
+    }
+  }
+
+  pending += decoder.decode();
+  lineNumber++;
+  if (pending.trim()) yield parse(pending);
+}
+
+/**
+ * Read render results back from an archive written by WarcWriter or JsonlWriter
+ *
+ * The format and gzip compression are detected from the file contents.
+ * @param {string} file - Archive path
+ * @returns {AsyncGenerator<ArchiveEntry>} Entries in the order they were written
+ * @throws {Browser7Error} If the archive is malformed or cut short
+ */
+async function* readArchive(file) {
+  assertFileSystem('Archives');
+  const chunks = readChunks(file);
+  try {
+    const first = await chunks.next();
+    if (first.done) return;
+
+    const all = (async function* () {
+      yield first.value;
+      yield* chunks;
+    })();
+    const isWarc = first.value.subarray(0, 5).toString('latin1') === 'WARC/';
+    yield* isWarc ? readWarc(all, file) : readJsonl(all, file);
+  } finally {
+    await chunks.return();
+  }
+}
+
+export { WarcWriter, JsonlWriter, readArchive };
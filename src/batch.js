@@ -0,0 +1,404 @@
+/**
+ * Browser7 SDK Batch Rendering
+ *
+ * Runs many renders through a bounded pool. Each slot holds one render from
+ * creation until it completes, matching how the API counts concurrent
+ * renders. When the API answers 429 the pool shrinks: to the account's
+ * concurrent limit if the error reports one, otherwise one below the number
+ * of renders in flight. Rate-limited items are queued again rather than
+ * failed.
+ *
+ * Status checks for every render in flight run from a single timer, which
+ * wakes when the next render is due instead of each render sleeping on its
+ * own schedule.
+ *
+ * With `maxCents`, the batch keeps its own spending count on top of the
+ * client's budget, and items that would cross it fail with a
+ * BudgetExceededError without being sent.
+ */
+
+import { AbortError, RateLimitError, RenderError } from './errors.js';
+import { createDeadline, toAbortError } from './utils.js';
+import { extractResult } from './extract.js';
+import { Budget } from './budget.js';
+import { retryProgress } from './job.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./index.js').ProgressEvent} ProgressEvent
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} url - The URL to render
+ * @property {RenderOptions} [options] - Render options for this URL (merged over BatchOptions.renderOptions)
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [concurrency=5] - Maximum renders in flight; lowered automatically on 429
+ * @property {RenderOptions} [renderOptions] - Options applied to every render (an `onProgress`
+ *                                            callback in them gets each item's events)
+ * @property {number} [maxRateLimitRetries=10] - How often one item may be re-queued after a 429
+ * @property {AbortSignal} [signal] - Aborts queued and in-flight renders
+ * @property {function(BatchProgressEvent): void} [onProgress] - Progress events from every render
+ * @property {number} [maxCents] - Most this batch may spend, in addition to the client's budget
+ */
+
+/**
+ * @typedef {ProgressEvent & {index: number, url: string}} BatchProgressEvent
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} index - Position of the item in the input
+ * @property {string} url - The rendered URL
+ * @property {boolean} ok - Whether the render completed
+ * @property {string|null} renderId - The render ID (null if the render was never created)
+ * @property {RenderResult} [result] - The render result (when ok)
+ * @property {Error} [error] - The error (when not ok)
+ */
+
+class RenderPoller {
+  /**
+   * Polls the renders of a batch until each completes or fails
+   * @param {import('./index.js').default} client - Browser7 client
+   */
+  constructor(client) {
+    this.client = client;
+    this._renders = new Set();
+    this._timer = null;
+  }
+
+  /**
+   * Poll a render until it completes or fails
+   * @param {string} renderId - The render ID
+   * @param {RenderOptions} options - Polling options; `signal` stops polling
+   * @param {function(ProgressEvent): void} onProgress - Progress callback
+   * @returns {Promise<RenderResult>} The completed render result
+   * @throws {RenderError|*} If the render fails or polling attempts run out, or the signal's reason
+   */
+  poll(renderId, options, onProgress) {
+    const { signal, initialPollDelay = 2000 } = options;
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const render = {
+        renderId,
+        options,
+        onProgress,
+        attempt: 0,
+        dueAt: Date.now() + this.client._pollDelay(initialPollDelay),
+        checking: false
+      };
+      const onAbort = () => render.reject(signal.reason);
+      const finish = (settle, value) => {
+        this._renders.delete(render);
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+        this._schedule();
+      };
+      render.resolve = result => finish(resolve, result);
+      render.reject = error => finish(reject, error);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this._renders.add(render);
+      this._schedule();
+    });
+  }
+
+  /**
+   * Set the timer for the next render due a status check
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    let dueAt = Infinity;
+    for (const render of this._renders) {
+      if (!render.checking) dueAt = Math.min(dueAt, render.dueAt);
+    }
+    if (dueAt !== Infinity) {
+      this._timer = setTimeout(() => this._checkDue(), Math.max(0, dueAt - Date.now()));
+    }
+  }
+
+  /**
+   * Check every render that is due
+   * @private
+   */
+  _checkDue() {
+    const now = Date.now();
+    for (const render of this._renders) {
+      if (!render.checking && render.dueAt <= now) this._check(render);
+    }
+    this._schedule();
+  }
+
+  /**
+   * Check one render, settling it once it is finished
+   * @param {Object} render
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _check(render) {
+    render.checking = true;
+    try {
+      const { result, nextPollMs } = await this.client._checkRender(
+        render.renderId, render.attempt++, render.options, render.onProgress
+      );
+      if (result.status === 'completed') {
+        render.resolve(result);
+      } else {
+        render.dueAt = Date.now() + nextPollMs;
+      }
+    } catch (error) {
+      render.reject(error);
+    } finally {
+      render.checking = false;
+      this._schedule();
+    }
+  }
+}
+
+/**
+ * Normalize an input item into a job
+ * @param {string|BatchJob} item - URL or job
+ * @param {RenderOptions} [renderOptions] - Shared render options
+ * @returns {{url: string, options: RenderOptions}}
+ */
+function toJob(item, renderOptions) {
+  if (typeof item === 'string') {
+    return { url: item, options: { ...renderOptions } };
+  }
+  return { url: item.url, options: { ...renderOptions, ...item.options } };
+}
+
+/**
+ * Run a batch, reporting each item as it settles
+ * @param {import('./index.js').default} client - Browser7 client
+ * @param {Array<string|BatchJob>} items - URLs or jobs to render
+ * @param {BatchOptions} options - Batch options
+ * @param {function(BatchResult): void} onSettled - Called once per item, in completion order
+ * @returns {Promise<void>} Resolves when every item has settled
+ */
+function runBatch(client, items, options, onSettled) {
+  const { concurrency = 5, maxRateLimitRetries = 10, signal, onProgress } = options;
+  const jobs = items.map(item => toJob(item, options.renderOptions));
+  const queue = jobs.map((_, index) => index);
+  const rateLimitCounts = new Array(jobs.length).fill(0);
+  const observations = new Array(jobs.length);
+  const budget = options.maxCents !== undefined
+    ? new Budget(null, { maxCents: options.maxCents, centsPerRender: client.budget.centsPerRender })
+    : null;
+  const poller = new RenderPoller(client);
+
+  let limit = Math.max(1, concurrency);
+  let ceiling = limit;
+  let active = 0;
+  let settled = 0;
+  let resumeAt = 0;
+  let resumeTimer = null;
+
+  return new Promise(resolve => {
+    const settle = (outcome) => {
+      settled++;
+      onSettled(outcome);
+      if (settled === jobs.length) {
+        clearTimeout(resumeTimer);
+        resolve();
+      }
+    };
+
+    const onRateLimited = (error) => {
+      const known = error.concurrentLimit;
+      if (known) ceiling = Math.max(1, Math.min(ceiling, known));
+      limit = Math.max(1, Math.min(ceiling, limit, active - 1));
+
+      const delayMs = error.retryAfter != null ? error.retryAfter * 1000 : 1000;
+      resumeAt = Math.max(resumeAt, Date.now() + delayMs);
+    };
+
+    const runItem = async (index) => {
+      const { url, options: renderOptions } = jobs[index];
+      // One observation per item, kept across 429 re-queues
+      const observation = observations[index] ??= client.observer.startRender(url);
+      const progress = (event) => {
+        observation.progress(event);
+        if (renderOptions.onProgress) renderOptions.onProgress(event);
+        if (onProgress) onProgress({ ...event, index, url });
+      };
+      // Per-item timeout covers creation and polling, like render()
+      const deadline = createDeadline(signal, renderOptions.timeout);
+      let renderId = null;
+      let reserved = false;
+
+      try {
+        if (budget) {
+          await budget.reserve();
+          reserved = true;
+        }
+
+        ({ renderId } = await client.createRender(url, {
+          ...renderOptions,
+          signal: deadline.signal,
+          timeout: undefined,
+          onRetry: (event) => {
+            if (event.error instanceof RateLimitError) onRateLimited(event.error);
+            renderOptions.onRetry?.(event);
+            retryProgress(progress, null)(event);
+          }
+        }));
+        budget?.commit(renderId);
+
+        progress({ type: 'started', renderId, timestamp: new Date().toISOString() });
+
+        const result = await poller.poll(renderId, { ...renderOptions, signal: deadline.signal }, progress);
+        budget?.finish(renderId, result);
+        extractResult(result, url, renderOptions);
+
+        // Without a known account limit, probe upwards again after successes
+        if (limit < ceiling) limit++;
+        observation.end(result);
+        settle({ index, url, ok: true, renderId, result });
+      } catch (error) {
+        if (budget && renderId === null && reserved) {
+          budget.release();
+        } else if (budget && error instanceof RenderError && error.body?.status === 'failed') {
+          budget.finish(renderId, error.body);
+        }
+
+        const failed = (failure) => {
+          observation.end(failure instanceof RenderError ? failure.body : null, failure);
+          settle({ index, url, ok: false, renderId, error: failure });
+        };
+
+        if (signal?.aborted) {
+          failed(new AbortError('Batch was aborted', renderId, { cause: signal.reason }));
+        } else if (deadline.signal?.aborted) {
+          failed(toAbortError(deadline.signal, renderId));
+        } else if (error instanceof RateLimitError && rateLimitCounts[index] < maxRateLimitRetries) {
+          rateLimitCounts[index]++;
+          onRateLimited(error);
+          queue.unshift(index);
+        } else {
+          failed(error);
+        }
+      } finally {
+        deadline.clear();
+      }
+    };
+
+    const pump = () => {
+      if (signal?.aborted) {
+        while (queue.length > 0) {
+          const index = queue.shift();
+          const error = new AbortError('Batch was aborted', null, { cause: signal.reason });
+          // Items re-queued after a 429 were already being observed
+          observations[index]?.end(null, error);
+          settle({ index, url: jobs[index].url, ok: false, renderId: null, error });
+        }
+        return;
+      }
+
+      const wait = resumeAt - Date.now();
+      if (wait > 0 && queue.length > 0) {
+        clearTimeout(resumeTimer);
+        resumeTimer = setTimeout(pump, wait);
+        return;
+      }
+
+      while (active < limit && queue.length > 0) {
+        const index = queue.shift();
+        active++;
+        runItem(index).finally(() => {
+          active--;
+          pump();
+        });
+      }
+    };
+
+    if (jobs.length === 0) {
+      resolve();
+      return;
+    }
+
+    signal?.addEventListener('abort', pump, { once: true });
+
+    // Start a large run from a fresh balance rather than one that may be a minute old
+    if (client.budget.minBalanceCents !== null && jobs.length > 1) {
+      client.budget.refreshBalance(signal).catch(() => {}).finally(pump);
+    } else {
+      pump();
+    }
+  });
+}
+
+/**
+ * Render many URLs with a bounded, rate-limit aware pool
+ * @param {import('./index.js').default} client - Browser7 client
+ * @param {Array<string|BatchJob>} items - URLs or jobs to render
+ * @param {BatchOptions} [options={}] - Batch options
+ * @returns {Promise<BatchResult[]>} One result per item, in input order
+ */
+async function renderMany(client, items, options = {}) {
+  const results = new Array(items.length);
+  await runBatch(client, items, options, (outcome) => {
+    results[outcome.index] = outcome;
+  });
+  return results;
+}
+
+/**
+ * Render many URLs, yielding each result as soon as it settles
+ *
+ * Breaking out of the loop aborts the renders that are still in flight.
+ * @param {import('./index.js').default} client - Browser7 client
+ * @param {Array<string|BatchJob>} items - URLs or jobs to render
+ * @param {BatchOptions} [options={}] - Batch options
+ * @returns {AsyncGenerator<BatchResult>} Results in completion order
+ */
+async function* iterateRenders(client, items, options = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(options.signal.reason);
+  if (options.signal?.aborted) onAbort();
+  options.signal?.addEventListener('abort', onAbort, { once: true });
+
+  const buffer = [];
+  let done = false;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  runBatch(client, items, { ...options, signal: controller.signal }, (outcome) => {
+    buffer.push(outcome);
+    notify();
+  }).then(() => {
+    done = true;
+    notify();
+  });
+
+  try {
+    while (true) {
+      if (buffer.length > 0) {
+        yield buffer.shift();
+      } else if (done) {
+        return;
+      } else {
+        await new Promise(resolve => { wake = resolve; });
+      }
+    }
+  } finally {
+    options.signal?.removeEventListener('abort', onAbort);
+    controller.abort(new AbortError('Batch iteration was stopped'));
+  }
+}
+
+export { renderMany, iterateRenders };
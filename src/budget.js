@@ -0,0 +1,221 @@
+/**
+ * Browser7 SDK Spending Guard
+ *
+ * Counts what the client spends: every created render is committed until a
+ * status check sees it finish, then it is billed (completed renders and
+ * failures the API marks billable) or released. With limits configured,
+ * createRender() is refused with a BudgetExceededError before a render
+ * would cross them, so nothing is sent to the API.
+ *
+ * Renders this client did not create (attachRender(), resumePending())
+ * are not counted.
+ */
+
+import { Browser7Error, BudgetExceededError } from './errors.js';
+import { abortable, toAbortError } from './utils.js';
+
+/**
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ */
+
+/**
+ * @typedef {Object} BudgetOptions
+ * @property {number} [maxCents] - Most this client may spend; counts renders still in flight
+ * @property {number} [minBalanceCents] - Account balance to keep; checked against getAccountBalance()
+ * @property {number} [centsPerRender=1] - What one billable render costs
+ */
+
+/**
+ * @typedef {Object} UsageReport
+ * @property {Object} renders - Render counts since the client was created
+ * @property {number} renders.created - Renders created
+ * @property {number} renders.completed - Renders that completed
+ * @property {number} renders.failed - Renders that failed
+ * @property {number} renders.billableFailures - Failed renders that were charged
+ * @property {number} renders.pending - Created renders not yet seen to finish
+ * @property {number} spentCents - Cost of completed renders and billable failures
+ * @property {number} committedCents - spentCents plus the cost of pending renders
+ * @property {number|null} maxCents - The spending limit (null without one)
+ * @property {number|null} remainingCents - What can still be committed under maxCents (null without one)
+ * @property {{cents: number, checkedAt: string}|null} balance - Last account balance seen (with minBalanceCents)
+ * @property {{networkBytes: number, cachedBytes: number}} bandwidth - Totals from finished renders' bandwidthMetrics
+ */
+
+// How long a balance from getAccountBalance() is trusted
+const BALANCE_TTL = 60 * 1000;
+
+/**
+ * Check that a limit is a non-negative number
+ * @param {Object} options
+ * @param {string} key
+ */
+function checkCents(options, key) {
+  const value = options[key];
+  if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+    throw new Browser7Error(`Invalid budget.${key}: ${value} (expected a non-negative number of cents)`);
+  }
+}
+
+class Budget {
+  /**
+   * @param {import('./index.js').default|null} client - Browser7 client, for balance checks (null for batch budgets)
+   * @param {BudgetOptions} [options={}]
+   */
+  constructor(client, options = {}) {
+    checkCents(options, 'maxCents');
+    checkCents(options, 'minBalanceCents');
+    checkCents(options, 'centsPerRender');
+    if (options.minBalanceCents !== undefined && !client) {
+      throw new Browser7Error('budget.minBalanceCents needs a client to check the balance with');
+    }
+
+    this.client = client;
+    this.maxCents = options.maxCents ?? null;
+    this.minBalanceCents = options.minBalanceCents ?? null;
+    this.centsPerRender = options.centsPerRender ?? 1;
+
+    this._counts = { created: 0, completed: 0, failed: 0, billableFailures: 0 };
+    this._bandwidth = { networkBytes: 0, cachedBytes: 0 };
+    /** @type {Set<string>} Created renders not yet seen to finish */
+    this._pending = new Set();
+    /** Renders being created right now, counted so concurrent calls cannot overshoot */
+    this._reserved = 0;
+
+    this._balance = null;
+    this._balanceRequest = null;
+  }
+
+  /**
+   * Renders that have been charged
+   * @returns {number}
+   * @private
+   */
+  _billed() {
+    return this._counts.completed + this._counts.billableFailures;
+  }
+
+  /**
+   * Fetch the account balance, sharing one request between concurrent callers
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  async refreshBalance(signal) {
+    this._balanceRequest ??= this.client.getAccountBalance()
+      .then(({ totalBalanceCents }) => {
+        // Remember what was billed at this point, so later charges can be deducted locally
+        this._balance = { cents: totalBalanceCents, billed: this._billed(), fetchedAt: Date.now() };
+      })
+      .finally(() => {
+        this._balanceRequest = null;
+      });
+
+    try {
+      await abortable(this._balanceRequest, signal);
+    } catch (error) {
+      if (signal?.aborted) throw toAbortError(signal);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim one render's worth of budget before creating it
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   * @throws {BudgetExceededError} If the render would cross maxCents or minBalanceCents
+   */
+  async reserve(signal) {
+    const cost = this.centsPerRender;
+
+    if (this.maxCents !== null) {
+      const committed = (this._billed() + this._pending.size + this._reserved) * cost;
+      if (committed + cost > this.maxCents) {
+        throw new BudgetExceededError(
+          `Render refused: it would exceed the budget of ${this.maxCents} cents (${committed} committed)`,
+          'maxCents', this.report()
+        );
+      }
+    }
+
+    // Reserve before waiting for the balance, so callers waiting alongside see this render
+    this._reserved++;
+    if (this.minBalanceCents === null) return;
+
+    try {
+      if (!this._balance || Date.now() - this._balance.fetchedAt > BALANCE_TTL) {
+        await this.refreshBalance(signal);
+      }
+      // Pending renders are charged when they finish, so count them as spent already
+      const unbilled = this._billed() - this._balance.billed + this._pending.size + this._reserved;
+      const projected = this._balance.cents - unbilled * cost;
+      if (projected < this.minBalanceCents) {
+        throw new BudgetExceededError(
+          `Render refused: it would take the balance below ${this.minBalanceCents} cents (${projected + cost} cents left after renders in flight)`,
+          'minBalanceCents', this.report()
+        );
+      }
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Return a reservation whose render was not created
+   */
+  release() {
+    this._reserved = Math.max(0, this._reserved - 1);
+  }
+
+  /**
+   * Turn a reservation into a created render
+   * @param {string} renderId
+   */
+  commit(renderId) {
+    this.release();
+    this._counts.created++;
+    this._pending.add(renderId);
+  }
+
+  /**
+   * Record how a created render finished. Renders not created through this
+   * budget, or already recorded, are ignored.
+   * @param {string} renderId
+   * @param {RenderResult} result - Result with status 'completed' or 'failed'
+   */
+  finish(renderId, result) {
+    if (!this._pending.delete(renderId)) return;
+
+    if (result.status === 'completed') {
+      this._counts.completed++;
+    } else {
+      this._counts.failed++;
+      // Unless the API says otherwise, assume the failure was charged
+      if (result.billable !== false) this._counts.billableFailures++;
+    }
+
+    this._bandwidth.networkBytes += result.bandwidthMetrics?.networkBytes ?? 0;
+    this._bandwidth.cachedBytes += result.bandwidthMetrics?.cachedBytes ?? 0;
+  }
+
+  /**
+   * What has been spent so far
+   * @returns {UsageReport}
+   */
+  report() {
+    const spentCents = this._billed() * this.centsPerRender;
+    const committedCents = spentCents + this._pending.size * this.centsPerRender;
+    return {
+      renders: { ...this._counts, pending: this._pending.size },
+      spentCents,
+      committedCents,
+      maxCents: this.maxCents,
+      remainingCents: this.maxCents === null ? null : Math.max(0, this.maxCents - committedCents),
+      balance: this._balance
+        ? { cents: this._balance.cents, checkedAt: new Date(this._balance.fetchedAt).toISOString() }
+        : null,
+      bandwidth: { ...this._bandwidth }
+    };
+  }
+}
+
+export { Budget };
@@ -0,0 +1,273 @@
+/**
+ * Browser7 SDK Result Cache
+ *
+ * Caches completed render() results keyed on the URL and normalized render
+ * options, so repeated renders of the same page within the TTL are free.
+ * Concurrent identical render() calls are coalesced onto a single render,
+ * which is cancelled once every caller waiting for it has given up.
+ *
+ * Stores implement a small async interface (see CacheStore); an in-memory
+ * LRU and a filesystem store are built in.
+ */
+
+import { sha256, assertFileSystem, temporaryPath, readFile, writeFile, rename, rm, mkdir, join } from './runtime.js';
+import { API_OPTIONS } from './validation.js';
+import { createDeadline, toAbortError, abortable } from './utils.js';
+import { extractResult } from './extract.js';
+import { serializeResult, restoreResult } from './responses.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./index.js').ProgressEvent} ProgressEvent
+ * @typedef {import('./job.js').RenderJob} RenderJob
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<*>} get - Return the stored value, or undefined if missing/expired
+ * @property {function(string, *, number): Promise<void>} set - Store a value for ttl milliseconds
+ * @property {function(string): Promise<void>} delete - Remove a value
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {CacheStore} [store] - Where results are kept (default: new MemoryCache())
+ * @property {number} [ttl=300000] - How long results stay fresh, in milliseconds
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object} result - The completed render result, decoded and serialized to plain JSON
+ * @property {string} cachedAt - ISO timestamp of when the result was stored
+ */
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+// API defaults: options set to these values render the same page as omitting them
+const OPTION_DEFAULTS = {
+  captcha: 'disabled',
+  blockImages: true,
+  includeScreenshot: false,
+  screenshotFormat: 'jpeg',
+  screenshotQuality: 80,
+  screenshotFullPage: false,
+  debug: false,
+  forceNewProxy: false
+};
+
+// Options whose values must never be stored in plain text
+const SECRET_OPTIONS = ['webhookSecret'];
+
+// Per-call options that change how a render is created and polled: callers
+// only share a render when they agree on these
+const JOB_OPTIONS = ['strictDecoding', 'maxPollAttempts', 'initialPollDelay', 'key', 'region'];
+
+class MemoryCache {
+  /**
+   * In-memory least-recently-used cache
+   * @param {Object} [options={}]
+   * @param {number} [options.maxEntries=100] - Entries kept before the least recently used is evicted
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 100;
+    this._entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    this._entries.clear();
+  }
+}
+
+class FileCache {
+  /**
+   * Filesystem cache: one JSON file per entry, shared between processes
+   * @param {Object} options
+   * @param {string} options.directory - Directory for cache files (created if missing)
+   */
+  constructor(options) {
+    if (!options?.directory) {
+      throw new TypeError('FileCache requires a directory');
+    }
+    assertFileSystem('File caches');
+    this.directory = options.directory;
+  }
+
+  /**
+   * File holding a key's entry
+   * @param {string} key
+   * @returns {string}
+   * @private
+   */
+  _file(key) {
+    return join(this.directory, `${sha256(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(this._file(key), 'utf-8'));
+    } catch {
+      // Missing or unreadable: treat as a miss
+      return undefined;
+    }
+
+    if (entry.key !== key) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    await mkdir(this.directory, { recursive: true });
+    const file = this._file(key);
+    const temporary = temporaryPath(file);
+
+    // Write then rename so readers never see a partial file
+    await writeFile(temporary, JSON.stringify({ key, expiresAt: Date.now() + ttl, value }));
+    await rename(temporary, file);
+  }
+
+  async delete(key) {
+    await rm(this._file(key), { force: true });
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the cache key for a render
+ * @param {string} url - The URL to render
+ * @param {RenderOptions} options - Render options
+ * @returns {string} Key built from the URL and the API options that affect the result
+ */
+function cacheKey(url, options) {
+  let normalizedUrl = url;
+  try {
+    normalizedUrl = new URL(url).href;
+  } catch {
+    // Not a URL: validation reports it, keep the raw string
+  }
+
+  const normalized = {};
+  for (const key of [...API_OPTIONS].sort()) {
+    const value = options[key];
+    if (value === undefined || value === OPTION_DEFAULTS[key]) continue;
+    // Keys are written to cache files as-is, so secrets only appear hashed
+    normalized[key] = SECRET_OPTIONS.includes(key) ? sha256(String(value)) : value;
+  }
+
+  return `${normalizedUrl} ${JSON.stringify(normalized)}`;
+}
+
+class RenderCache {
+  /**
+   * @param {CacheOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.store = options.store ?? new MemoryCache();
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    /** @type {Map<string, {job: RenderJob, callers: number}>} Shared renders by key and job options */
+    this._inflight = new Map();
+  }
+
+  /**
+   * Serve a render from the cache, join an identical render in flight, or start a new one
+   * @param {import('./index.js').default} client - Browser7 client
+   * @param {string} url - The URL to render
+   * @param {RenderOptions} options - Render options
+   * @param {function(ProgressEvent): void} [onProgress] - Progress callback
+   * @returns {Promise<RenderResult>} The result, flagged with `fromCache`
+   */
+  async render(client, url, options, onProgress) {
+    // Keyed on what is sent, so clients with different defaults don't share results
+    const key = cacheKey(url, client._withDefaults(options));
+
+    // Extraction is per caller: the stored result is the raw render
+    const cached = await this.store.get(key);
+    if (cached) {
+      return extractResult({ ...restoreResult(cached.result), fromCache: true, cachedAt: cached.cachedAt }, url, options);
+    }
+
+    const jobKey = `${key} ${JSON.stringify(JOB_OPTIONS.map(name => options[name] ?? null))}`;
+    let shared = this._inflight.get(jobKey);
+    if (!shared) {
+      // The shared job outlives any one caller, so it ignores per-call cancellation
+      const { signal, timeout, onProgress: _onProgress, extract: _extract, ...renderOptions } = options;
+      shared = { job: client.startRender(url, renderOptions), callers: 0 };
+      this._inflight.set(jobKey, shared);
+
+      shared.job.result()
+        .then(result => this.store.set(key, {
+          result: serializeResult(result),
+          cachedAt: new Date().toISOString()
+        }, this.ttl))
+        .catch(() => {
+          // Failures are reported to the callers; nothing to cache
+        })
+        .finally(() => {
+          if (this._inflight.get(jobKey) === shared) this._inflight.delete(jobKey);
+        });
+    }
+
+    const { job } = shared;
+    shared.callers++;
+    if (onProgress) job.on('progress', onProgress);
+    const deadline = createDeadline(options.signal, options.timeout);
+
+    try {
+      const result = await abortable(job.result(), deadline.signal);
+      return extractResult({ ...restoreResult(serializeResult(result)), fromCache: false }, url, options);
+    } catch (error) {
+      if (deadline.signal?.aborted) throw toAbortError(deadline.signal, job.renderId);
+      throw error;
+    } finally {
+      deadline.clear();
+      if (onProgress) job.off('progress', onProgress);
+      // Nobody is left waiting for the render: stop it, and let the next caller start afresh
+      if (--shared.callers === 0 && deadline.signal?.aborted) {
+        if (this._inflight.get(jobKey) === shared) this._inflight.delete(jobKey);
+        job.cancel();
+      }
+    }
+  }
+}
+
+export { MemoryCache, FileCache, RenderCache, cacheKey };
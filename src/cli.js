@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Browser7 command-line interface
+ *
+ * Usage:
+ *   browser7 render <url> [options]
+ *   browser7 batch <file> [options]
+ *   browser7 balance
+ *   browser7 regions
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import Browser7, {
+  AuthenticationError,
+  ValidationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  RenderError,
+  AbortError
+} from './index.js';
+import { resolveClientOptions } from './config.js';
+
+// Process exit codes, one per error class
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  AUTHENTICATION: 3,
+  VALIDATION: 4,
+  INSUFFICIENT_BALANCE: 5,
+  RATE_LIMIT: 6,
+  RENDER: 7,
+  ABORTED: 8
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Usage of the commands that take an argument, checked before any credentials
+const COMMAND_USAGE = {
+  render: 'Usage: browser7 render <url> [options]',
+  batch: 'Usage: browser7 batch <file> [options]'
+};
+
+const HELP = `Usage: browser7 <command> [options]
+
+Commands:
+  render <url>              Render a URL
+  batch <file>              Render every URL in a file (one URL or JSON job per line)
+  balance                   Show the account balance
+  regions                   List API regions
+
+Global options:
+  --api-key <key>           API key (default: $BROWSER7_API_KEY)
+  --base-url <url>          API base URL (default: $BROWSER7_BASE_URL or production)
+  --profile <name>          Config profile to use (default: $BROWSER7_PROFILE)
+  --config <file>           JSON config file (default: $BROWSER7_CONFIG)
+  -h, --help                Show this help
+  -v, --version             Show the SDK version
+
+Render options (render and batch):
+  -c, --country <code>      Country code (e.g., US, GB, DE)
+  --city <name>             City name (e.g., new.york, london)
+  --captcha <mode>          disabled, auto, recaptcha_v2, recaptcha_v3, turnstile
+  --[no-]block-images       Block images (default: true)
+  --fetch-url <url>         URL to fetch in the browser after rendering (repeatable)
+  --wait-for-selector <sel> Wait for an element to be visible (repeatable)
+  --wait-for-text <text>    Wait for text to appear (repeatable)
+  --wait-for-click <sel>    Click an element (repeatable)
+  --wait-for-delay <ms>     Wait for a fixed delay (repeatable)
+                            Wait actions run in the order given
+  --screenshot              Capture a screenshot
+  --screenshot-format <f>   jpeg or png
+  --screenshot-quality <n>  JPEG quality 1-100
+  --screenshot-full-page    Capture the full scrollable page
+  --debug                   Sync the render to the dashboard for 7 days
+  --force-new-proxy         Use a fresh proxy session
+  --timeout <ms>            Give up after this many milliseconds
+
+Output options (render):
+  -o, --output <file>       Write the HTML to a file ("-" for stdout)
+  --screenshot-output <f>   Write the screenshot image to a file
+  --fetch-output <file>     Write fetch responses as JSON to a file
+  Without output files the full result is printed as JSON.
+
+Batch options:
+  --concurrency <n>         Renders in flight (default: 5)
+  --output-dir <dir>        Write <index>.html (and screenshots) per URL
+  One JSON line per URL is printed to stdout as renders finish.
+
+Exit codes:
+  0 success, 1 error, 2 usage, 3 authentication, 4 validation,
+  5 insufficient balance, 6 rate limit, 7 render failed, 8 timed out/aborted`;
+
+// Option definitions: type, short alias and whether the flag may repeat
+const OPTIONS = {
+  'api-key': { type: 'string' },
+  'base-url': { type: 'string' },
+  'profile': { type: 'string' },
+  'config': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' },
+  'version': { type: 'boolean', short: 'v' },
+  'country': { type: 'string', short: 'c' },
+  'city': { type: 'string' },
+  'captcha': { type: 'string' },
+  'block-images': { type: 'boolean' },
+  'fetch-url': { type: 'string', multiple: true },
+  'wait-for-selector': { type: 'string', multiple: true },
+  'wait-for-text': { type: 'string', multiple: true },
+  'wait-for-click': { type: 'string', multiple: true },
+  'wait-for-delay': { type: 'number', multiple: true },
+  'screenshot': { type: 'boolean' },
+  'screenshot-format': { type: 'string' },
+  'screenshot-quality': { type: 'number' },
+  'screenshot-full-page': { type: 'boolean' },
+  'debug': { type: 'boolean' },
+  'force-new-proxy': { type: 'boolean' },
+  'timeout': { type: 'number' },
+  'output': { type: 'string', short: 'o' },
+  'screenshot-output': { type: 'string' },
+  'fetch-output': { type: 'string' },
+  'concurrency': { type: 'number' },
+  'output-dir': { type: 'string' }
+};
+
+const SHORT_OPTIONS = Object.fromEntries(
+  Object.entries(OPTIONS)
+    .filter(([, definition]) => definition.short)
+    .map(([name, definition]) => [definition.short, name])
+);
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {{positionals: string[], values: Object, order: Array<{name: string, value: *}>}}
+ *          Positionals, option values, and every option in the order given
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const values = {};
+  const order = [];
+
+  const convert = (name, raw) => {
+    if (OPTIONS[name].type !== 'number') return raw;
+    const number = Number(raw);
+    if (raw === '' || !Number.isFinite(number)) {
+      throw new UsageError(`--${name} expects a number, got "${raw}"`);
+    }
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inline;
+    if (arg.startsWith('--')) {
+      [name, inline] = arg.slice(2).split(/=(.*)/s);
+    } else {
+      name = SHORT_OPTIONS[arg.slice(1)];
+      if (!name) throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    let negated = false;
+    if (!OPTIONS[name] && name.startsWith('no-') && OPTIONS[name.slice(3)]?.type === 'boolean') {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const definition = OPTIONS[name];
+    if (!definition) throw new UsageError(`Unknown option: ${arg}`);
+
+    let value;
+    if (definition.type === 'boolean') {
+      if (inline !== undefined) throw new UsageError(`--${name} does not take a value`);
+      value = !negated;
+    } else {
+      if (negated) throw new UsageError(`Unknown option: ${arg}`);
+      const raw = inline ?? argv[++i];
+      if (raw === undefined) throw new UsageError(`--${name} requires a value`);
+      value = convert(name, raw);
+    }
+
+    if (definition.multiple) {
+      (values[name] ??= []).push(value);
+    } else {
+      values[name] = value;
+    }
+    order.push({ name, value });
+  }
+
+  return { positionals, values, order };
+}
+
+/**
+ * Map parsed options to RenderOptions
+ * @param {Object} values - Parsed option values
+ * @param {Array<{name: string, value: *}>} order - Options in the order given
+ * @returns {import('./index.js').RenderOptions}
+ */
+function toRenderOptions(values, order) {
+  const options = {};
+  if (values['country'] !== undefined) options.countryCode = values['country'];
+  if (values['city'] !== undefined) options.city = values['city'];
+  if (values['captcha'] !== undefined) options.captcha = values['captcha'];
+  if (values['block-images'] !== undefined) options.blockImages = values['block-images'];
+  if (values['fetch-url'] !== undefined) options.fetchUrls = values['fetch-url'];
+  if (values['screenshot'] !== undefined) options.includeScreenshot = values['screenshot'];
+  if (values['screenshot-format'] !== undefined) options.screenshotFormat = values['screenshot-format'];
+  if (values['screenshot-quality'] !== undefined) options.screenshotQuality = values['screenshot-quality'];
+  if (values['screenshot-full-page'] !== undefined) options.screenshotFullPage = values['screenshot-full-page'];
+  if (values['debug'] !== undefined) options.debug = values['debug'];
+  if (values['force-new-proxy'] !== undefined) options.forceNewProxy = values['force-new-proxy'];
+  if (values['timeout'] !== undefined) options.timeout = values['timeout'];
+
+  // Screenshot output implies capturing one
+  if (values['screenshot-output'] !== undefined && options.includeScreenshot === undefined) {
+    options.includeScreenshot = true;
+  }
+
+  const waitFor = [];
+  for (const { name, value } of order) {
+    if (name === 'wait-for-selector') waitFor.push(Browser7.waitForSelector(value));
+    if (name === 'wait-for-text') waitFor.push(Browser7.waitForText(value));
+    if (name === 'wait-for-click') waitFor.push(Browser7.waitForClick(value));
+    if (name === 'wait-for-delay') waitFor.push(Browser7.waitForDelay(value));
+  }
+  if (waitFor.length > 0) options.waitFor = waitFor;
+
+  return options;
+}
+
+/**
+ * Client options from the global options (the client adds the environment and config file)
+ * @param {Object} values - Parsed option values
+ * @returns {Object}
+ */
+function clientOptions(values) {
+  return {
+    apiKey: values['api-key'],
+    baseUrl: values['base-url'],
+    profile: values['profile'],
+    configFile: values['config']
+  };
+}
+
+/**
+ * Create a client from options, environment variables and the config file
+ * @param {Object} values - Parsed option values
+ * @returns {Browser7}
+ */
+function createClient(values) {
+  const options = clientOptions(values);
+  if (!resolveClientOptions(options).apiKey) {
+    throw new UsageError('An API key is required: pass --api-key, set BROWSER7_API_KEY or add it to a config file');
+  }
+  return new Browser7(options);
+}
+
+/**
+ * Map an error to its process exit code
+ * @param {Error} error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof AuthenticationError) return EXIT_CODES.AUTHENTICATION;
+  if (error instanceof ValidationError) return EXIT_CODES.VALIDATION;
+  if (error instanceof InsufficientBalanceError) return EXIT_CODES.INSUFFICIENT_BALANCE;
+  if (error instanceof RateLimitError) return EXIT_CODES.RATE_LIMIT;
+  if (error instanceof RenderError) return EXIT_CODES.RENDER;
+  if (error instanceof AbortError) return EXIT_CODES.ABORTED;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Write JSON to stdout
+ * @param {*} value
+ */
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Serialize an error for JSON output
+ * @param {Error} error
+ * @returns {Object}
+ */
+function errorToJson(error) {
+  const json = { name: error.name, message: error.message };
+  if (error.statusCode != null) json.statusCode = error.statusCode;
+  if (error.errorCode != null) json.errorCode = error.errorCode;
+  if (error.renderId != null) json.renderId = error.renderId;
+  if (error.field != null) json.field = error.field;
+  if (typeof error.isRetryable === 'boolean') json.retryable = error.isRetryable;
+  return json;
+}
+
+/**
+ * `browser7 render <url>`
+ * @param {Browser7} client
+ * @param {{positionals: string[], values: Object, order: Array}} args
+ * @returns {Promise<number>} Exit code
+ */
+async function runRender(client, { positionals, values, order }) {
+  const [url] = positionals;
+  const result = await client.render(url, toRenderOptions(values, order));
+  const summary = { ...result };
+
+  if (values['output'] === '-') {
+    process.stdout.write(result.html ?? '');
+    return EXIT_CODES.OK;
+  }
+  if (values['output'] !== undefined) {
+    await writeFile(values['output'], result.html ?? '');
+    delete summary.html;
+  }
+  if (values['screenshot-output'] !== undefined) {
+    if (result.screenshot) {
+      await writeFile(values['screenshot-output'], Buffer.from(result.screenshot, 'base64'));
+      delete summary.screenshot;
+    } else {
+      process.stderr.write(`Warning: the result has no screenshot, so ${values['screenshot-output']} was not written\n`);
+    }
+  }
+  if (values['fetch-output'] !== undefined) {
+    await writeFile(values['fetch-output'], `${JSON.stringify(result.fetchResponses ?? [], null, 2)}\n`);
+    delete summary.fetchResponses;
+  }
+  if (summary.decodeErrors) summary.decodeErrors = summary.decodeErrors.map(errorToJson);
+
+  printJson(summary);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Read batch jobs from a file: one URL or one JSON job ({ url, options }) per line
+ * @param {string} file - Path to the file
+ * @returns {Promise<Array<string|import('./batch.js').BatchJob>>}
+ */
+async function readBatchFile(file) {
+  const content = await readFile(file, 'utf-8');
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+    .filter(({ text }) => text && !text.startsWith('#'))
+    .map(({ text, number }) => {
+      if (!text.startsWith('{')) return text;
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new UsageError(`Invalid JSON on line ${number} of ${file}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * `browser7 batch <file>`
+ * @param {Browser7} client
+ * @param {{positionals: string[], values: Object, order: Array}} args
+ * @returns {Promise<number>} Exit code
+ */
+async function runBatchCommand(client, { positionals, values, order }) {
+  const [file] = positionals;
+  const items = await readBatchFile(file);
+  const outputDir = values['output-dir'];
+  if (outputDir) await mkdir(outputDir, { recursive: true });
+
+  let exitCode = EXIT_CODES.OK;
+  const batch = client.iterateRenders(items, {
+    concurrency: values['concurrency'],
+    renderOptions: toRenderOptions(values, order)
+  });
+
+  for await (const { index, url, ok, renderId, result, error } of batch) {
+    const line = { index, url, ok, renderId };
+
+    if (ok) {
+      line.status = result.status;
+      line.selectedCity = result.selectedCity?.name ?? null;
+      if (outputDir) {
+        line.htmlFile = path.join(outputDir, `${index}.html`);
+        await writeFile(line.htmlFile, result.html ?? '');
+        if (result.screenshot) {
+          line.screenshotFile = path.join(outputDir, `${index}.screenshot`);
+          await writeFile(line.screenshotFile, Buffer.from(result.screenshot, 'base64'));
+        }
+      }
+    } else {
+      line.error = errorToJson(error);
+      if (exitCode === EXIT_CODES.OK) exitCode = exitCodeFor(error);
+    }
+
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+  }
+
+  return exitCode;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  try {
+    const args = parseArgs(argv);
+    const [command, ...rest] = args.positionals;
+    args.positionals = rest;
+
+    if (args.values['version']) {
+      process.stdout.write(`${__PACKAGE_VERSION__}\n`);
+      return EXIT_CODES.OK;
+    }
+    if (args.values['help'] || !command) {
+      process.stdout.write(`${HELP}\n`);
+      return command || args.values['help'] ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (COMMAND_USAGE[command] && args.positionals.length === 0) {
+      throw new UsageError(COMMAND_USAGE[command]);
+    }
+
+    switch (command) {
+      case 'render':
+        return await runRender(createClient(args.values), args);
+      case 'batch':
+        return await runBatchCommand(createClient(args.values), args);
+      case 'balance':
+        printJson(await createClient(args.values).getAccountBalance());
+        return EXIT_CODES.OK;
+      case 'regions': {
+        // Public endpoint: an API key is not required
+        const options = clientOptions(args.values);
+        options.apiKey ??= resolveClientOptions(options).apiKey ?? 'anonymous';
+        printJson(await new Browser7(options).getRegions());
+        return EXIT_CODES.OK;
+      }
+      default:
+        throw new UsageError(`Unknown command: ${command}\nRun "browser7 --help" for usage.`);
+    }
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return exitCodeFor(error);
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
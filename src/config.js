@@ -0,0 +1,193 @@
+/**
+ * Browser7 SDK Configuration
+ *
+ * Works out a client's effective options from, lowest precedence first:
+ *   1. a JSON config file, read only when the `configFile` option or
+ *      $BROWSER7_CONFIG names one
+ *   2. the selected profile (`profile` option, $BROWSER7_PROFILE or the
+ *      file's `profile`), from the file's or the constructor's `profiles`
+ *   3. the BROWSER7_API_KEY and BROWSER7_BASE_URL environment variables
+ *   4. the options passed to the constructor
+ *
+ * Render `defaults` from every layer are deep-merged, and again with the
+ * options of each call: plain objects merge key by key, other values (arrays
+ * included) are replaced, except that a call's `waitFor` actions run after
+ * the default ones unless the call sets `waitForMerge: 'replace'`.
+ */
+
+import { Browser7Error } from './errors.js';
+import { Scenario } from './scenario.js';
+import { CLIENT_OPTIONS } from './validation.js';
+import { assertFileSystem, environmentVariable, readFileSync } from './runtime.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ */
+
+/**
+ * @typedef {Object} ProfileOptions
+ * Any client option (apiKey, baseUrl, region, retry, budget, ...), plus:
+ * @property {RenderOptions} [defaults] - Render options for every call made with the profile
+ */
+
+/**
+ * @typedef {Object} ConfigFile
+ * Any JSON client option (apiKey, baseUrl, region, retry, budget, ...), plus:
+ * @property {RenderOptions} [defaults] - Render options for every call
+ * @property {Object<string, ProfileOptions>} [profiles] - Named sets of options
+ * @property {string} [profile] - Profile to use when none is selected otherwise
+ */
+
+// Keys that select configuration rather than configure the client
+const CONFIG_KEYS = ['profile', 'profiles', 'configFile'];
+
+/**
+ * Whether a value is a plain object (not an array, class instance or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Merge plain objects key by key; any other value in `overrides` replaces
+ * the one in `base`, and undefined values are skipped
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object} A new object (neither argument is changed)
+ */
+function deepMerge(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Merge render options over defaults
+ * @param {RenderOptions} defaults - Default render options
+ * @param {RenderOptions} options - Options for this call; `waitForMerge: 'replace'` drops the default wait actions
+ * @returns {RenderOptions}
+ */
+function mergeRenderOptions(defaults, options) {
+  const merged = deepMerge(defaults, options);
+
+  const actions = (waitFor) => waitFor instanceof Scenario ? waitFor.toJSON() : waitFor;
+  const defaultActions = actions(defaults.waitFor);
+  const callActions = actions(options.waitFor);
+  if (Array.isArray(defaultActions) && Array.isArray(callActions) && options.waitForMerge !== 'replace') {
+    merged.waitFor = [...defaultActions, ...callActions];
+  }
+  return merged;
+}
+
+/**
+ * Read and parse a JSON config file
+ * @param {string} file - Path of the file
+ * @returns {ConfigFile}
+ * @throws {Browser7Error} If the file cannot be read or is not a JSON object
+ */
+function readConfigFile(file) {
+  let text;
+  try {
+    text = readFileSync(file, 'utf-8');
+  } catch (error) {
+    throw new Browser7Error(`Cannot read config file ${file}: ${error.message}`, null, null, { cause: error });
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Browser7Error(`Invalid config file ${file}: ${error.message}`, null, null, { cause: error });
+  }
+  if (!isPlainObject(config)) {
+    throw new Browser7Error(`Invalid config file ${file}: expected a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Load the config file the client options or the environment name, if any
+ * @param {string|false} [configFile] - Path of the config file, or false to read none
+ * @returns {ConfigFile}
+ */
+function loadConfigFile(configFile) {
+  if (configFile === false) return {};
+
+  const file = configFile ?? environmentVariable('BROWSER7_CONFIG');
+  if (!file) return {};
+  assertFileSystem('Config files');
+  return readConfigFile(file);
+}
+
+/**
+ * Lay one set of client options over another, deep-merging their render defaults
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+function layer(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && !CONFIG_KEYS.includes(key)) merged[key] = value;
+  }
+  if (base.defaults && overrides.defaults) {
+    merged.defaults = mergeRenderOptions(base.defaults, overrides.defaults);
+  }
+  return merged;
+}
+
+/**
+ * Work out a client's effective options from its config file, the selected
+ * profile, the environment and the constructor options
+ * @param {Object} [options={}] - Constructor options
+ * @param {string} [options.profile] - Profile to use
+ * @param {Object<string, ProfileOptions>} [options.profiles] - Profiles, added to (and replacing) the config file's
+ * @param {string|false} [options.configFile] - Config file to read, or false to read none
+ * @returns {Object} Client options, with `profile` set to the selected profile's name (or null)
+ *          and `defaults` to the merged render defaults (or null)
+ * @throws {Browser7Error} If the config file is unreadable, or the profile or its defaults are invalid
+ */
+function resolveClientOptions(options = {}) {
+  const file = loadConfigFile(options.configFile);
+  const profiles = { ...file.profiles, ...options.profiles };
+  const profile = options.profile ?? environmentVariable('BROWSER7_PROFILE') ?? file.profile ?? null;
+
+  if (profile !== null && !isPlainObject(profiles[profile])) {
+    const known = Object.keys(profiles);
+    throw new Browser7Error(
+      `Unknown profile: ${profile} (${known.length > 0 ? `expected one of: ${known.join(', ')}` : 'no profiles are configured'})`
+    );
+  }
+
+  const environment = {
+    apiKey: environmentVariable('BROWSER7_API_KEY') || undefined,
+    baseUrl: environmentVariable('BROWSER7_BASE_URL') || undefined
+  };
+
+  let resolved = layer({}, file);
+  if (profile !== null) resolved = layer(resolved, profiles[profile]);
+  resolved = layer(layer(resolved, environment), options);
+
+  const defaults = resolved.defaults ?? null;
+  if (defaults !== null) {
+    if (!isPlainObject(defaults)) {
+      throw new Browser7Error('defaults must be an object of render options');
+    }
+    // Per-call behaviour (timeouts, signals, extraction, ...) is set on each call
+    const perCall = Object.keys(defaults).filter(key => CLIENT_OPTIONS.includes(key));
+    if (perCall.length > 0) {
+      throw new Browser7Error(`defaults can only hold options sent to the API, not: ${perCall.join(', ')}`);
+    }
+  }
+
+  return { ...resolved, profile, defaults };
+}
+
+export { mergeRenderOptions, resolveClientOptions };
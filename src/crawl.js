@@ -0,0 +1,429 @@
+/**
+ * Browser7 SDK Crawler
+ *
+ * Follows links from rendered pages, breadth first. Every page goes through
+ * client.render(), so the client's cache, budget, journal and telemetry all
+ * apply. Links are resolved against the page (or its <base href>),
+ * normalized and deduplicated, then filtered by scope: the start URLs' hosts
+ * unless `sameDomain` is off, include/exclude patterns, `maxDepth` and
+ * `maxPages`.
+ *
+ * robots.txt is fetched through the API: the first render on each origin
+ * also fetches `/robots.txt` via `fetchUrls`, and other pages on that origin
+ * wait until it is known. Discovered pages it disallows are skipped; start
+ * URLs are always rendered. A first page that robots.txt turns out to
+ * disallow has already been paid for, so it is yielded as skipped.
+ *
+ * A crawl is an async iterable of pages. Stopping it (break, stop() or the
+ * signal) puts unfinished pages back in the queue, and state() captures
+ * everything needed to resume it later with the `resume` option.
+ */
+
+import { AbortError, Browser7Error } from './errors.js';
+import { parseHtml, querySelector, querySelectorAll } from './html.js';
+import { parseRobots, isAllowed } from './robots.js';
+import { MAX_FETCH_URLS } from './validation.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ */
+
+/**
+ * @typedef {RegExp|string|function(string): boolean} UrlPattern
+ * A regular expression, a glob matched against the whole URL (`*` matches
+ * anything), or a predicate
+ */
+
+/**
+ * @typedef {Object} CrawlOptions
+ * @property {number} [concurrency=5] - Pages rendered at once
+ * @property {number} [maxDepth=3] - Link hops from the start URLs (0 renders only the start URLs)
+ * @property {number} [maxPages=100] - Most pages to render, failures included
+ * @property {boolean} [sameDomain=true] - Only follow links to the start URLs' hosts (and `allowedDomains`)
+ * @property {string[]} [allowedDomains] - More domains to follow links to, subdomains included
+ * @property {UrlPattern[]} [include] - Only follow links matching one of these
+ * @property {UrlPattern[]} [exclude] - Never follow links matching any of these
+ * @property {boolean} [respectRobots=true] - Skip pages disallowed by robots.txt
+ * @property {string} [userAgent='browser7'] - robots.txt user-agent token to obey
+ * @property {function(string): (string|null)} [normalizeUrl] - Extra normalization after the built-in one
+ *                                                            (return null to drop the URL)
+ * @property {RenderOptions} [renderOptions] - Options for every render
+ * @property {AbortSignal} [signal] - Stops the crawl
+ * @property {CrawlState} [resume] - State from crawl.state() to continue from
+ */
+
+/**
+ * @typedef {Object} CrawlPage
+ * @property {string} url - The rendered URL (normalized)
+ * @property {number} depth - Link hops from the start URLs
+ * @property {string|null} referrer - Page the URL was found on (null for start URLs)
+ * @property {boolean} ok - Whether the render completed
+ * @property {boolean} [skipped] - Set when robots.txt, fetched along with this page, disallows it:
+ *                                 the page was rendered (and counts toward maxPages) but is not used
+ * @property {RenderResult} [result] - The render result (when ok)
+ * @property {Error} [error] - The error (when not ok)
+ * @property {string[]} links - In-scope links found on the page, normalized
+ */
+
+/**
+ * @typedef {Object} CrawlItem
+ * @property {string} url
+ * @property {number} depth
+ * @property {string|null} referrer
+ */
+
+/**
+ * @typedef {Object} CrawlState
+ * @property {number} version - State format version
+ * @property {CrawlItem[]} queue - Pages still to render, in order
+ * @property {string[]} seen - Every URL queued so far
+ * @property {string[]} hosts - Hosts in scope with `sameDomain`
+ * @property {number} pages - Pages rendered so far
+ */
+
+const STATE_VERSION = 1;
+
+/**
+ * Built-in URL normalization: absolute http(s) URLs without fragments
+ * @param {string} href - URL or relative reference
+ * @param {string} [base] - URL to resolve against
+ * @returns {string|null} The normalized URL, or null for non-http(s) links
+ */
+function normalizeUrl(href, base) {
+  let url;
+  try {
+    url = new URL(href.trim(), base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  url.hash = '';
+  // An empty query ('?') is the same page as none
+  if (url.search === '' && url.href.endsWith('?')) url.search = '';
+  return url.href;
+}
+
+/**
+ * Compile a URL pattern into a predicate
+ * @param {UrlPattern} pattern
+ * @returns {function(string): boolean}
+ */
+function toMatcher(pattern) {
+  if (typeof pattern === 'function') return pattern;
+  if (pattern instanceof RegExp) return url => pattern.test(url);
+  if (typeof pattern === 'string') {
+    const glob = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return url => glob.test(url);
+  }
+  throw new Browser7Error(`Invalid crawl URL pattern: ${pattern} (expected a RegExp, glob string or function)`);
+}
+
+/**
+ * Links on a page, resolved against the page URL or its <base href>
+ * @param {string} html - Rendered HTML
+ * @param {string} pageUrl - The rendered URL
+ * @returns {string[]} Absolute hrefs, in document order (rel="nofollow" links excluded)
+ */
+function extractLinks(html, pageUrl) {
+  const document = parseHtml(html ?? '');
+  let base = pageUrl;
+  const baseHref = querySelector(document, 'base[href]')?.attributes.href;
+  if (baseHref) {
+    try {
+      base = new URL(baseHref, pageUrl).href;
+    } catch {
+      // Unusable <base>: resolve against the page
+    }
+  }
+
+  const links = [];
+  for (const element of querySelectorAll(document, 'a[href], area[href]')) {
+    if (/(^|\s)nofollow(\s|$)/i.test(element.attributes.rel ?? '')) continue;
+    try {
+      links.push(new URL(element.attributes.href.trim(), base).href);
+    } catch {
+      // Not a URL
+    }
+  }
+  return links;
+}
+
+/**
+ * Check a positive or non-negative integer option
+ * @param {Object} options
+ * @param {string} key
+ * @param {number} min
+ */
+function checkInteger(options, key, min) {
+  const value = options[key];
+  if (value !== undefined && value !== Infinity && !(Number.isInteger(value) && value >= min)) {
+    throw new Browser7Error(`Invalid crawl option ${key}: ${value} (expected an integer >= ${min})`);
+  }
+}
+
+class Crawl {
+  /**
+   * Use client.crawl() rather than constructing crawls directly.
+   * @param {import('./index.js').default} client - Browser7 client
+   * @param {string|string[]} startUrls - Where to start
+   * @param {CrawlOptions} [options={}]
+   */
+  constructor(client, startUrls, options = {}) {
+    checkInteger(options, 'concurrency', 1);
+    checkInteger(options, 'maxDepth', 0);
+    checkInteger(options, 'maxPages', 1);
+
+    this.client = client;
+    this.options = options;
+    this.concurrency = options.concurrency ?? 5;
+    this.maxDepth = options.maxDepth ?? 3;
+    this.maxPages = options.maxPages ?? 100;
+    this.respectRobots = options.respectRobots !== false;
+    this.userAgent = options.userAgent ?? 'browser7';
+
+    // robots.txt takes one of the render's fetchUrls slots
+    const fetchUrls = options.renderOptions?.fetchUrls?.length ?? 0;
+    if (this.respectRobots && fetchUrls >= MAX_FETCH_URLS) {
+      throw new Browser7Error(
+        `renderOptions.fetchUrls leaves no slot for robots.txt (${fetchUrls} of ${MAX_FETCH_URLS}); ` +
+        `pass at most ${MAX_FETCH_URLS - 1} or set respectRobots: false`
+      );
+    }
+
+    this._include = (options.include ?? []).map(toMatcher);
+    this._exclude = (options.exclude ?? []).map(toMatcher);
+    this._allowedDomains = (options.allowedDomains ?? []).map(domain => domain.toLowerCase());
+
+    const resume = options.resume;
+    if (resume && resume.version !== STATE_VERSION) {
+      throw new Browser7Error(`Unsupported crawl state version: ${resume.version}`);
+    }
+    /** @type {CrawlItem[]} */
+    this._queue = resume ? resume.queue.map(item => ({ ...item })) : [];
+    this._seen = new Set(resume?.seen ?? []);
+    this._hosts = new Set(resume?.hosts ?? []);
+    this._pages = resume?.pages ?? 0;
+    // Start URLs are rendered even if robots.txt disallows them
+    this._start = new Set();
+
+    for (const href of [].concat(startUrls ?? [])) {
+      const url = this._normalize(href);
+      if (!url) throw new Browser7Error(`Invalid crawl start URL: ${href}`);
+      this._hosts.add(new URL(url).hostname);
+      this._start.add(url);
+      if (!this._seen.has(url)) {
+        this._seen.add(url);
+        this._queue.push({ url, depth: 0, referrer: null });
+      }
+    }
+
+    /** @type {Map<string, CrawlItem>} Pages being rendered */
+    this._inFlight = new Map();
+    /** @type {Map<string, Array|null>} Origin → robots.txt groups (null while loading) */
+    this._robots = new Map();
+    this._controller = new AbortController();
+    this._iterating = false;
+  }
+
+  /**
+   * Stop the crawl. Pages being rendered go back to the queue, so state()
+   * can resume them; iteration ends once they have settled.
+   * @param {*} [reason]
+   */
+  stop(reason) {
+    this._controller.abort(reason ?? new AbortError('Crawl was stopped'));
+  }
+
+  /**
+   * Everything needed to resume the crawl, as JSON-safe data
+   * @returns {CrawlState}
+   */
+  state() {
+    return {
+      version: STATE_VERSION,
+      queue: [...this._inFlight.values(), ...this._queue].map(item => ({ ...item })),
+      seen: [...this._seen],
+      hosts: [...this._hosts],
+      pages: this._pages - this._inFlight.size
+    };
+  }
+
+  /**
+   * Normalize a URL with the built-in rules and the `normalizeUrl` option
+   * @param {string} href
+   * @param {string} [base]
+   * @returns {string|null}
+   * @private
+   */
+  _normalize(href, base) {
+    const url = normalizeUrl(href, base);
+    if (!url || !this.options.normalizeUrl) return url;
+    const custom = this.options.normalizeUrl(url);
+    return custom ? normalizeUrl(custom) : null;
+  }
+
+  /**
+   * Whether a discovered link should be followed
+   * @param {string} url - Normalized URL
+   * @returns {boolean}
+   * @private
+   */
+  _inScope(url) {
+    if (this.options.sameDomain !== false) {
+      const host = new URL(url).hostname;
+      const allowed = this._hosts.has(host) ||
+        this._allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+      if (!allowed) return false;
+    }
+    if (this._include.length > 0 && !this._include.some(match => match(url))) return false;
+    return !this._exclude.some(match => match(url));
+  }
+
+  /**
+   * Whether robots.txt (when known) lets the crawler render a page
+   * @param {CrawlItem} item
+   * @returns {boolean}
+   * @private
+   */
+  _allowed(item) {
+    if (!this.respectRobots || this._start.has(item.url)) return true;
+    const groups = this._robots.get(new URL(item.url).origin);
+    return groups ? isAllowed(groups, item.url, this.userAgent) : true;
+  }
+
+  /**
+   * Render one page and work out its links
+   * @param {CrawlItem} item
+   * @returns {Promise<CrawlPage>} The page, skipped if robots.txt turned out to disallow it
+   * @private
+   */
+  async _renderPage(item) {
+    const origin = new URL(item.url).origin;
+    const renderOptions = { ...this.options.renderOptions, signal: this._controller.signal };
+
+    let robotsUrl = null;
+    if (this.respectRobots && !this._robots.has(origin)) {
+      robotsUrl = `${origin}/robots.txt`;
+      this._robots.set(origin, null);
+      renderOptions.fetchUrls = [...(renderOptions.fetchUrls ?? []), robotsUrl];
+    }
+
+    let result;
+    try {
+      result = await this.client.render(item.url, renderOptions);
+    } catch (error) {
+      // Try robots.txt again with the origin's next page
+      if (robotsUrl) this._robots.delete(origin);
+      throw error;
+    }
+
+    if (robotsUrl) {
+      const responses = result.fetchResponses ?? [];
+      const robots = responses.findLast(response => response.url === robotsUrl);
+      // Missing or unreadable robots.txt means everything is allowed
+      this._robots.set(origin, robots?.ok ? parseRobots(robots.text()) : []);
+      result.fetchResponses = responses.filter(response => response !== robots);
+      if (this.options.renderOptions?.fetchUrls === undefined) delete result.fetchResponses;
+
+      if (!this._allowed(item)) {
+        const error = new Browser7Error(`Disallowed by robots.txt, which was fetched with this page: ${item.url}`);
+        return { url: item.url, depth: item.depth, referrer: item.referrer, ok: false, skipped: true, error, links: [] };
+      }
+    }
+
+    const links = [];
+    if (item.depth < this.maxDepth) {
+      for (const href of extractLinks(result.html, item.url)) {
+        const url = this._normalize(href);
+        if (url && !links.includes(url) && this._inScope(url)) links.push(url);
+      }
+    }
+
+    return { url: item.url, depth: item.depth, referrer: item.referrer, ok: true, result, links };
+  }
+
+  /**
+   * Iterate over pages as they finish rendering. Breaking out of the loop
+   * stops the crawl.
+   * @returns {AsyncGenerator<CrawlPage>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (this._iterating) throw new Browser7Error('A crawl can only be iterated once; resume it with crawl.state()');
+    this._iterating = true;
+
+    const { signal } = this.options;
+    const onAbort = () => this.stop(signal.reason);
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const buffer = [];
+    let wake = null;
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+
+    const schedule = () => {
+      while (!this._controller.signal.aborted && this._inFlight.size < this.concurrency && this._pages < this.maxPages) {
+        // Pages wait while their origin's robots.txt is loading
+        const index = this._queue.findIndex(item => this._robots.get(new URL(item.url).origin) !== null);
+        if (index === -1) return;
+        const [item] = this._queue.splice(index, 1);
+        if (!this._allowed(item)) continue;
+
+        this._pages++;
+        this._inFlight.set(item.url, item);
+        this._renderPage(item).then(page => {
+          for (const url of page.links) {
+            if (this._seen.has(url)) continue;
+            this._seen.add(url);
+            this._queue.push({ url, depth: item.depth + 1, referrer: item.url });
+          }
+          buffer.push(page);
+        }, error => {
+          if (this._controller.signal.aborted) {
+            // Unfinished: render it again on resume
+            this._pages--;
+            this._queue.unshift(item);
+          } else {
+            buffer.push({ url: item.url, depth: item.depth, referrer: item.referrer, ok: false, error, links: [] });
+          }
+        }).finally(() => {
+          this._inFlight.delete(item.url);
+          schedule();
+          notify();
+        });
+      }
+    };
+
+    try {
+      schedule();
+      while (true) {
+        if (buffer.length > 0) {
+          yield buffer.shift();
+        } else if (this._inFlight.size === 0) {
+          return;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (this._inFlight.size > 0) this.stop();
+      // Let in-flight renders settle so state() sees them back in the queue
+      while (this._inFlight.size > 0) {
+        await new Promise(resolve => { wake = resolve; });
+      }
+      // Pages rendered but never handed out are rendered again on resume
+      for (const page of buffer.reverse()) {
+        this._pages--;
+        this._queue.unshift({ url: page.url, depth: page.depth, referrer: page.referrer });
+      }
+    }
+  }
+}
+
+export { Crawl, normalizeUrl, extractLinks };
@@ -0,0 +1,174 @@
+/**
+ * Browser7 SDK Diffs
+ *
+ * Line diffs (Myers' O(ND) algorithm) and structural diffs of JSON data,
+ * used by monitors to describe what changed between two snapshots.
+ */
+
+// Past this many edits a line diff reports the differing middle as replaced
+const MAX_EDITS = 1000;
+
+/**
+ * @typedef {Object} LineChange
+ * @property {'added'|'removed'} type
+ * @property {number} index - Position in the new lines (added) or the old lines (removed)
+ */
+
+/**
+ * @typedef {Object} DataChange
+ * @property {'added'|'removed'|'changed'} type
+ * @property {string} path - Where the value sits, e.g. 'price' or 'items[2].name'
+ * @property {*} [before] - Old value (removed and changed)
+ * @property {*} [after] - New value (added and changed)
+ */
+
+/**
+ * Shortest edit script between two line arrays, or null if it is longer than maxEdits
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} maxEdits
+ * @returns {LineChange[]|null} Changes in document order
+ */
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Only diagonals -d..d matter at step d, so each snapshot keeps just that band
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+}
+
+/**
+ * Walk the saved snapshots back from the end to recover the edits
+ * @param {Int32Array[]} trace
+ * @param {number} n
+ * @param {number} m
+ * @returns {LineChange[]}
+ */
+function backtrack(trace, n, m) {
+  const changes = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const band = trace[d];
+    const at = (k) => band[k + d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+    }
+    if (previousK === k + 1) {
+      changes.push({ type: 'added', index: previousY });
+    } else {
+      changes.push({ type: 'removed', index: previousX });
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return changes.reverse();
+}
+
+/**
+ * Lines removed from `before` and added in `after`
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {LineChange[]} Changes in document order (removals before additions at the same spot)
+ */
+function diffLines(before, after) {
+  // Pages mostly change in one place: skip the shared head and tail first
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const changes = myers(a, b, MAX_EDITS) ?? [
+    ...a.map((_, index) => ({ type: 'removed', index })),
+    ...b.map((_, index) => ({ type: 'added', index }))
+  ];
+  return changes.map(change => ({ ...change, index: change.index + start }));
+}
+
+/**
+ * Whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Differences between two JSON values, field by field
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} [path=''] - Path of the values being compared
+ * @returns {DataChange[]}
+ */
+function diffValues(before, after, path = '') {
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const child = path ? `${path}.${key}` : key;
+      if (!(key in after)) {
+        changes.push({ type: 'removed', path: child, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ type: 'added', path: child, after: after[key] });
+      } else {
+        changes.push(...diffValues(before[key], after[key], child));
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      const child = `${path}[${index}]`;
+      if (index >= after.length) {
+        changes.push({ type: 'removed', path: child, before: before[index] });
+      } else if (index >= before.length) {
+        changes.push({ type: 'added', path: child, after: after[index] });
+      } else {
+        changes.push(...diffValues(before[index], after[index], child));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ type: 'changed', path, before, after }];
+}
+
+export { diffLines, diffValues };
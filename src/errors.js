@@ -2,41 +2,184 @@
  * Browser7 SDK Error Classes
  *
  * Hierarchy:
- *   Browser7Error (base)          — network errors, 404, 500+, constructor validation
+ *   Browser7Error (base)          — 404, 500+, constructor validation
+ *   ├── NetworkError              — no response: connection refused, DNS failure, reset
  *   ├── AuthenticationError       — 401, 403
  *   ├── ValidationError           — 400
  *   ├── RateLimitError            — 429
  *   ├── InsufficientBalanceError  — 402
- *   └── RenderError               — 422 (failed render), render() failure/timeout
+ *   │   └── BudgetExceededError   — render refused locally by the client's spending guard
+ *   ├── RenderError               — 422 (failed render), render() failure/timeout
+ *   ├── DecodeError               — corrupt html/fetchResponses payload (strict decoding)
+ *   ├── WebhookVerificationError  — webhook with a missing/invalid signature or stale timestamp
+ *   └── AbortError                — operation cancelled via AbortSignal
+ *       └── TimeoutError          — operation exceeded its `timeout` option
+ *
+ * Every error reports `isRetryable` (trying again may succeed) and
+ * `isBillable` (the failure was charged), and round-trips through
+ * `toJSON()` / `Browser7Error.fromJSON()` with its class, fields and cause
+ * intact, so it can cross worker threads and job queues.
+ */
+
+/**
+ * Documented `RenderError.errorCode` values. Any other code the API sends is
+ * passed through as an opaque string.
+ * @readonly
+ * @enum {string}
+ */
+const RenderErrorCode = Object.freeze({
+  /** The connection to the page failed while it was rendering */
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  /** The render did not finish in time (also used when render() stops polling) */
+  RENDER_TIMEOUT: 'RENDER_TIMEOUT'
+});
+
+// Render failures that may succeed on another attempt (a new render gets a new browser and IP)
+const RETRYABLE_RENDER_ERRORS = new Set([
+  RenderErrorCode.NETWORK_ERROR,
+  RenderErrorCode.RENDER_TIMEOUT
+]);
+
+/**
+ * Plain JSON form of an error's cause (any Error, or a JSON-safe value)
+ * @param {*} cause
+ * @returns {*}
  */
+function serializeCause(cause) {
+  if (cause instanceof Browser7Error) return cause.toJSON();
+  if (!(cause instanceof Error)) return cause;
+
+  const json = { name: cause.name, message: cause.message };
+  if (cause.code !== undefined) json.code = cause.code;
+  if (cause.stack !== undefined) json.stack = cause.stack;
+  if (cause.cause !== undefined) json.cause = serializeCause(cause.cause);
+  return json;
+}
+
+/**
+ * Rebuild an error's cause from serializeCause() output
+ * @param {*} json
+ * @returns {*}
+ */
+function restoreCause(json) {
+  if (typeof json?.name !== 'string' || typeof json.message !== 'string') return json;
+  if (Object.hasOwn(ERROR_CLASSES, json.name)) return Browser7Error.fromJSON(json);
+
+  const error = new Error(json.message, json.cause === undefined ? undefined : { cause: restoreCause(json.cause) });
+  error.name = json.name;
+  if (json.code !== undefined) error.code = json.code;
+  if (json.stack !== undefined) error.stack = json.stack;
+  return error;
+}
 
 class Browser7Error extends Error {
   /**
    * @param {string} message - Human-readable error message
    * @param {number|null} [statusCode=null] - HTTP status code (null for network/timeout errors)
    * @param {object|null} [body=null] - Parsed JSON response body (null for network errors)
+   * @param {object} [options] - Standard error options
+   * @param {Error} [options.cause] - Underlying error (e.g., the fetch failure for network errors)
    */
-  constructor(message, statusCode = null, body = null) {
-    super(message);
+  constructor(message, statusCode = null, body = null, options = undefined) {
+    super(message, options);
     this.name = 'Browser7Error';
     this.statusCode = statusCode;
     this.body = body;
+    /** @type {number|null} Server-suggested retry delay in seconds (Retry-After header or body) */
+    this.retryAfter = null;
+  }
+
+  /**
+   * Server-suggested retry delay in milliseconds (Retry-After header or body)
+   * @type {number|null}
+   */
+  get retryAfterMs() {
+    return this.retryAfter === null ? null : Math.round(this.retryAfter * 1000);
+  }
+
+  /**
+   * Whether trying again may succeed (here: 429 and 5xx responses). Automatic
+   * retries also check that repeating the request is safe.
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return this.statusCode === 429 || this.statusCode >= 500;
+  }
+
+  /**
+   * Whether the failed operation was charged to the account
+   * @type {boolean}
+   */
+  get isBillable() {
+    return false;
+  }
+
+  /**
+   * Plain representation with the class name, fields, stack and cause, used by JSON.stringify
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = { name: this.name, message: this.message, ...this };
+    if (this.cause !== undefined) json.cause = serializeCause(this.cause);
+    json.stack = this.stack;
+    return json;
+  }
+
+  /**
+   * Rebuild an error from its toJSON() output, as the same class
+   * @param {Object} json - Output of toJSON() (e.g., after JSON.parse or postMessage)
+   * @returns {Browser7Error} An instance of the original class (Browser7Error for unknown names)
+   */
+  static fromJSON(json) {
+    const ErrorClass = Object.hasOwn(ERROR_CLASSES, json?.name) ? ERROR_CLASSES[json.name] : Browser7Error;
+    const { message, cause, stack, ...fields } = json ?? {};
+    const options = cause === undefined ? undefined : { cause: restoreCause(cause) };
+
+    const error = new ErrorClass(message ?? '');
+    if (options) Object.defineProperty(error, 'cause', { value: options.cause, writable: true, configurable: true });
+    Object.assign(error, fields);
+    if (stack !== undefined) error.stack = stack;
+    return error;
+  }
+}
+
+class NetworkError extends Browser7Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {object} [options] - Standard error options
+   * @param {Error} [options.cause] - The fetch failure, with the system error (e.g., ECONNREFUSED) as its cause
+   */
+  constructor(message, options = undefined) {
+    super(message, null, null, options);
+    this.name = 'NetworkError';
+  }
+
+  get isRetryable() {
+    return true;
   }
 }
 
 class AuthenticationError extends Browser7Error {
-  constructor(message, statusCode = null, body = null) {
-    super(message, statusCode, body);
+  constructor(message, statusCode = null, body = null, options = undefined) {
+    super(message, statusCode, body, options);
     this.name = 'AuthenticationError';
   }
+
+  get isRetryable() {
+    return false;
+  }
 }
 
 class ValidationError extends Browser7Error {
-  constructor(message, statusCode = null, body = null) {
-    super(message, statusCode, body);
+  constructor(message, statusCode = null, body = null, options = undefined) {
+    super(message, statusCode, body, options);
     this.name = 'ValidationError';
   }
 
+  get isRetryable() {
+    return false;
+  }
+
   /** @returns {Array|null} Validation error details from the API response */
   get details() {
     return this.body?.details ?? null;
@@ -44,12 +187,22 @@ class ValidationError extends Browser7Error {
 }
 
 class RateLimitError extends Browser7Error {
-  constructor(message, statusCode = null, body = null) {
-    super(message, statusCode, body);
+  constructor(message, statusCode = null, body = null, options = undefined) {
+    super(message, statusCode, body, options);
     this.name = 'RateLimitError';
   }
 
-  /** @returns {number|null} Maximum concurrent requests allowed */
+  get isRetryable() {
+    return true;
+  }
+
+  /**
+   * Maximum concurrent renders allowed, when the 429 was for the concurrency limit.
+   * The API's 429 body has no structured field for the limit and Retry-After only
+   * says when to try again, so the number is read from the documented message
+   * ('... Maximum allowed: N'); null for other 429s.
+   * @returns {number|null}
+   */
   get concurrentLimit() {
     const match = this.message.match(/Maximum allowed:\s*(\d+)/);
     return match ? parseInt(match[1], 10) : null;
@@ -57,10 +210,28 @@ class RateLimitError extends Browser7Error {
 }
 
 class InsufficientBalanceError extends Browser7Error {
-  constructor(message, statusCode = null, body = null) {
-    super(message, statusCode, body);
+  constructor(message, statusCode = null, body = null, options = undefined) {
+    super(message, statusCode, body, options);
     this.name = 'InsufficientBalanceError';
   }
+
+  get isRetryable() {
+    return false;
+  }
+}
+
+class BudgetExceededError extends InsufficientBalanceError {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {'maxCents'|'minBalanceCents'} limit - The budget limit the render would cross
+   * @param {object} usage - Usage report at the time of the refusal (see client.usageReport())
+   */
+  constructor(message, limit, usage) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.limit = limit;
+    this.usage = usage;
+  }
 }
 
 class RenderError extends Browser7Error {
@@ -68,24 +239,139 @@ class RenderError extends Browser7Error {
    * @param {string} message - Human-readable error message
    * @param {number|null} [statusCode=null] - HTTP status code
    * @param {object|null} [body=null] - Parsed JSON response body
-   * @param {string|null} [errorCode=null] - API error code (e.g., 'NETWORK_ERROR', 'RENDER_TIMEOUT')
+   * @param {RenderErrorCode|string|null} [errorCode=null] - API error code (e.g., 'NETWORK_ERROR', 'RENDER_TIMEOUT')
    * @param {string|null} [renderId=null] - The render ID
    * @param {boolean|null} [billable=null] - Whether the render was charged
+   * @param {object} [options] - Standard error options
    */
-  constructor(message, statusCode = null, body = null, errorCode = null, renderId = null, billable = null) {
-    super(message, statusCode, body);
+  constructor(message, statusCode = null, body = null, errorCode = null, renderId = null, billable = null, options = undefined) {
+    super(message, statusCode, body, options);
     this.name = 'RenderError';
+    /** @type {RenderErrorCode|string|null} Why the render failed (see RenderErrorCode; null when the API gave no code) */
     this.errorCode = errorCode;
     this.renderId = renderId;
     this.billable = billable;
   }
+
+  /** Whether a new render may succeed: only for the documented transient codes */
+  get isRetryable() {
+    return RETRYABLE_RENDER_ERRORS.has(this.errorCode);
+  }
+
+  get isBillable() {
+    return this.billable === true;
+  }
+}
+
+class DecodeError extends Browser7Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {string} field - The payload that could not be decoded (e.g., 'html', 'fetchResponses[1].body')
+   * @param {string|null} [renderId=null] - The render the payload belongs to
+   * @param {object} [options] - Standard error options
+   * @param {Error} [options.cause] - The underlying gunzip, JSON or charset error
+   */
+  constructor(message, field, renderId = null, options = undefined) {
+    super(message, null, null, options);
+    this.name = 'DecodeError';
+    this.field = field;
+    this.renderId = renderId;
+  }
+
+  get isRetryable() {
+    return false;
+  }
+
+  /** The render completed and was charged; only its payload was corrupt */
+  get isBillable() {
+    return this.renderId !== null;
+  }
 }
 
+class WebhookVerificationError extends Browser7Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {object} [options] - Standard error options
+   */
+  constructor(message, options = undefined) {
+    super(message, null, null, options);
+    this.name = 'WebhookVerificationError';
+  }
+
+  get isRetryable() {
+    return false;
+  }
+}
+
+class AbortError extends Browser7Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {string|null} [renderId=null] - The render ID, if the render was created before the abort
+   * @param {object} [options] - Standard error options
+   * @param {*} [options.cause] - The abort reason
+   */
+  constructor(message, renderId = null, options = undefined) {
+    super(message, null, null, options);
+    this.name = 'AbortError';
+    this.renderId = renderId;
+  }
+
+  get isRetryable() {
+    return false;
+  }
+
+  /** A render created before the abort keeps running, and is charged if it completes */
+  get isBillable() {
+    return this.renderId !== null;
+  }
+}
+
+class TimeoutError extends AbortError {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {string|null} [renderId=null] - The render ID, if the render was created before the timeout
+   * @param {number|null} [timeout=null] - The timeout that was exceeded, in milliseconds
+   * @param {object} [options] - Standard error options
+   */
+  constructor(message, renderId = null, timeout = null, options = undefined) {
+    super(message, renderId, options);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+// Classes fromJSON() can restore, by name
+const ERROR_CLASSES = {
+  Browser7Error,
+  NetworkError,
+  AuthenticationError,
+  ValidationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError
+};
+
 export {
+  RenderErrorCode,
   Browser7Error,
+  NetworkError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
   InsufficientBalanceError,
-  RenderError
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError
 };
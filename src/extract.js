@@ -0,0 +1,253 @@
+/**
+ * Browser7 SDK Data Extraction
+ *
+ * Pulls structured data out of rendered HTML using a declarative schema of
+ * CSS selectors. Each schema key maps to a field spec:
+ *
+ *   {
+ *     title: 'h1',                                          // text of the first match
+ *     price: { selector: '.price', transform: 'number' },
+ *     image: { selector: 'img', attribute: 'src', transform: 'url' },
+ *     tags: { selector: '.tag', list: true, transform: 'trim' },
+ *     items: { selector: '.item', list: true, fields: { name: '.name' } }
+ *   }
+ *
+ * Every selector that matches nothing is reported in `missing`, so a site
+ * layout change shows up as a non-empty report instead of silent nulls.
+ */
+
+import { Browser7Error } from './errors.js';
+import { parseHtml, parseSelector, querySelector, querySelectorAll, textContent } from './html.js';
+
+/**
+ * @typedef {'trim'|'number'|'integer'|'url'|'lowercase'|'uppercase'|function(*, ExtractContext): *} Transform
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} [selector] - CSS selector, relative to the enclosing element (omit to use the enclosing element itself)
+ * @property {string} [attribute] - Read this attribute instead of the text content
+ * @property {boolean} [list=false] - Return every match as an array instead of the first match
+ * @property {Object<string, string|FieldSpec>} [fields] - Extract a nested object from each match
+ * @property {Transform|Transform[]} [transform] - Applied in order to the extracted value
+ * @property {*} [default=null] - Value used when nothing matches (lists default to [])
+ */
+
+/**
+ * @typedef {Object<string, string|FieldSpec>} ExtractSchema
+ */
+
+/**
+ * @typedef {Object} ExtractContext
+ * @property {string|null} baseUrl - URL relative links resolve against
+ * @property {import('./html.js').HtmlNode} element - The matched element
+ */
+
+/**
+ * @typedef {Object} MissingField
+ * @property {string} path - Path of the field in the result (e.g., 'items[2].price')
+ * @property {string} selector - The selector (or 'selector[attribute]') that matched nothing
+ */
+
+/**
+ * @typedef {Object} ExtractResult
+ * @property {Object} data - Extracted values, shaped like the schema
+ * @property {MissingField[]} missing - Fields whose selector or attribute matched nothing
+ */
+
+const TRANSFORMS = {
+  trim: value => value.replace(/\s+/g, ' ').trim(),
+  number: value => {
+    const match = /-?\d[\d,]*(?:\.\d+)?|-?\.\d+/.exec(value.replace(/\s/g, ''));
+    return match ? Number(match[0].replace(/,/g, '')) : null;
+  },
+  integer: value => {
+    const number = TRANSFORMS.number(value);
+    return number === null ? null : Math.trunc(number);
+  },
+  url: (value, { baseUrl }) => {
+    try {
+      return new URL(value.trim(), baseUrl ?? undefined).href;
+    } catch {
+      return value;
+    }
+  },
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase()
+};
+
+/**
+ * Apply a field's transforms to an extracted string
+ * @param {string} value - Raw text or attribute value
+ * @param {FieldSpec} spec - Field spec
+ * @param {ExtractContext} context - Extraction context
+ * @returns {*} Transformed value
+ */
+function applyTransforms(value, spec, context) {
+  const transforms = spec.transform === undefined ? [] : [].concat(spec.transform);
+  return transforms.reduce((current, transform) => {
+    if (typeof transform === 'function') return transform(current, context);
+    // Built-in transforms operate on strings; pass anything else through
+    return typeof current === 'string' ? TRANSFORMS[transform](current, context) : current;
+  }, value);
+}
+
+/**
+ * Check that a selector parses
+ * @param {string} selector - CSS selector
+ * @param {string} path - Field path for error messages
+ * @throws {Browser7Error} If the selector is invalid
+ */
+function checkSelector(selector, path) {
+  try {
+    parseSelector(selector);
+  } catch (error) {
+    throw new Browser7Error(`Invalid extract schema at ${path}: ${error.message}`, null, null, { cause: error });
+  }
+}
+
+/**
+ * Check a schema before running it, so typos fail loudly instead of as missing fields
+ * @param {ExtractSchema} schema - Extraction schema
+ * @param {string} [prefix=''] - Path prefix for error messages
+ * @throws {Browser7Error} If the schema is malformed
+ */
+function checkSchema(schema, prefix = '') {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Browser7Error(`Invalid extract schema${prefix ? ` at ${prefix}` : ''}: expected an object of fields`);
+  }
+
+  for (const [name, field] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    if (typeof field === 'string') {
+      checkSelector(field, path);
+      continue;
+    }
+    if (field === null || typeof field !== 'object') {
+      throw new Browser7Error(`Invalid extract schema at ${path}: expected a selector string or field spec`);
+    }
+    if (field.selector !== undefined && typeof field.selector !== 'string') {
+      throw new Browser7Error(`Invalid extract schema at ${path}: selector must be a string`);
+    }
+    if (field.selector !== undefined) checkSelector(field.selector, path);
+    if (field.selector === undefined && !field.fields && !field.attribute) {
+      throw new Browser7Error(`Invalid extract schema at ${path}: a selector, attribute or fields is required`);
+    }
+    for (const transform of field.transform === undefined ? [] : [].concat(field.transform)) {
+      if (typeof transform !== 'function' && !Object.hasOwn(TRANSFORMS, transform)) {
+        throw new Browser7Error(
+          `Invalid extract schema at ${path}: unknown transform '${transform}' (expected ${Object.keys(TRANSFORMS).join(', ')} or a function)`
+        );
+      }
+    }
+    if (field.fields !== undefined) checkSchema(field.fields, path);
+  }
+}
+
+/**
+ * Extract a set of fields relative to an element
+ * @param {import('./html.js').HtmlNode} root - Element (or document) to search within
+ * @param {ExtractSchema} schema - Fields to extract
+ * @param {string} prefix - Path of root in the result
+ * @param {Object} state - Shared { baseUrl, missing }
+ * @returns {Object} Extracted values
+ */
+function extractFields(root, schema, prefix, state) {
+  const data = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const spec = typeof field === 'string' ? { selector: field } : field;
+    data[name] = extractField(root, spec, prefix ? `${prefix}.${name}` : name, state);
+  }
+  return data;
+}
+
+/**
+ * Extract one field
+ * @param {import('./html.js').HtmlNode} root - Element (or document) to search within
+ * @param {FieldSpec} spec - Field spec
+ * @param {string} path - Path of the field in the result
+ * @param {Object} state - Shared { baseUrl, missing }
+ * @returns {*} Extracted value
+ */
+function extractField(root, spec, path, state) {
+  const valueOf = (element, elementPath) => {
+    if (spec.fields) return extractFields(element, spec.fields, elementPath, state);
+
+    let value;
+    if (spec.attribute) {
+      value = element.attributes?.[spec.attribute.toLowerCase()];
+      if (value === undefined) {
+        state.missing.push({ path: elementPath, selector: `${spec.selector ?? ''}[${spec.attribute}]` });
+        return spec.default ?? null;
+      }
+    } else {
+      value = textContent(element);
+    }
+    return applyTransforms(value, spec, { baseUrl: state.baseUrl, element });
+  };
+
+  if (spec.list) {
+    const elements = spec.selector === undefined ? [root] : querySelectorAll(root, spec.selector);
+    if (elements.length === 0) {
+      state.missing.push({ path, selector: spec.selector });
+      return spec.default ?? [];
+    }
+    return elements.map((element, index) => valueOf(element, `${path}[${index}]`));
+  }
+
+  const element = spec.selector === undefined ? root : querySelector(root, spec.selector);
+  if (!element) {
+    state.missing.push({ path, selector: spec.selector });
+    return spec.default ?? null;
+  }
+  return valueOf(element, path);
+}
+
+/**
+ * Extract structured data from HTML
+ * @param {string} html - HTML source (e.g., result.html)
+ * @param {ExtractSchema} schema - Fields to extract
+ * @param {Object} [options={}]
+ * @param {string} [options.baseUrl] - URL relative links resolve against (the rendered URL); a <base href> in the page takes precedence
+ * @returns {ExtractResult} Extracted data and the fields that matched nothing
+ * @throws {Browser7Error} If the schema or one of its selectors is malformed
+ *
+ * @example
+ * const { data, missing } = extract(result.html, {
+ *   title: { selector: 'h1', transform: 'trim' },
+ *   links: { selector: 'a', attribute: 'href', list: true, transform: 'url' }
+ * }, { baseUrl: 'https://example.com' });
+ */
+function extract(html, schema, options = {}) {
+  checkSchema(schema);
+
+  const document = parseHtml(html ?? '');
+  let baseUrl = options.baseUrl ?? null;
+
+  const baseHref = querySelector(document, 'base[href]')?.attributes.href;
+  if (baseHref) {
+    try {
+      baseUrl = new URL(baseHref, baseUrl ?? undefined).href;
+    } catch {
+      // Relative <base> without a rendered URL to resolve it against: ignore it
+    }
+  }
+
+  const state = { baseUrl, missing: [] };
+  const data = extractFields(document, schema, '', state);
+  return { data, missing: state.missing };
+}
+
+/**
+ * Add `extracted` to a render result when its render options hold an extraction schema
+ * @param {import('./index.js').RenderResult} result - The render result (changed in place)
+ * @param {string} url - The rendered URL, which relative links resolve against
+ * @param {import('./index.js').RenderOptions} options - The render options
+ * @returns {import('./index.js').RenderResult} The same result
+ */
+function extractResult(result, url, options) {
+  if (options.extract) result.extracted = extract(result.html, options.extract, { baseUrl: url });
+  return result;
+}
+
+export { extract, extractResult, checkSchema };
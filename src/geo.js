@@ -0,0 +1,213 @@
+/**
+ * Browser7 SDK Multi-Geo Comparison
+ *
+ * renderAcrossGeos() renders one URL from several countries and cities
+ * through the batch pool, then lines the results up against a baseline geo:
+ * page text is normalized and diffed as monitors do, or, with an extraction
+ * schema, the extracted fields are laid out side by side. Each geo also
+ * reports the city the API actually used, its CAPTCHA info and whether it
+ * failed.
+ */
+
+import { Browser7Error } from './errors.js';
+import { parseSelector } from './html.js';
+import { renderMany } from './batch.js';
+import { assertValidRenderOptions } from './validation.js';
+import { pageLines, diffSnapshots } from './monitor.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./index.js').SelectedCity} SelectedCity
+ * @typedef {import('./index.js').CaptchaInfo} CaptchaInfo
+ * @typedef {import('./index.js').ExtractSchema} ExtractSchema
+ * @typedef {import('./batch.js').BatchProgressEvent} BatchProgressEvent
+ * @typedef {import('./monitor.js').MonitorDiff} MonitorDiff
+ */
+
+/**
+ * @typedef {Object} GeoTarget
+ * @property {string} [countryCode] - Country to render from (e.g. 'US')
+ * @property {string} [city] - City to render from (e.g. 'new.york')
+ * @property {string} [label] - Name for this geo in the comparison (default: 'US/new.york', 'US', ...)
+ * @property {RenderOptions} [options] - Extra render options for this geo only
+ */
+
+/**
+ * @typedef {Object} GeoCompareOptions
+ * @property {string} [baseline] - Label of the geo the others are compared with (default: the first that succeeds)
+ * @property {ExtractSchema} [extract] - Compare extracted fields instead of page text
+ * @property {string} [selector] - Only compare the text inside elements matching this selector
+ * @property {string[]} [ignore] - Selectors of elements to leave out of the comparison
+ * @property {function(string): (string|null)} [normalize] - Rewrite each text line before comparing; return null to drop it
+ * @property {RenderOptions} [renderOptions] - Options applied to every render
+ * @property {number} [concurrency=5] - Renders in flight at once
+ * @property {number} [maxCents] - Most the comparison may spend
+ * @property {AbortSignal} [signal] - Aborts the renders
+ * @property {function(BatchProgressEvent & {label: string}): void} [onProgress] - Progress events from every render
+ */
+
+/**
+ * @typedef {Object} GeoResult
+ * @property {string} label - The geo's label
+ * @property {{countryCode: string|null, city: string|null}} requested - What was asked for
+ * @property {SelectedCity|null} selectedCity - The city the API used
+ * @property {boolean|null} cityMatched - Whether the API used the requested city (null when no city was requested)
+ * @property {'completed'|'failed'} status - Whether the render completed
+ * @property {string|null} renderId - The render ID (null if the render was never created)
+ * @property {CaptchaInfo|null} captcha - CAPTCHA detection and handling for this geo
+ * @property {RenderResult} [result] - The render result (when completed)
+ * @property {Error} [error] - Why the render failed (when failed)
+ * @property {boolean|null} identical - Whether the content matches the baseline (null when failed)
+ * @property {MonitorDiff|null} diff - Differences from the baseline (null when identical, failed or the baseline)
+ */
+
+/**
+ * @typedef {Object} GeoFieldRow
+ * @property {string} field - Top-level field of the extraction schema
+ * @property {Object<string, *>} values - The field's value per geo label (failed geos left out)
+ * @property {boolean} differs - Whether the geos disagree on the value
+ */
+
+/**
+ * @typedef {Object} GeoComparison
+ * @property {string} url - The rendered URL
+ * @property {string|null} baseline - Label of the geo the others were compared with (null if every render failed)
+ * @property {boolean} identical - Whether every completed geo matches the baseline
+ * @property {GeoResult[]} geos - One entry per requested geo, in input order
+ * @property {GeoFieldRow[]|null} fields - With `extract`: one row per extracted field
+ */
+
+/**
+ * Normalize a geo target
+ * @param {string|GeoTarget} geo - Target, or a country code
+ * @returns {{label: string, countryCode: string|null, city: string|null, options: RenderOptions}}
+ */
+function toTarget(geo) {
+  const target = typeof geo === 'string' ? { countryCode: geo } : geo ?? {};
+  const countryCode = target.countryCode ?? null;
+  const city = target.city ?? null;
+  const label = target.label ?? ([countryCode, city].filter(Boolean).join('/') || 'default');
+  return { label, countryCode, city, options: target.options ?? {} };
+}
+
+/**
+ * Render a URL from several geos and compare the results
+ * @param {import('./index.js').default} client - Browser7 client
+ * @param {string} url - The URL to render
+ * @param {Array<string|GeoTarget>} geos - Countries and cities to render from
+ * @param {GeoCompareOptions} [options={}]
+ * @returns {Promise<GeoComparison>}
+ * @throws {Browser7Error} If no geos are given, labels repeat, the baseline is unknown or a selector is invalid
+ * @throws {ValidationError} If the render options for a geo are invalid
+ */
+async function renderAcrossGeos(client, url, geos, options = {}) {
+  if (!Array.isArray(geos) || geos.length === 0) {
+    throw new Browser7Error('renderAcrossGeos requires at least one geo');
+  }
+
+  const targets = geos.map(toTarget);
+  const labels = targets.map(target => target.label);
+  const repeated = labels.find((label, index) => labels.indexOf(label) !== index);
+  if (repeated !== undefined) {
+    throw new Browser7Error(`Duplicate geo label: ${repeated} (set a label to tell the geos apart)`);
+  }
+  if (options.baseline !== undefined && !labels.includes(options.baseline)) {
+    throw new Browser7Error(`Unknown baseline geo: ${options.baseline} (expected one of: ${labels.join(', ')})`);
+  }
+  for (const selector of [options.selector, ...(options.ignore ?? [])].filter(value => value !== undefined)) {
+    try {
+      parseSelector(selector);
+    } catch (error) {
+      throw new Browser7Error(`Invalid geo comparison selector: ${error.message}`, null, null, { cause: error });
+    }
+  }
+
+  const renderOptions = { ...options.renderOptions };
+  if (options.extract) renderOptions.extract = options.extract;
+
+  const jobs = targets.map(({ countryCode, city, options: geoOptions }) => {
+    const jobOptions = { ...geoOptions };
+    if (countryCode !== null) jobOptions.countryCode = countryCode;
+    if (city !== null) jobOptions.city = city;
+    return { url, options: jobOptions };
+  });
+  // Catch a bad country or city before any geo is rendered
+  if (client.validate) {
+    for (const job of jobs) assertValidRenderOptions(url, client._withDefaults({ ...renderOptions, ...job.options }));
+  }
+
+  const outcomes = await renderMany(client, jobs, {
+    renderOptions,
+    concurrency: options.concurrency,
+    maxCents: options.maxCents,
+    signal: options.signal,
+    onProgress: options.onProgress && (event => options.onProgress({ ...event, label: labels[event.index] }))
+  });
+
+  const results = outcomes.map((outcome, index) => {
+    const { label, countryCode, city } = targets[index];
+    const source = outcome.ok ? outcome.result : outcome.error?.body;
+    const selectedCity = source?.selectedCity ?? null;
+
+    const geo = {
+      label,
+      requested: { countryCode, city },
+      selectedCity,
+      cityMatched: city === null ? null : selectedCity?.name?.toLowerCase() === city.toLowerCase(),
+      status: outcome.ok ? 'completed' : 'failed',
+      renderId: outcome.renderId,
+      captcha: source?.captcha ?? null,
+      identical: null,
+      diff: null
+    };
+    if (outcome.ok) {
+      geo.result = outcome.result;
+    } else {
+      geo.error = outcome.error;
+    }
+    return geo;
+  });
+
+  const completed = results.filter(geo => geo.status === 'completed');
+  const baseline = completed.find(geo => geo.label === options.baseline) ?? completed[0] ?? null;
+
+  // Compare normalized content the same way monitors compare snapshots
+  const content = new Map(completed.map(geo => [geo, options.extract
+    ? { lines: null, data: geo.result.extracted?.data ?? null }
+    : {
+        lines: pageLines(geo.result.html ?? '', {
+          selector: options.selector,
+          ignore: options.ignore ?? [],
+          normalize: options.normalize
+        }),
+        data: null
+      }
+  ]));
+  const key = ({ lines, data }) => JSON.stringify(lines ? lines.map(line => line.text) : data);
+
+  for (const geo of completed) {
+    geo.identical = key(content.get(geo)) === key(content.get(baseline));
+    if (!geo.identical) geo.diff = diffSnapshots(content.get(baseline), content.get(geo));
+  }
+
+  let fields = null;
+  if (options.extract) {
+    const names = [...new Set(completed.flatMap(geo => Object.keys(content.get(geo).data ?? {})))];
+    fields = names.map(field => {
+      const values = Object.fromEntries(completed.map(geo => [geo.label, content.get(geo).data?.[field]]));
+      const distinct = new Set(Object.values(values).map(value => JSON.stringify(value)));
+      return { field, values, differs: distinct.size > 1 };
+    });
+  }
+
+  return {
+    url,
+    baseline: baseline?.label ?? null,
+    identical: completed.every(geo => geo.identical),
+    geos: results,
+    fields
+  };
+}
+
+export { renderAcrossGeos };
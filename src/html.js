@@ -0,0 +1,654 @@
+/**
+ * Browser7 SDK HTML Utilities
+ *
+ * A small, forgiving HTML parser and CSS selector engine for working with
+ * rendered HTML without a runtime dependency. It is not a full HTML5
+ * implementation, but handles what rendered pages contain in practice:
+ * void elements, raw-text elements (script/style), comments, entities and
+ * the common implied end tags (p, li, td, tr, option, ...).
+ *
+ * Supported selectors: type, *, #id, .class, [attr], [attr=v], [attr~=v],
+ * [attr|=v], [attr^=v], [attr$=v], [attr*=v] (with optional i flag),
+ * descendant/child/adjacent/sibling combinators, selector lists, and the
+ * pseudo-classes :first-child, :last-child, :only-child, :nth-child(),
+ * :nth-last-child(), :first-of-type, :last-of-type, :nth-of-type(),
+ * :empty and :not().
+ */
+
+/**
+ * @typedef {Object} HtmlNode
+ * @property {'document'|'element'|'text'|'comment'} type - Node type
+ * @property {string} [tagName] - Lowercase tag name (elements only)
+ * @property {Object<string, string>} [attributes] - Attributes by lowercase name (elements only)
+ * @property {HtmlNode[]} [children] - Child nodes (document and elements)
+ * @property {string} [text] - Text content (text and comment nodes)
+ * @property {HtmlNode|null} parent - Parent node
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Contents are not parsed as HTML; entities are decoded only for escapable ones
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext']);
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['textarea', 'title']);
+
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul'
+]);
+
+// Open element → start tags that implicitly close it
+const IMPLIED_END = {
+  p: CLOSES_P,
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option', 'optgroup']),
+  optgroup: new Set(['optgroup']),
+  tr: new Set(['tr', 'tbody', 'thead', 'tfoot']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot']),
+  rt: new Set(['rt', 'rp']),
+  rp: new Set(['rt', 'rp'])
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+  copy: '\u00a9', reg: '\u00ae', trade: '\u2122', euro: '\u20ac', pound: '\u00a3', yen: '\u00a5',
+  cent: '\u00a2', sect: '\u00a7', deg: '\u00b0', plusmn: '\u00b1', times: '\u00d7', divide: '\u00f7',
+  middot: '\u00b7', para: '\u00b6', laquo: '\u00ab', raquo: '\u00bb', lsquo: '\u2018', rsquo: '\u2019',
+  ldquo: '\u201c', rdquo: '\u201d', sbquo: '\u201a', bdquo: '\u201e', ndash: '\u2013', mdash: '\u2014',
+  hellip: '\u2026', bull: '\u2022', prime: '\u2032', iexcl: '\u00a1', iquest: '\u00bf', shy: '\u00ad',
+  auml: '\u00e4', ouml: '\u00f6', uuml: '\u00fc', Auml: '\u00c4', Ouml: '\u00d6', Uuml: '\u00dc', szlig: '\u00df',
+  eacute: '\u00e9', egrave: '\u00e8', ecirc: '\u00ea', aacute: '\u00e1', agrave: '\u00e0', acirc: '\u00e2',
+  ccedil: '\u00e7', oacute: '\u00f3', ocirc: '\u00f4', iacute: '\u00ed', uacute: '\u00fa', ntilde: '\u00f1',
+  Eacute: '\u00c9', aring: '\u00e5', oslash: '\u00f8', aelig: '\u00e6', ensp: '\u2002', emsp: '\u2003',
+  thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d'
+};
+
+const ENTITY_PATTERN = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));?/g;
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @param {boolean} [inAttribute=false] - Whether the text is an attribute value, where a named
+ *                                        reference without ';' followed by '=' is left alone
+ *                                        (e.g., `?a=1&copy=2` in a URL)
+ * @returns {string}
+ */
+function decodeEntities(text, inAttribute = false) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(ENTITY_PATTERN, (match, decimal, hex, name, offset) => {
+    if (inAttribute && name && !match.endsWith(';') && text[offset + match.length] === '=') {
+      return match;
+    }
+    if (decimal || hex) {
+      const codePoint = parseInt(decimal ?? hex, decimal ? 10 : 16);
+      if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+        return '\ufffd';
+      }
+      return String.fromCodePoint(codePoint);
+    }
+    return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : match;
+  });
+}
+
+const TAG_OPEN = /<([a-zA-Z][^\s/>]*)/y;
+const TAG_CLOSE = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+const ATTRIBUTE = /[\s/]*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+const TAG_END = /[\s/]*(\/?)>/y;
+
+// Case-insensitive searches for the end tag of each raw text element
+const RAW_TEXT_CLOSE = new Map(
+  [...RAW_TEXT_ELEMENTS, ...ESCAPABLE_RAW_TEXT_ELEMENTS].map(tagName => [tagName, new RegExp(`</${tagName}`, 'gi')])
+);
+
+/**
+ * Parse an HTML string into a node tree
+ * @param {string} html - HTML source
+ * @returns {HtmlNode} Document node
+ */
+function parseHtml(html) {
+  const document = { type: 'document', children: [], parent: null };
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+
+  const appendText = (text) => {
+    if (!text) return;
+    const parent = current();
+    const last = parent.children[parent.children.length - 1];
+    if (last?.type === 'text') {
+      last.text += text;
+    } else {
+      parent.children.push({ type: 'text', text, parent });
+    }
+  };
+
+  let pos = 0;
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(decodeEntities(html.slice(pos)));
+      break;
+    }
+    if (lt > pos) appendText(decodeEntities(html.slice(pos, lt)));
+    pos = lt;
+
+    // Comment
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      const text = html.slice(pos + 4, end === -1 ? html.length : end);
+      current().children.push({ type: 'comment', text, parent: current() });
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    // Doctype, CDATA, processing instructions
+    if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+      const end = html.indexOf('>', pos);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    // End tag
+    TAG_CLOSE.lastIndex = pos;
+    const close = TAG_CLOSE.exec(html);
+    if (close) {
+      const tagName = close[1].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === tagName) {
+          stack.length = i;
+          break;
+        }
+      }
+      pos = TAG_CLOSE.lastIndex;
+      continue;
+    }
+
+    // Start tag
+    TAG_OPEN.lastIndex = pos;
+    const open = TAG_OPEN.exec(html);
+    if (!open) {
+      appendText('<');
+      pos++;
+      continue;
+    }
+
+    const tagName = open[1].toLowerCase();
+    const attributes = {};
+    pos = TAG_OPEN.lastIndex;
+
+    while (pos < html.length) {
+      TAG_END.lastIndex = pos;
+      if (TAG_END.test(html)) break;
+
+      ATTRIBUTE.lastIndex = pos;
+      const attribute = ATTRIBUTE.exec(html);
+      if (!attribute) break;
+      pos = ATTRIBUTE.lastIndex;
+
+      const name = attribute[1].toLowerCase();
+      if (!Object.hasOwn(attributes, name)) {
+        attributes[name] = decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? '', true);
+      }
+    }
+
+    TAG_END.lastIndex = pos;
+    const end = TAG_END.exec(html);
+    pos = end ? TAG_END.lastIndex : html.length;
+
+    // Implied end tags (e.g., <li> closes the previous <li>)
+    while (stack.length > 1 && IMPLIED_END[current().tagName]?.has(tagName)) {
+      stack.pop();
+    }
+
+    const element = { type: 'element', tagName, attributes, children: [], parent: current() };
+    current().children.push(element);
+
+    if (VOID_ELEMENTS.has(tagName) || end?.[1] === '/') continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tagName) || ESCAPABLE_RAW_TEXT_ELEMENTS.has(tagName)) {
+      const close = RAW_TEXT_CLOSE.get(tagName);
+      close.lastIndex = pos;
+      const closeIndex = close.exec(html)?.index ?? -1;
+      const contentEnd = closeIndex === -1 ? html.length : closeIndex;
+      const raw = html.slice(pos, contentEnd);
+      const text = ESCAPABLE_RAW_TEXT_ELEMENTS.has(tagName) ? decodeEntities(raw) : raw;
+      if (text) element.children.push({ type: 'text', text, parent: element });
+
+      const closeEnd = closeIndex === -1 ? -1 : html.indexOf('>', closeIndex);
+      pos = closeEnd === -1 ? html.length : closeEnd + 1;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return document;
+}
+
+// ---------------------------------------------------------------------------
+// Selectors
+// ---------------------------------------------------------------------------
+
+const IDENT = /(?:\\[\s\S]|[\w-]|[^\x00-\x7f])+/y;
+const WHITESPACE = /\s*/y;
+const ATTRIBUTE_OPERATOR = /[~|^$*]?=/y;
+const QUOTED = /"((?:\\[\s\S]|[^"\\])*)"|'((?:\\[\s\S]|[^'\\])*)'/y;
+
+/**
+ * Remove CSS escapes from an identifier
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeCss(value) {
+  return value.replace(/\\([0-9a-fA-F]{1,6}\s?|[\s\S])/g, (match, escaped) => {
+    if (/^[0-9a-fA-F]/.test(escaped) && escaped.trim().length > 0 && /^[0-9a-fA-F]+\s?$/.test(escaped)) {
+      return String.fromCodePoint(parseInt(escaped.trim(), 16));
+    }
+    return escaped;
+  });
+}
+
+/**
+ * Parse an An+B expression (e.g., 'odd', '2n+1', '3')
+ * @param {string} expression
+ * @returns {{a: number, b: number}}
+ */
+function parseNth(expression) {
+  const value = expression.replace(/\s+/g, '').toLowerCase();
+  if (value === 'odd') return { a: 2, b: 1 };
+  if (value === 'even') return { a: 2, b: 0 };
+
+  const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(value);
+  if (match) {
+    const a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+    return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+  }
+  if (/^[+-]?\d+$/.test(value)) return { a: 0, b: parseInt(value, 10) };
+  throw new SyntaxError(`Invalid :nth expression: ${expression}`);
+}
+
+/**
+ * Whether a 1-based position satisfies An+B
+ * @param {number} position
+ * @param {{a: number, b: number}} nth
+ * @returns {boolean}
+ */
+function matchesNth(position, { a, b }) {
+  if (a === 0) return position === b;
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+
+/**
+ * Parse a selector list
+ * @param {string} source - CSS selector
+ * @returns {Array<Array<{combinator: string|null, compound: Object}>>} Complex selectors
+ */
+function parseSelector(source) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`Invalid selector "${source}": ${message} at position ${pos}`);
+  };
+
+  const skipWhitespace = () => {
+    WHITESPACE.lastIndex = pos;
+    WHITESPACE.exec(source);
+    const skipped = WHITESPACE.lastIndex > pos;
+    pos = WHITESPACE.lastIndex;
+    return skipped;
+  };
+
+  const readIdent = () => {
+    IDENT.lastIndex = pos;
+    const match = IDENT.exec(source);
+    if (!match) return null;
+    pos = IDENT.lastIndex;
+    return unescapeCss(match[0]);
+  };
+
+  const readArgument = () => {
+    let depth = 1;
+    const start = pos;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) break;
+      pos++;
+    }
+    if (depth !== 0) fail('unclosed (');
+    const argument = source.slice(start, pos);
+    pos++;
+    return argument;
+  };
+
+  const parseCompound = () => {
+    const compound = { tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+    let empty = true;
+
+    if (source[pos] === '*') {
+      pos++;
+      empty = false;
+    } else {
+      const tag = readIdent();
+      if (tag) {
+        compound.tag = tag.toLowerCase();
+        empty = false;
+      }
+    }
+
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '#') {
+        pos++;
+        compound.id = readIdent() ?? fail('expected id');
+      } else if (char === '.') {
+        pos++;
+        compound.classes.push(readIdent() ?? fail('expected class name'));
+      } else if (char === '[') {
+        pos++;
+        skipWhitespace();
+        const name = (readIdent() ?? fail('expected attribute name')).toLowerCase();
+        skipWhitespace();
+
+        ATTRIBUTE_OPERATOR.lastIndex = pos;
+        const operator = ATTRIBUTE_OPERATOR.exec(source)?.[0] ?? null;
+        let value = null;
+        let insensitive = false;
+        if (operator) {
+          pos = ATTRIBUTE_OPERATOR.lastIndex;
+          skipWhitespace();
+          QUOTED.lastIndex = pos;
+          const quoted = QUOTED.exec(source);
+          if (quoted) {
+            pos = QUOTED.lastIndex;
+            value = unescapeCss(quoted[1] ?? quoted[2]);
+          } else {
+            value = readIdent() ?? fail('expected attribute value');
+          }
+          skipWhitespace();
+          if (/[iI]/.test(source[pos] ?? '') && /[\s\]]/.test(source[pos + 1] ?? ']')) {
+            insensitive = true;
+            pos++;
+            skipWhitespace();
+          }
+        }
+        if (source[pos] !== ']') fail('expected ]');
+        pos++;
+        compound.attributes.push({ name, operator, value, insensitive });
+      } else if (char === ':') {
+        pos++;
+        if (source[pos] === ':') fail('pseudo-elements are not supported');
+        const name = (readIdent() ?? fail('expected pseudo-class')).toLowerCase();
+        let argument = null;
+        if (source[pos] === '(') {
+          pos++;
+          argument = readArgument();
+        }
+        compound.pseudos.push(parsePseudo(name, argument));
+      } else {
+        break;
+      }
+      empty = false;
+    }
+
+    if (empty) fail('expected selector');
+    return compound;
+  };
+
+  const parsePseudo = (name, argument) => {
+    switch (name) {
+      case 'first-child':
+      case 'last-child':
+      case 'only-child':
+      case 'first-of-type':
+      case 'last-of-type':
+      case 'empty':
+        return { name };
+      case 'nth-child':
+      case 'nth-last-child':
+      case 'nth-of-type':
+        if (argument === null) fail(`:${name} requires an argument`);
+        return { name, nth: parseNth(argument) };
+      case 'not':
+        if (argument === null) fail(':not requires an argument');
+        return { name, selector: parseSelector(argument) };
+      default:
+        return fail(`unsupported pseudo-class :${name}`);
+    }
+  };
+
+  const list = [];
+  while (true) {
+    const complex = [];
+    let combinator = null;
+
+    while (true) {
+      const hadWhitespace = skipWhitespace();
+      if (pos >= source.length || source[pos] === ',') break;
+
+      if ('>+~'.includes(source[pos])) {
+        if (complex.length === 0 || combinator) fail(`unexpected ${source[pos]}`);
+        combinator = source[pos];
+        pos++;
+        continue;
+      }
+      if (complex.length > 0 && !combinator) {
+        if (!hadWhitespace) fail(`unexpected ${source[pos]}`);
+        combinator = ' ';
+      }
+
+      complex.push({ combinator: complex.length > 0 ? combinator : null, compound: parseCompound() });
+      combinator = null;
+    }
+
+    if (complex.length === 0 || combinator) fail('incomplete selector');
+    list.push(complex);
+
+    if (pos >= source.length) break;
+    pos++; // ','
+  }
+
+  return list;
+}
+
+/**
+ * Element children of a node
+ * @param {HtmlNode} node
+ * @returns {HtmlNode[]}
+ */
+function elementChildren(node) {
+  return node.children.filter(child => child.type === 'element');
+}
+
+/**
+ * Whether an element matches an attribute selector
+ * @param {HtmlNode} element
+ * @param {{name: string, operator: string|null, value: string|null, insensitive: boolean}} selector
+ * @returns {boolean}
+ */
+function matchesAttribute(element, { name, operator, value, insensitive }) {
+  if (!Object.hasOwn(element.attributes, name)) return false;
+  if (!operator) return true;
+
+  let actual = element.attributes[name];
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return expected !== '' && actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+}
+
+/**
+ * Whether an element matches a pseudo-class
+ * @param {HtmlNode} element
+ * @param {Object} pseudo
+ * @returns {boolean}
+ */
+function matchesPseudo(element, pseudo) {
+  if (pseudo.name === 'not') return !matchesList(element, pseudo.selector);
+  if (pseudo.name === 'empty') {
+    return element.children.every(child => child.type === 'comment' || (child.type === 'text' && child.text === ''));
+  }
+
+  const siblings = element.parent ? elementChildren(element.parent) : [element];
+  const ofType = siblings.filter(sibling => sibling.tagName === element.tagName);
+
+  switch (pseudo.name) {
+    case 'first-child': return siblings[0] === element;
+    case 'last-child': return siblings[siblings.length - 1] === element;
+    case 'only-child': return siblings.length === 1;
+    case 'first-of-type': return ofType[0] === element;
+    case 'last-of-type': return ofType[ofType.length - 1] === element;
+    case 'nth-child': return matchesNth(siblings.indexOf(element) + 1, pseudo.nth);
+    case 'nth-last-child': return matchesNth(siblings.length - siblings.indexOf(element), pseudo.nth);
+    case 'nth-of-type': return matchesNth(ofType.indexOf(element) + 1, pseudo.nth);
+    default: return false;
+  }
+}
+
+/**
+ * Whether an element matches a compound selector
+ * @param {HtmlNode} element
+ * @param {Object} compound
+ * @returns {boolean}
+ */
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.id !== null && element.attributes.id !== compound.id) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (element.attributes.class ?? '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+
+  return compound.attributes.every(attribute => matchesAttribute(element, attribute))
+    && compound.pseudos.every(pseudo => matchesPseudo(element, pseudo));
+}
+
+/**
+ * Whether an element matches a complex selector, from the rightmost compound leftwards
+ * @param {HtmlNode} element
+ * @param {Array<{combinator: string|null, compound: Object}>} complex
+ * @param {number} [index=complex.length - 1]
+ * @returns {boolean}
+ */
+function matchesComplex(element, complex, index = complex.length - 1) {
+  if (!matchesCompound(element, complex[index].compound)) return false;
+  if (index === 0) return true;
+
+  const isElement = node => node?.type === 'element';
+
+  switch (complex[index].combinator) {
+    case '>':
+      return isElement(element.parent) && matchesComplex(element.parent, complex, index - 1);
+    case ' ':
+      for (let ancestor = element.parent; isElement(ancestor); ancestor = ancestor.parent) {
+        if (matchesComplex(ancestor, complex, index - 1)) return true;
+      }
+      return false;
+    case '+':
+    case '~': {
+      if (!element.parent) return false;
+      const siblings = elementChildren(element.parent);
+      const position = siblings.indexOf(element);
+      if (complex[index].combinator === '+') {
+        return position > 0 && matchesComplex(siblings[position - 1], complex, index - 1);
+      }
+      return siblings.slice(0, position).some(sibling => matchesComplex(sibling, complex, index - 1));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether an element matches any selector in a parsed list
+ * @param {HtmlNode} element
+ * @param {Array} list - Parsed selector list
+ * @returns {boolean}
+ */
+function matchesList(element, list) {
+  return list.some(complex => matchesComplex(element, complex));
+}
+
+/**
+ * Whether an element matches a selector
+ * @param {HtmlNode} element
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+function matches(element, selector) {
+  return element.type === 'element' && matchesList(element, parseSelector(selector));
+}
+
+/**
+ * Find all descendants matching a selector, in document order
+ * @param {HtmlNode} root - Document or element to search within
+ * @param {string} selector - CSS selector
+ * @returns {HtmlNode[]}
+ */
+function querySelectorAll(root, selector) {
+  const list = parseSelector(selector);
+  const found = [];
+
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.type !== 'element') continue;
+      if (matchesList(child, list)) found.push(child);
+      visit(child);
+    }
+  };
+  visit(root);
+
+  return found;
+}
+
+/**
+ * Find the first descendant matching a selector
+ * @param {HtmlNode} root - Document or element to search within
+ * @param {string} selector - CSS selector
+ * @returns {HtmlNode|null}
+ */
+function querySelector(root, selector) {
+  return querySelectorAll(root, selector)[0] ?? null;
+}
+
+/**
+ * Concatenated text of a node and its descendants
+ * @param {HtmlNode} node
+ * @returns {string}
+ */
+function textContent(node) {
+  if (node.type === 'text') return node.text;
+  if (node.type === 'comment') return '';
+  return node.children.map(textContent).join('');
+}
+
+export {
+  parseHtml,
+  decodeEntities,
+  parseSelector,
+  matches,
+  querySelector,
+  querySelectorAll,
+  textContent,
+  elementChildren
+};
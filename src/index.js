@@ -1,24 +1,65 @@
-import zlib from 'zlib';
-import { promisify } from 'util';
 import {
+  RenderErrorCode,
   Browser7Error,
+  NetworkError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
   InsufficientBalanceError,
-  RenderError
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError
 } from './errors.js';
+import { resolveRetryOptions, withRetry } from './retry.js';
+import { sleep, createDeadline, toAbortError } from './utils.js';
+import { renderMany, iterateRenders } from './batch.js';
+import { RenderJob, retryProgress } from './job.js';
+import { Cassette } from './recording.js';
+import { RenderCache, MemoryCache, FileCache } from './cache.js';
+import { validateRenderOptions, assertValidRenderOptions, unknownRenderOptions } from './validation.js';
+import { extract } from './extract.js';
+import { FetchResponse, decodeRenderResult } from './responses.js';
+import { RegionRouter } from './regions.js';
+import { KeyPool } from './keys.js';
+import { verifyWebhook, createWebhookHandler } from './webhooks.js';
+import { MemoryJournal, FileJournal, createJournal, journalEntry } from './journal.js';
+import { Budget } from './budget.js';
+import { Observer } from './observability.js';
+import { Scenario } from './scenario.js';
+import { Crawl } from './crawl.js';
+import { WarcWriter, JsonlWriter, readArchive } from './archive.js';
+import { Monitor, MemorySnapshotStore, FileSnapshotStore } from './monitor.js';
+import { renderAcrossGeos } from './geo.js';
+import { resolveClientOptions, mergeRenderOptions } from './config.js';
 
-const gunzip = promisify(zlib.gunzip);
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value: delay in seconds or an HTTP date
+ * @returns {number|null} Delay in seconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, (date - Date.now()) / 1000);
+}
 
 /**
  * Parse response text and throw the appropriate typed error
  * @param {number} statusCode - HTTP status code
  * @param {string} responseText - Raw response body text
  * @param {string} context - Description of the operation (e.g., 'Failed to start render')
+ * @param {string|null} [retryAfterHeader=null] - Raw Retry-After response header
  * @throws {Browser7Error|AuthenticationError|ValidationError|RateLimitError|InsufficientBalanceError|RenderError}
  */
-function throwApiError(statusCode, responseText, context) {
+function throwApiError(statusCode, responseText, context, retryAfterHeader = null) {
   let body = null;
   try {
     body = JSON.parse(responseText);
@@ -29,39 +70,86 @@ function throwApiError(statusCode, responseText, context) {
   const apiMessage = body?.message || responseText;
   const message = `${context}: ${statusCode} ${apiMessage}`;
 
+  let error;
   switch (statusCode) {
     case 400:
-      throw new ValidationError(message, statusCode, body);
+      error = new ValidationError(message, statusCode, body);
+      break;
     case 401:
     case 403:
-      throw new AuthenticationError(message, statusCode, body);
+      error = new AuthenticationError(message, statusCode, body);
+      break;
     case 402:
-      throw new InsufficientBalanceError(message, statusCode, body);
+      error = new InsufficientBalanceError(message, statusCode, body);
+      break;
     case 422:
-      throw new RenderError(
+      error = new RenderError(
         message, statusCode, body,
         body?.errorCode ?? null,
         body?.id ?? null,
         body?.billable ?? null
       );
+      break;
     case 429:
-      throw new RateLimitError(message, statusCode, body);
+      error = new RateLimitError(message, statusCode, body);
+      break;
     default:
-      throw new Browser7Error(message, statusCode, body);
+      error = new Browser7Error(message, statusCode, body);
   }
+
+  error.retryAfter = parseRetryAfter(retryAfterHeader) ?? body?.retryAfter ?? null;
+  throw error;
 }
 
+/** @typedef {import('./retry.js').RetryOptions} RetryOptions */
+/** @typedef {import('./retry.js').RetryEvent} RetryEvent */
+/** @typedef {import('./recording.js').RecordingOptions} RecordingOptions */
+/** @typedef {import('./cache.js').CacheOptions} CacheOptions */
+/** @typedef {import('./cache.js').CacheStore} CacheStore */
+/** @typedef {import('./batch.js').BatchJob} BatchJob */
+/** @typedef {import('./batch.js').BatchOptions} BatchOptions */
+/** @typedef {import('./batch.js').BatchResult} BatchResult */
+/** @typedef {import('./extract.js').ExtractSchema} ExtractSchema */
+/** @typedef {import('./extract.js').ExtractResult} ExtractResult */
+/** @typedef {import('./journal.js').JournalOptions} JournalOptions */
+/** @typedef {import('./journal.js').JournalEntry} JournalEntry */
+/** @typedef {import('./journal.js').JournalStore} JournalStore */
+/** @typedef {import('./budget.js').BudgetOptions} BudgetOptions */
+/** @typedef {import('./budget.js').UsageReport} UsageReport */
+/** @typedef {import('./keys.js').ApiKeyEntry} ApiKeyEntry */
+/** @typedef {import('./keys.js').ApiKeyStatus} ApiKeyStatus */
+/** @typedef {import('./config.js').ProfileOptions} ProfileOptions */
+/** @typedef {import('./observability.js').Interceptor} Interceptor */
+/** @typedef {import('./observability.js').RequestContext} RequestContext */
+/** @typedef {import('./observability.js').Logger} Logger */
+/** @typedef {import('./observability.js').TelemetryOptions} TelemetryOptions */
+/** @typedef {import('./crawl.js').CrawlOptions} CrawlOptions */
+/** @typedef {import('./crawl.js').CrawlPage} CrawlPage */
+/** @typedef {import('./crawl.js').CrawlState} CrawlState */
+/** @typedef {import('./monitor.js').MonitorOptions} MonitorOptions */
+/** @typedef {import('./monitor.js').MonitorCheck} MonitorCheck */
+/** @typedef {import('./monitor.js').Snapshot} Snapshot */
+/** @typedef {import('./monitor.js').SnapshotStore} SnapshotStore */
+/** @typedef {import('./geo.js').GeoTarget} GeoTarget */
+/** @typedef {import('./geo.js').GeoCompareOptions} GeoCompareOptions */
+/** @typedef {import('./geo.js').GeoComparison} GeoComparison */
+/** @typedef {import('./geo.js').GeoResult} GeoResult */
+/** @typedef {import('./webhooks.js').WebhookEvent} WebhookEvent */
+/** @typedef {import('./webhooks.js').WebhookHandlerOptions} WebhookHandlerOptions */
+
 // Package version injected at build time via tsup's define option
 const USER_AGENT = `browser7-node/${__PACKAGE_VERSION__}`;
 
 /**
  * @typedef {Object} ProgressEvent
- * @property {string} type - Event type ('started', 'polling', 'completed', 'failed')
- * @property {string} renderId - The render ID
+ * @property {string} type - Event type ('started', 'polling', 'retry', 'completed', 'failed', 'cancelled')
+ * @property {string} renderId - The render ID (null for 'retry' events before the render was created)
  * @property {string} timestamp - ISO timestamp
  * @property {string} [status] - Current render status
- * @property {number} [attempt] - Current polling attempt number
+ * @property {number} [attempt] - Current polling attempt number, or the failed request attempt for 'retry'
  * @property {number} [retryAfter] - Server-suggested retry interval in seconds
+ * @property {number} [delayMs] - Milliseconds until the request is retried (for 'retry' type)
+ * @property {Error} [error] - The transient error being retried (for 'retry' type)
  */
 
 /**
@@ -79,7 +167,7 @@ const USER_AGENT = `browser7-node/${__PACKAGE_VERSION__}`;
  * @property {string} [countryCode] - Country code for the render (e.g., 'US', 'GB', 'DE')
  * @property {string} [city] - City name for the render (e.g., 'new.york', 'london')
  * @property {string[]} [fetchUrls] - List of URLs to fetch after rendering
- * @property {WaitAction[]} [waitFor] - Array of wait actions to execute (max 10)
+ * @property {WaitAction[]|Scenario} [waitFor] - Wait actions to execute (max 10), or a Browser7.scenario()
  * @property {string} [captcha] - CAPTCHA mode: 'disabled', 'auto', 'recaptcha_v2', 'recaptcha_v3', 'turnstile' (default: 'disabled')
  * @property {boolean} [blockImages] - Whether to block images (default: true)
  * @property {boolean} [includeScreenshot] - Enable screenshot capture in the response (default: false)
@@ -88,11 +176,36 @@ const USER_AGENT = `browser7-node/${__PACKAGE_VERSION__}`;
  * @property {boolean} [screenshotFullPage] - Capture full scrollable page or viewport only (default: false)
  * @property {boolean} [debug] - Enable debug mode for this render: syncs HTML, fetch responses, and screenshots to dashboard for 7 days (default: false)
  * @property {boolean} [forceNewProxy] - Force a new proxy session with a fresh IP address instead of reusing an existing session (default: false)
+ * @property {string} [webhookUrl] - URL the API POSTs the finished render to (see createWebhookHandler())
+ * @property {string} [webhookSecret] - Secret used to sign webhook deliveries (requires webhookUrl)
+ * @property {function(RetryEvent): void} [onRetry] - Called before each retry of the create request and, with render()
+ *                                                   and startRender(), of each status check (not sent to the API)
+ * @property {AbortSignal} [signal] - Abort the operation; rejects with AbortError (not sent to the API)
+ * @property {number} [timeout] - Wall-clock limit in milliseconds; rejects with TimeoutError (not sent to the API)
+ * @property {number} [maxPollAttempts] - render() only: maximum status checks before giving up (default: 60)
+ * @property {number} [initialPollDelay] - render() only: milliseconds to wait before the first status check (default: 2000)
+ * @property {function(ProgressEvent): void} [onProgress] - render() only: progress callback, alternative to the third argument
+ * @property {boolean} [validate] - Override the client's `validate` setting for this call (not sent to the API)
+ * @property {boolean} [cache] - render() only: set to false to bypass the client's result cache (not sent to the API)
+ * @property {boolean} [strictDecoding] - Override the client's `strictDecoding` setting (not sent to the API)
+ * @property {string} [region] - With the `region` client option: preferred region for this render (not sent to the API)
+ * @property {string} [key] - With an API key pool: label of the key to create this render with (not sent to the API)
+ * @property {ExtractSchema} [extract] - Extract structured data from the rendered HTML into `result.extracted` (not sent to the API)
+ * @property {Object} [metadata] - With a journal: JSON data stored with the render's entry, e.g. to tell resumed renders apart (not sent to the API)
+ * @property {string} [waitForMerge] - With client defaults: 'append' (default) runs these waitFor actions after the default ones, 'replace' runs only these (not sent to the API)
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Abort the request; rejects with AbortError
+ * @property {number} [timeout] - Wall-clock limit in milliseconds; rejects with TimeoutError
  */
 
 /**
  * @typedef {Object} RenderResponse
  * @property {string} renderId - The ID of the render job
+ * @property {string} [region] - With the `region` option: the region that created the render
+ * @property {string} [key] - With an API key pool: label of the key that created the render
  */
 
 /**
@@ -122,7 +235,7 @@ const USER_AGENT = `browser7-node/${__PACKAGE_VERSION__}`;
  * @typedef {Object} RenderResult
  * @property {string} status - The status of the render ("completed", "processing", "failed", etc.)
  * @property {string} [html] - The rendered HTML (automatically decompressed)
- * @property {Array} [fetchResponses] - Array of fetch response objects (automatically decompressed)
+ * @property {FetchResponse[]} [fetchResponses] - Responses for fetchUrls (automatically decompressed)
  * @property {string} [screenshot] - Base64-encoded screenshot image (if includeScreenshot was true)
  * @property {string} loadStrategy - Load strategy used for rendering
  * @property {SelectedCity} selectedCity - City used for the render
@@ -131,23 +244,189 @@ const USER_AGENT = `browser7-node/${__PACKAGE_VERSION__}`;
  * @property {Object} timingBreakdown - Performance timing breakdown
  * @property {number} retryAfter - Server-suggested retry interval in seconds
  * @property {string} [error] - Error message if status is 'failed'
+ * @property {boolean} [fromCache] - With a client cache: whether render() served this result from the cache
+ * @property {string} [cachedAt] - With a client cache: ISO timestamp of when a cached result was stored
+ * @property {DecodeError[]} [decodeErrors] - Payloads that could not be decoded and were left as received (never set with strict decoding)
+ * @property {ExtractResult} [extracted] - With the `extract` option: the extracted data and the fields that matched nothing
  */
 
 class Browser7 {
   /**
-   * Create a Browser7 API client
-   * @param {Object} options - Configuration options
-   * @param {string} options.apiKey - Your Browser7 API key
+   * Create a Browser7 API client. Options not passed here are read from the
+   * BROWSER7_API_KEY and BROWSER7_BASE_URL environment variables, the selected
+   * profile and the config file, in that order
+   * @param {Object} [options] - Configuration options
+   * @param {string|Array<string|ApiKeyEntry>} [options.apiKey] - Your Browser7 API key, or a pool of keys
+   *                                                           that renders are spread across
    * @param {string} [options.baseUrl] - Full API base URL including version path
    *                                      (e.g., 'https://api.browser7.com/v1')
    *                                      Defaults to production API
+   * @param {RenderOptions} [options.defaults] - Render options sent with every render, deep-merged with
+   *                                             each call's options (a call's waitFor actions run after these)
+   * @param {string} [options.profile] - Named set of options to use (default: $BROWSER7_PROFILE)
+   * @param {Object<string, ProfileOptions>} [options.profiles] - Named sets of options, in addition to the config file's
+   * @param {string|false} [options.configFile] - JSON config file to read (default: $BROWSER7_CONFIG,
+   *                                              if set); false to read none
+   * @param {RetryOptions|boolean} [options.retry] - Retry policy for transient failures,
+   *                                                  or false to disable retries
+   * @param {boolean} [options.validate=true] - Validate render options locally before sending.
+   *                                             When false, unknown options are forwarded to the API as-is
+   * @param {RecordingOptions} [options.recording] - Record API traffic to a fixture file, or replay it offline
+   * @param {CacheOptions|boolean} [options.cache] - Cache render() results and coalesce identical
+   *                                                  concurrent renders (true for an in-memory cache)
+   * @param {boolean} [options.strictDecoding=false] - Throw DecodeError when a render's html or fetchResponses
+   *                                                   payload is corrupt, instead of reporting it in `decodeErrors`
+   * @param {string} [options.region] - 'auto' or a region code: send requests to regional endpoints
+   *                                    discovered with getRegions(), failing over to other active regions
+   *                                    on connection errors and 5xx responses
+   * @param {JournalOptions|boolean} [options.journal] - Record created renders so resumePending() can pick
+   *                                                     them up after a restart (true for a file journal)
+   * @param {BudgetOptions} [options.budget] - Spending limits: createRender() throws BudgetExceededError
+   *                                           instead of crossing them (see usageReport())
+   * @param {Interceptor[]} [options.interceptors] - Hooks run around every request attempt (see use())
+   * @param {Logger} [options.logger] - Console-like logger for requests, retries and renders;
+   *                                    the API key and secrets are redacted
+   * @param {TelemetryOptions} [options.telemetry] - OpenTelemetry tracer and meter for render spans and metrics
    */
   constructor(options = {}) {
+    options = resolveClientOptions(options);
     if (!options.apiKey) {
-      throw new Browser7Error('API key is required');
+      throw new Browser7Error('API key is required: pass apiKey, set BROWSER7_API_KEY or add it to a config file');
     }
-    this.apiKey = options.apiKey;
+    /** @type {string|null} Name of the profile in use */
+    this.profile = options.profile;
+    /** @type {RenderOptions|null} Render options merged into every render's options */
+    this.defaults = options.defaults;
+    this.keyPool = Array.isArray(options.apiKey)
+      ? new KeyPool(this, options.apiKey, options.budget?.centsPerRender)
+      : null;
+    /** @type {string} The API key (with a pool: the first key, used for account requests) */
+    this.apiKey = this.keyPool ? this.keyPool.keys[0] : options.apiKey;
+    const apiKeys = this.keyPool ? this.keyPool.keys : this.apiKey;
     this.baseUrl = options.baseUrl || 'https://api.browser7.com/v1';
+    this.retry = resolveRetryOptions(options.retry);
+    this.validate = options.validate !== false;
+    this.recording = options.recording ? new Cassette(options.recording, apiKeys) : null;
+    this.cache = options.cache ? new RenderCache(options.cache === true ? {} : options.cache) : null;
+    this.strictDecoding = options.strictDecoding === true;
+    this.region = options.region ?? null;
+    this.regionRouter = this.region ? new RegionRouter(this, this.region) : null;
+    this.journal = options.journal ? createJournal(options.journal) : null;
+    this.budget = new Budget(this, options.budget);
+    this.observer = new Observer({
+      apiKey: apiKeys,
+      logger: options.logger,
+      telemetry: options.telemetry,
+      interceptors: options.interceptors
+    });
+  }
+
+  /**
+   * Send a request to the API and parse the JSON response, retrying transient failures
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the base URL (e.g., '/renders')
+   * @param {Object} [options={}]
+   * @param {Object} [options.body] - JSON request body
+   * @param {boolean} [options.auth=true] - Whether to send the API key
+   * @param {string} [options.context] - Error message prefix (e.g., 'Failed to start render')
+   * @param {function(RetryEvent): void} [options.onRetry] - Per-call retry listener
+   * @param {AbortSignal} [options.signal] - Abort signal for the request and retry waits
+   * @param {number} [options.timeout] - Wall-clock limit in milliseconds, including retries
+   * @param {string} [options.baseUrl] - Endpoint to use instead of the client's baseUrl (e.g., a regional one)
+   * @param {string} [options.apiKey] - API key to send instead of the client's (e.g., one from the key pool)
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {AbortError|TimeoutError} If the signal aborts or the timeout elapses
+   * @private
+   */
+  async _request(method, path, options = {}) {
+    const { body, auth = true, context = 'Request failed', onRetry } = options;
+    const url = `${options.baseUrl ?? this.baseUrl}${path}`;
+
+    const headers = { 'User-Agent': USER_AGENT };
+    if (auth) headers['Authorization'] = `Bearer ${options.apiKey ?? this.apiKey}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const deadline = createDeadline(options.signal, options.timeout);
+    const signal = deadline.signal;
+
+    try {
+      return await withRetry(async (attempt) => {
+        // Interceptors may add headers, so each attempt gets its own copy
+        const request = { method, path, url, headers: { ...headers }, body, attempt };
+        await this.observer.beforeRequest(request);
+        const startedAt = Date.now();
+
+        try {
+          let response;
+          if (this.recording?.mode === 'replay') {
+            response = this.recording.replay(method, path, body);
+          } else {
+            try {
+              response = await fetch(url, {
+                method,
+                headers: request.headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal
+              });
+            } catch (error) {
+              // fetch() reports 'fetch failed'; the system error (e.g., ECONNREFUSED) is its cause
+              const reason = error.cause?.message ? `${error.message} (${error.cause.message})` : error.message;
+              throw new NetworkError(`Failed to connect to ${url}: ${reason}`, { cause: error });
+            }
+
+            if (this.recording?.mode === 'record') {
+              await this.recording.record(method, path, body, response);
+            }
+          }
+
+          await this.observer.afterResponse(request, response, Date.now() - startedAt);
+
+          if (!response.ok) {
+            const error = await response.text();
+            throwApiError(response.status, error, context, response.headers.get('retry-after'));
+          }
+
+          return await response.json();
+        } catch (error) {
+          await this.observer.requestFailed(request, error, Date.now() - startedAt);
+          throw error;
+        }
+      }, this.retry, {
+        idempotent: method === 'GET',
+        onRetry: this.observer.retryListener(method, path, onRetry),
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw toAbortError(signal);
+      throw error;
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Merge the client's render defaults into a call's options
+   * @param {RenderOptions} options - Options for one call
+   * @returns {RenderOptions} The options to render with
+   * @private
+   */
+  _withDefaults(options) {
+    return this.defaults ? mergeRenderOptions(this.defaults, options) : options;
+  }
+
+  /**
+   * Add an interceptor that runs around every request attempt, after those already added
+   * @param {Interceptor} interceptor - { onRequest, onResponse, onError }
+   * @returns {function(): void} Removes the interceptor again
+   *
+   * @example
+   * client.use({
+   *   onRequest: (request) => { request.headers['traceparent'] = currentTraceparent(); },
+   *   onResponse: (request) => console.log(request.method, request.path, request.status, request.durationMs)
+   * });
+   */
+  use(interceptor) {
+    return this.observer.use(interceptor);
   }
 
   /**
@@ -155,8 +434,20 @@ class Browser7 {
    * @param {string} url - The URL to render
    * @param {RenderOptions} [options={}] - Optional render parameters
    * @returns {Promise<RenderResponse>} Object containing renderId
+   * @throws {ValidationError} If the options are invalid (checked locally unless validation is disabled)
+   * @throws {BudgetExceededError} If the render would cross the client's budget (nothing is sent)
    */
   async createRender(url, options = {}) {
+    options = this._withDefaults(options);
+    if (options.waitFor instanceof Scenario) {
+      options = { ...options, waitFor: options.waitFor.toJSON() };
+    }
+
+    const validate = options.validate ?? this.validate;
+    if (validate) {
+      assertValidRenderOptions(url, options);
+    }
+
     // Build request payload with only defined API options
     const payload = { url };
     if (options.countryCode !== undefined) payload.countryCode = options.countryCode;
@@ -171,83 +462,169 @@ class Browser7 {
     if (options.screenshotFullPage !== undefined) payload.screenshotFullPage = options.screenshotFullPage;
     if (options.debug !== undefined) payload.debug = options.debug;
     if (options.forceNewProxy !== undefined) payload.forceNewProxy = options.forceNewProxy;
+    if (options.webhookUrl !== undefined) payload.webhookUrl = options.webhookUrl;
+    if (options.webhookSecret !== undefined) payload.webhookSecret = options.webhookSecret;
+
+    // Without validation, pass through options newer than this SDK version
+    if (!validate) {
+      Object.assign(payload, unknownRenderOptions(options));
+    }
 
-    const renderUrl = `${this.baseUrl}/renders`;
+    await this.budget.reserve(options.signal);
+
+    // Send with one API key, through the region router when there is one
+    const send = async (apiKey, onRetry) => {
+      if (!this.regionRouter) {
+        return await this._request('POST', '/renders', {
+          body: payload,
+          context: 'Failed to start render',
+          onRetry,
+          signal: options.signal,
+          timeout: options.timeout,
+          apiKey
+        });
+      }
+
+      const { value, region } = await this.regionRouter.run((baseUrl, signal) => this._request('POST', '/renders', {
+        body: payload,
+        context: 'Failed to start render',
+        onRetry,
+        signal,
+        baseUrl,
+        apiKey
+      }), { region: options.region, signal: options.signal, timeout: options.timeout, idempotent: false });
+
+      if (!region.code) return value;
+      this.regionRouter.pin(value.renderId, region);
+      return { ...value, region: region.code };
+    };
 
-    let renderResponse;
+    let response;
     try {
-      renderResponse = await fetch(renderUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'User-Agent': USER_AGENT
-        },
-        body: JSON.stringify(payload)
-      });
+      if (this.keyPool) {
+        const { value, label } = await this.keyPool.create(send, {
+          key: options.key,
+          onRetry: options.onRetry,
+          signal: options.signal
+        });
+        response = { ...value, key: label };
+      } else {
+        response = await send(undefined, options.onRetry);
+      }
     } catch (error) {
-      throw new Browser7Error(`Failed to connect to ${renderUrl}: ${error.message}`);
+      this.budget.release();
+      throw error;
     }
+    this.budget.commit(response.renderId);
 
-    if (!renderResponse.ok) {
-      const error = await renderResponse.text();
-      throwApiError(renderResponse.status, error, 'Failed to start render');
+    if (this.journal) {
+      try {
+        await this.journal.add(journalEntry(response.renderId, url, options, response.region, response.key));
+      } catch (error) {
+        const journalError = new Browser7Error(
+          `Render ${response.renderId} was created but could not be journaled: ${error.message}`,
+          null, null, { cause: error }
+        );
+        journalError.renderId = response.renderId;
+        throw journalError;
+      }
     }
 
-    return await renderResponse.json();
+    return response;
   }
 
   /**
    * Get the status and result of a render job
    * @param {string} renderId - The render ID to retrieve
+   * @param {RequestOptions} [options={}] - Request options
+   * @param {function(RetryEvent): void} [options.onRetry] - Called before each retry of this request
+   * @param {boolean} [options.strictDecoding] - Override the client's `strictDecoding` setting
+   * @param {string} [options.region] - Region that created the render (default: the region this client
+   *                                    created it in, if any)
+   * @param {string} [options.key] - With an API key pool: label of the key that created the render
+   *                                 (default: the key this client created it with, if any)
    * @returns {Promise<RenderResult>} The render result with current status
+   * @throws {DecodeError} With strict decoding, if the html or fetchResponses payload is corrupt
    */
-  async getRender(renderId) {
-    const statusUrl = `${this.baseUrl}/renders/${renderId}`;
-
-    let resultResponse;
+  async getRender(renderId, options = {}) {
+    let result;
     try {
-      resultResponse = await fetch(statusUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'User-Agent': USER_AGENT
-        }
+      // Renders only exist in the region that created them: no failover here
+      const baseUrl = this.regionRouter
+        ? await this.regionRouter.endpointForRender(renderId, options)
+        : undefined;
+
+      const check = (apiKey) => this._request('GET', `/renders/${renderId}`, {
+        context: 'Failed to get render status',
+        onRetry: options.onRetry,
+        signal: options.signal,
+        timeout: options.timeout,
+        baseUrl,
+        apiKey
       });
+      // Renders belong to one account: ask with the key that created them
+      result = this.keyPool
+        ? await this.keyPool.forRender(renderId, check, { key: options.key })
+        : await check(undefined);
     } catch (error) {
-      throw new Browser7Error(`Failed to connect to ${statusUrl}: ${error.message}`);
+      if (error instanceof AbortError) error.renderId = renderId;
+      // The API no longer knows the render: nothing left to resume
+      if (error.statusCode === 404) {
+        this.keyPool?.finish(renderId);
+        await this._finishJournalEntry(renderId, 'failed', error.message);
+      }
+      throw error;
     }
 
-    if (!resultResponse.ok) {
-      const error = await resultResponse.text();
-      throwApiError(resultResponse.status, error, 'Failed to get render status');
+    if (result.status === 'completed' || result.status === 'failed') {
+      this.regionRouter?.unpin(renderId);
+      this.keyPool?.finish(renderId);
+      this.budget.finish(renderId, result);
+      await this._finishJournalEntry(renderId, result.status, result.error ?? null);
     }
 
-    const result = await resultResponse.json();
+    // Decompress html and fetchResponses (base64 gzip), decoding text in its declared charset
+    return await decodeRenderResult(result, {
+      strict: options.strictDecoding ?? this.strictDecoding,
+      renderId
+    });
+  }
 
-    // Decompress the gzipped HTML if present
-    if (result.html) {
-      try {
-        const buffer = Buffer.from(result.html, 'base64');
-        const decompressed = await gunzip(buffer);
-        result.html = decompressed.toString('utf-8');
-      } catch (error) {
-        // Silently fail decompression
-      }
+  /**
+   * Mark a render's journal entry as finished
+   * @param {string} renderId
+   * @param {'completed'|'failed'} status
+   * @param {string|null} error - Why the render failed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finishJournalEntry(renderId, status, error) {
+    if (!this.journal) return;
+    try {
+      await this.journal.update(renderId, { status, error, updatedAt: new Date().toISOString() });
+    } catch {
+      // The result is more important than the bookkeeping: a stale 'pending'
+      // entry only means resumePending() checks the render once more
     }
+  }
 
-    // Decompress and parse fetchResponses if present
-    if (result.fetchResponses) {
-      try {
-        const buffer = Buffer.from(result.fetchResponses, 'base64');
-        const decompressed = await gunzip(buffer);
-        const jsonString = decompressed.toString('utf-8');
-        result.fetchResponses = JSON.parse(jsonString);
-      } catch (error) {
-        // Silently fail decompression/parsing
-      }
-    }
+  /**
+   * What this client has spent: renders created, completed and failed, their
+   * cost in cents and bandwidth totals. Renders count once a status check sees
+   * them finish; cached render() results cost nothing and are not counted.
+   * @returns {UsageReport}
+   */
+  usageReport() {
+    return this.budget.report();
+  }
 
-    return result;
+  /**
+   * Usage and health of each key in the client's API key pool: renders in
+   * flight and created, concurrency limit, last known balance and ejection
+   * @returns {ApiKeyStatus[]} One entry per key (empty without a pool)
+   */
+  keyStatus() {
+    return this.keyPool ? this.keyPool.status() : [];
   }
 
   /**
@@ -268,29 +645,33 @@ class Browser7 {
 
   /**
    * Get the current account balance
+   * @param {RequestOptions} [options={}] - Request options
+   * @param {string} [options.key] - With an API key pool: label of the key whose account to check
+   *                                 (default: the first key)
    * @returns {Promise<AccountBalance>} The account balance
    */
-  async getAccountBalance() {
-    const balanceUrl = `${this.baseUrl}/account/balance`;
+  async getAccountBalance(options = {}) {
+    const apiKey = this.keyPool && options.key !== undefined ? this.keyPool.find(options.key).key : this.apiKey;
 
-    let balanceResponse;
-    try {
-      balanceResponse = await fetch(balanceUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'User-Agent': USER_AGENT
-        }
+    let balance;
+    if (!this.regionRouter) {
+      balance = await this._request('GET', '/account/balance', {
+        context: 'Failed to get account balance',
+        signal: options.signal,
+        timeout: options.timeout,
+        apiKey
       });
-    } catch (error) {
-      throw new Browser7Error(`Failed to connect to ${balanceUrl}: ${error.message}`);
-    }
-
-    if (!balanceResponse.ok) {
-      const error = await balanceResponse.text();
-      throwApiError(balanceResponse.status, error, 'Failed to get account balance');
+    } else {
+      ({ value: balance } = await this.regionRouter.run((baseUrl, signal) => this._request('GET', '/account/balance', {
+        context: 'Failed to get account balance',
+        signal,
+        baseUrl,
+        apiKey
+      }), options));
     }
 
-    return await balanceResponse.json();
+    this.keyPool?.recordBalance(apiKey, balance.totalBalanceCents);
+    return balance;
   }
 
   /**
@@ -298,6 +679,7 @@ class Browser7 {
    * @property {string} code - Region code (e.g., 'eu', 'ca', 'sg')
    * @property {string} name - Human-readable region name (e.g., 'Europe')
    * @property {'active'|'maintenance'|'inactive'} status - Current region status
+   * @property {string} [endpoint] - API base URL for the region (default: https://{code}-api.browser7.com/v1)
    */
 
   /**
@@ -308,109 +690,349 @@ class Browser7 {
   /**
    * Get available API regions and geographic recommendations.
    * This is a public endpoint and does not require authentication.
+   * @param {RequestOptions} [options={}] - Request options
    * @returns {Promise<RegionsResponse>} Available regions and recommendations
    */
-  async getRegions() {
-    const regionsUrl = `${this.baseUrl}/regions`;
-
-    let regionsResponse;
-    try {
-      regionsResponse = await fetch(regionsUrl, {
-        headers: {
-          'User-Agent': USER_AGENT
-        }
-      });
-    } catch (error) {
-      throw new Browser7Error(`Failed to connect to ${regionsUrl}: ${error.message}`);
-    }
+  async getRegions(options = {}) {
+    return await this._request('GET', '/regions', {
+      auth: false,
+      context: 'Failed to get regions',
+      signal: options.signal,
+      timeout: options.timeout
+    });
+  }
 
-    if (!regionsResponse.ok) {
-      const error = await regionsResponse.text();
-      throwApiError(regionsResponse.status, error, 'Failed to get regions');
+  /**
+   * Render a URL and poll for the result
+   * @param {string} url - The URL to render
+   * @param {RenderOptions} [options={}] - Optional render parameters
+   * @param {function(ProgressEvent): void} [onProgress] - Optional progress callback
+   *                                                     (defaults to options.onProgress)
+   * @returns {Promise<RenderResult>} The render result
+   * @throws {AbortError|TimeoutError} If options.signal aborts or options.timeout elapses
+   *                                    (carries the renderId if the render was created)
+   */
+  async render(url, options = {}, onProgress = options.onProgress) {
+    if (this.cache && options.cache !== false) {
+      return await this.cache.render(this, url, options, onProgress);
     }
 
-    return await regionsResponse.json();
+    const job = this.startRender(url, options);
+    if (onProgress) job.on('progress', onProgress);
+    return await job.result();
   }
 
   /**
-   * Render a URL and poll for the result
+   * Start a render and return a handle to track it.
+   * The job is an EventEmitter ('progress', 'started', 'polling', 'retry',
+   * 'completed', 'failed', 'cancelled') and an async iterable of ProgressEvents.
    * @param {string} url - The URL to render
    * @param {RenderOptions} [options={}] - Optional render parameters
+   * @returns {RenderJob} The render job
+   */
+  startRender(url, options = {}) {
+    return new RenderJob(this, { url, options });
+  }
+
+  /**
+   * Track an existing render, e.g. one created by another process
+   * @param {string} renderId - The render ID to poll
+   * @param {RenderOptions} [options={}] - Polling options (signal, timeout, maxPollAttempts, initialPollDelay)
+   * @returns {RenderJob} The render job
+   */
+  attachRender(renderId, options = {}) {
+    return new RenderJob(this, { renderId, options: { initialPollDelay: 0, ...options } });
+  }
+
+  /**
+   * Re-attach to every render the journal still lists as pending, e.g. after a
+   * restart. Entries are marked completed or failed as the jobs finish.
+   * @param {RenderOptions} [options={}] - Polling options for every job (signal, timeout, maxPollAttempts, ...)
+   * @returns {Promise<RenderJob[]>} One job per pending render, oldest first (empty without a journal).
+   *          Each job's `url` and `metadata` come from its journal entry
+   */
+  async resumePending(options = {}) {
+    if (!this.journal) return [];
+
+    const entries = await this.journal.list();
+    return entries
+      .filter(entry => entry.status === 'pending')
+      .map(entry => new RenderJob(this, {
+        url: entry.url,
+        renderId: entry.renderId,
+        options: {
+          initialPollDelay: 0,
+          region: entry.region ?? undefined,
+          key: entry.key ?? undefined,
+          metadata: entry.metadata,
+          ...options
+        }
+      }));
+  }
+
+  /**
+   * Render many URLs concurrently.
+   * Concurrency shrinks automatically when the API reports the account's
+   * concurrent render limit (429), and rate-limited items are re-queued.
+   * @param {Array<string|BatchJob>} items - URLs, or { url, options } jobs
+   * @param {BatchOptions} [options={}] - Batch options
+   * @returns {Promise<BatchResult[]>} One result per item, in input order (never rejects per item)
+   */
+  async renderMany(items, options = {}) {
+    return await renderMany(this, items, options);
+  }
+
+  /**
+   * Render many URLs concurrently, yielding each result as it finishes.
+   * Breaking out of the loop aborts the renders still in flight.
+   * @param {Array<string|BatchJob>} items - URLs, or { url, options } jobs
+   * @param {BatchOptions} [options={}] - Batch options
+   * @returns {AsyncGenerator<BatchResult>} Results in completion order
+   */
+  iterateRenders(items, options = {}) {
+    return iterateRenders(this, items, options);
+  }
+
+  /**
+   * Render one URL from several countries and cities and compare the results
+   * against a baseline geo: text diffs, or a table of extracted fields with
+   * `extract`. Each geo reports the city actually used, CAPTCHA info and
+   * whether it failed. Renders share a batch pool, so rate limits are handled.
+   * @param {string} url - The URL to render
+   * @param {Array<string|GeoTarget>} geos - Country codes, or { countryCode, city, label, options }
+   * @param {GeoCompareOptions} [options={}] - Baseline, comparison scope and render options
+   * @returns {Promise<GeoComparison>} The aligned comparison (never rejects per geo)
+   * @throws {ValidationError} If a geo's render options are invalid
+   *
+   * @example
+   * const comparison = await client.renderAcrossGeos(url, ['US', 'GB', { countryCode: 'DE', city: 'berlin' }], {
+   *   extract: { price: '.price' }
+   * });
+   * console.table(comparison.fields);
+   */
+  async renderAcrossGeos(url, geos, options = {}) {
+    return renderAcrossGeos(this, url, geos, options);
+  }
+
+  /**
+   * Crawl a site: render pages, follow their in-scope links and yield each
+   * page as it finishes. Breaking out of the loop stops the crawl; crawl.state()
+   * can then be passed as `resume` to carry on later.
+   * @param {string|string[]} startUrls - Where to start
+   * @param {CrawlOptions} [options={}] - Scope, limits and render options
+   * @returns {Crawl} Async iterable of CrawlPages
+   *
+   * @example
+   * const crawl = client.crawl('https://shop.example.com', { maxPages: 500, include: [/\/product\//] });
+   * for await (const page of crawl) {
+   *   if (page.ok) await save(page.url, page.result.html);
+   * }
+   */
+  crawl(startUrls, options = {}) {
+    return new Crawl(this, startUrls, options);
+  }
+
+  /**
+   * Watch a page for changes: re-render it on an interval and compare each
+   * render's normalized text (or extracted data) with the last snapshot.
+   * The monitor starts immediately and runs until stop() or `signal`.
+   * @param {string} url - The URL to watch
+   * @param {MonitorOptions} [options={}] - Interval, scope, snapshot store and render options
+   * @returns {Monitor} EventEmitter: 'check', 'baseline', 'changed' and 'error' events with MonitorChecks
+   *
+   * @example
+   * const monitor = client.monitor('https://shop.example.com/item/42', { interval: 15 * 60 * 1000, selector: '.price' });
+   * monitor.on('changed', ({ diff }) => console.log(diff.summary, diff.lines));
+   */
+  monitor(url, options = {}) {
+    return new Monitor(this, url, options);
+  }
+
+  /**
+   * Poll an existing render job until it completes or fails
+   * @param {string} renderId - The render ID to poll
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Abort signal for polling requests and waits
+   * @param {number} [options.maxPollAttempts=60] - Maximum status checks before giving up
+   * @param {number} [options.initialPollDelay=2000] - Milliseconds to wait before the first status check
+   * @param {boolean} [options.strictDecoding] - Override the client's `strictDecoding` setting
+   * @param {string} [options.region] - Region that created the render
+   * @param {string} [options.key] - Label of the API key that created the render
    * @param {function(ProgressEvent): void} [onProgress] - Optional progress callback
-   * @returns {Promise<RenderResult>} The render result
+   * @returns {Promise<RenderResult>} The completed render result
+   * @throws {RenderError} If the render fails or polling attempts run out
+   * @private
    */
-  async render(url, options = {}, onProgress) {
-    const maxAttempts = 60;
+  async _pollRender(renderId, options = {}, onProgress) {
+    const { signal, initialPollDelay = 2000 } = options;
 
-    const { renderId } = await this.createRender(url, options);
+    // Give the render a head start before the first status check
+    await sleep(this._pollDelay(initialPollDelay), signal);
 
-    // Emit started event
+    for (let attempt = 0; ; attempt++) {
+      const { result, nextPollMs } = await this._checkRender(renderId, attempt, options, onProgress);
+      if (result.status === 'completed') return result;
+      await sleep(nextPollMs, signal);
+    }
+  }
+
+  /**
+   * Check a render's status once, emitting the matching progress events
+   * @param {string} renderId - The render ID to check
+   * @param {number} attempt - Status checks made so far
+   * @param {Object} options - Polling options, as for _pollRender()
+   * @param {function(ProgressEvent): void} [onProgress] - Optional progress callback
+   * @returns {Promise<{result: RenderResult, nextPollMs: number}>} The render, and how long to wait
+   *          before checking again if it is still processing
+   * @throws {RenderError} If the render failed, or is still processing after the last attempt
+   * @private
+   */
+  async _checkRender(renderId, attempt, options, onProgress) {
+    const { signal, maxPollAttempts = 60, strictDecoding, region, key } = options;
+    const retried = onProgress ? retryProgress(onProgress, renderId) : undefined;
+    const onRetry = (event) => {
+      options.onRetry?.(event);
+      retried?.(event);
+    };
+    const result = await this.getRender(renderId, { onRetry, signal, strictDecoding, region, key });
+
+    // Emit polling event
     if (onProgress) {
       onProgress({
-        type: 'started',
+        type: 'polling',
         renderId,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        status: result.status,
+        attempt: attempt + 1,
+        retryAfter: result.retryAfter
       });
     }
 
-    // Wait 2 seconds before starting to poll
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Poll for the result
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const result = await this.getRender(renderId);
-
-      // Emit polling event
+    if (result.status === 'completed') {
+      // Emit completed event
       if (onProgress) {
         onProgress({
-          type: 'polling',
+          type: 'completed',
           renderId,
           timestamp: new Date().toISOString(),
-          status: result.status,
-          attempt: attempt + 1,
-          retryAfter: result.retryAfter
+          status: result.status
         });
       }
-
-      if (result.status === 'completed') {
-        // Emit completed event
-        if (onProgress) {
-          onProgress({
-            type: 'completed',
-            renderId,
-            timestamp: new Date().toISOString(),
-            status: result.status
-          });
-        }
-
-        return result;
+    } else if (result.status === 'failed') {
+      // Emit failed event
+      if (onProgress) {
+        onProgress({
+          type: 'failed',
+          renderId,
+          timestamp: new Date().toISOString(),
+          status: result.status
+        });
       }
+      throw new RenderError(
+        `Render failed: ${result.error || 'Unknown error'}`,
+        null, result, result.errorCode ?? null, renderId, result.billable ?? null
+      );
+    } else if (attempt + 1 >= maxPollAttempts) {
+      throw new RenderError(
+        `Render timed out after ${maxPollAttempts} attempts`,
+        null, null, RenderErrorCode.RENDER_TIMEOUT, renderId, null
+      );
+    }
 
-      if (result.status === 'failed') {
-        // Emit failed event
-        if (onProgress) {
-          onProgress({
-            type: 'failed',
-            renderId,
-            timestamp: new Date().toISOString(),
-            status: result.status
-          });
-        }
-        throw new RenderError(
-          `Render failed: ${result.error || 'Unknown error'}`,
-          null, result, result.errorCode ?? null, renderId, result.billable ?? null
-        );
-      }
+    // Poll again at the server-suggested interval, or after 1 second
+    return { result, nextPollMs: this._pollDelay(result.retryAfter ? result.retryAfter * 1000 : 1000) };
+  }
+
+  /**
+   * How long to wait between status checks
+   * @param {number} ms - The wait against the live API
+   * @returns {number} Milliseconds (none when replaying, as fixtures are read at once)
+   * @private
+   */
+  _pollDelay(ms) {
+    return this.recording?.mode === 'replay' ? 0 : ms;
+  }
 
-      // Wait before polling again - use server-suggested interval or default to 1 second
-      const retryAfter = result.retryAfter ? result.retryAfter * 1000 : 1000;
-      await new Promise(resolve => setTimeout(resolve, retryAfter));
+  /**
+   * Check render options locally without calling the API
+   * @param {string} url - The URL to render
+   * @param {RenderOptions} [options={}] - Render options to check
+   * @returns {Array<{field: string, message: string}>} Problems found (empty when valid)
+   * @static
+   */
+  static validateRenderOptions(url, options = {}) {
+    if (options.waitFor instanceof Scenario) {
+      options = { ...options, waitFor: options.waitFor.toJSON() };
     }
+    return validateRenderOptions(url, options);
+  }
 
-    throw new RenderError(
-      `Render timed out after ${maxAttempts} attempts`,
-      null, null, 'RENDER_TIMEOUT', renderId, null
-    );
+  /**
+   * Extract structured data from HTML with a declarative schema
+   * @param {string} html - HTML source (e.g., result.html)
+   * @param {ExtractSchema} schema - Fields to extract
+   * @param {Object} [options={}]
+   * @param {string} [options.baseUrl] - URL relative links resolve against
+   * @returns {ExtractResult} Extracted data and the fields that matched nothing
+   * @static
+   */
+  static extract(html, schema, options = {}) {
+    return extract(html, schema, options);
+  }
+
+  /**
+   * Read render results back from a WARC or JSON lines archive
+   * @param {string} file - Archive written by WarcWriter or JsonlWriter (gzipped or not)
+   * @returns {AsyncGenerator<{url: string, renderId: string|null, archivedAt: string, result: RenderResult}>}
+   *          Archived results in the order they were written
+   * @throws {Browser7Error} If the archive is malformed or cut short
+   * @static
+   */
+  static readArchive(file) {
+    return readArchive(file);
+  }
+
+  /**
+   * Verify a webhook delivery's signature and parse its body
+   * @param {string|Uint8Array} rawBody - The exact request body, before any JSON parsing
+   * @param {Object|Headers} headers - Request headers
+   * @param {string|string[]} secret - The webhookSecret the render was created with
+   * @param {Object} [options={}]
+   * @param {number} [options.tolerance=300] - Maximum age of the delivery in seconds
+   * @returns {Object} The parsed webhook body ({ type, renderId, timestamp, data })
+   * @throws {WebhookVerificationError} If the signature is missing, invalid or too old
+   * @static
+   */
+  static verifyWebhook(rawBody, headers, secret, options = {}) {
+    return verifyWebhook(rawBody, headers, secret, options);
+  }
+
+  /**
+   * Create a Node http / Express / Fastify handler for webhook deliveries
+   * @param {WebhookHandlerOptions} options - Secret and event callbacks
+   * @returns {function(Object, Object, function=): Promise<*>} Request handler
+   * @static
+   */
+  static createWebhookHandler(options) {
+    return createWebhookHandler(options);
+  }
+
+  /**
+   * Start a chainable scenario of wait actions, checked as each step is added
+   * @param {WaitAction[]} [actions=[]] - Wait actions to start from
+   * @returns {Scenario} An empty (or pre-filled) scenario
+   * @throws {ValidationError} If the actions are invalid
+   * @static
+   *
+   * @example
+   * const scenario = Browser7.scenario()
+   *   .click('.cookie-accept')
+   *   .waitFor('.main', { state: 'visible' })
+   *   .delay(500);
+   * await client.render(url, { waitFor: scenario });
+   */
+  static scenario(actions = []) {
+    return new Scenario(actions);
   }
 
   /**
@@ -480,19 +1102,63 @@ class Browser7 {
 }
 
 // Attach error classes as static properties for CJS compatibility
+Browser7.RenderErrorCode = RenderErrorCode;
 Browser7.Browser7Error = Browser7Error;
+Browser7.NetworkError = NetworkError;
 Browser7.AuthenticationError = AuthenticationError;
 Browser7.ValidationError = ValidationError;
 Browser7.RateLimitError = RateLimitError;
 Browser7.InsufficientBalanceError = InsufficientBalanceError;
+Browser7.BudgetExceededError = BudgetExceededError;
 Browser7.RenderError = RenderError;
+Browser7.DecodeError = DecodeError;
+Browser7.WebhookVerificationError = WebhookVerificationError;
+Browser7.AbortError = AbortError;
+Browser7.TimeoutError = TimeoutError;
+Browser7.RenderJob = RenderJob;
+Browser7.Crawl = Crawl;
+Browser7.MemoryCache = MemoryCache;
+Browser7.FileCache = FileCache;
+Browser7.FetchResponse = FetchResponse;
+Browser7.Scenario = Scenario;
+Browser7.MemoryJournal = MemoryJournal;
+Browser7.FileJournal = FileJournal;
+Browser7.WarcWriter = WarcWriter;
+Browser7.Monitor = Monitor;
+Browser7.MemorySnapshotStore = MemorySnapshotStore;
+Browser7.FileSnapshotStore = FileSnapshotStore;
+Browser7.JsonlWriter = JsonlWriter;
 
 export default Browser7;
 export {
+  RenderErrorCode,
   Browser7Error,
+  NetworkError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
   InsufficientBalanceError,
-  RenderError
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError,
+  RenderJob,
+  Crawl,
+  MemoryCache,
+  FileCache,
+  FetchResponse,
+  Scenario,
+  MemoryJournal,
+  FileJournal,
+  WarcWriter,
+  JsonlWriter,
+  readArchive,
+  Monitor,
+  MemorySnapshotStore,
+  FileSnapshotStore,
+  extract,
+  verifyWebhook,
+  createWebhookHandler
 };
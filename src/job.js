@@ -0,0 +1,208 @@
+/**
+ * Browser7 SDK Render Jobs
+ *
+ * A RenderJob tracks one render from creation (or re-attachment to an
+ * existing renderId) until it completes. Progress is available three ways:
+ *   - EventEmitter: 'progress' for every event, plus one event per type
+ *     ('started', 'polling', 'retry', 'completed', 'failed', 'cancelled')
+ *   - Async iteration: `for await (const event of job)` replays every event
+ *     from the start and ends once the job settles
+ *   - `result()`: a promise for the final RenderResult
+ */
+
+import { EventEmitter } from './runtime.js';
+import { AbortError, RenderError } from './errors.js';
+import { createDeadline, toAbortError } from './utils.js';
+import { extractResult } from './extract.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./index.js').ProgressEvent} ProgressEvent
+ * @typedef {import('./retry.js').RetryEvent} RetryEvent
+ */
+
+/**
+ * Adapt retry notifications into 'retry' progress events
+ * @param {function(ProgressEvent): void} onProgress - Progress listener
+ * @param {string|null} renderId - The render ID, or null before the render is created
+ * @returns {function(RetryEvent): void} Retry listener
+ */
+function retryProgress(onProgress, renderId) {
+  return ({ attempt, delayMs, error }) => onProgress({
+    type: 'retry',
+    renderId,
+    timestamp: new Date().toISOString(),
+    attempt,
+    delayMs,
+    error
+  });
+}
+
+class RenderJob extends EventEmitter {
+  /**
+   * Start tracking a render. Use client.startRender() or client.attachRender()
+   * rather than constructing jobs directly.
+   * @param {import('./index.js').default} client - Browser7 client
+   * @param {Object} params
+   * @param {string} [params.url] - URL to render (creates a new render)
+   * @param {string} [params.renderId] - Existing render to attach to (skips creation)
+   * @param {RenderOptions} [params.options={}] - Render and polling options
+   */
+  constructor(client, { url = null, renderId = null, options = {} }) {
+    super();
+    this.client = client;
+    this.url = url;
+    /** @type {string|null} The render ID (null until the render is created) */
+    this.renderId = renderId;
+    /** @type {'pending'|'processing'|'completed'|'failed'|'cancelled'} Last known status */
+    this.status = 'pending';
+    /** @type {*} The `metadata` render option (restored from the journal for resumed jobs) */
+    this.metadata = options.metadata ?? null;
+
+    this._options = options;
+    this._events = [];
+    this._settled = false;
+    this._waiters = new Set();
+    this._controller = new AbortController();
+
+    // Aborting the caller's signal cancels the job like cancel() does
+    this._onAbort = () => this.cancel(options.signal.reason);
+    if (options.signal?.aborted) {
+      this._onAbort();
+    } else {
+      options.signal?.addEventListener('abort', this._onAbort, { once: true });
+    }
+
+    this._promise = this._run();
+    // Failures surface through result(), 'failed' events or iteration
+    this._promise.catch(() => {});
+  }
+
+  /**
+   * Wait for the render to finish
+   * @returns {Promise<RenderResult>} The completed render result
+   * @throws {RenderError|AbortError|TimeoutError} If the render fails, is cancelled or times out
+   */
+  result() {
+    return this._promise;
+  }
+
+  /**
+   * Stop polling this render. The render itself keeps running on the API
+   * and can be picked up again later with client.attachRender(renderId).
+   * @param {*} [reason] - Abort reason (defaults to an AbortError)
+   */
+  cancel(reason) {
+    if (this._settled) return;
+    this._controller.abort(reason ?? new AbortError('Render was cancelled', this.renderId));
+  }
+
+  /**
+   * Iterate over progress events, starting with those already emitted
+   * @returns {AsyncIterator<ProgressEvent>}
+   */
+  async *[Symbol.asyncIterator]() {
+    let index = 0;
+    while (true) {
+      if (index < this._events.length) {
+        yield this._events[index++];
+      } else if (this._settled) {
+        return;
+      } else {
+        await new Promise(resolve => this._waiters.add(resolve));
+      }
+    }
+  }
+
+  /**
+   * Record a progress event and notify listeners and iterators
+   * @param {ProgressEvent} event - The progress event
+   * @private
+   */
+  _emitProgress(event) {
+    if (event.status) this.status = event.status;
+    this._events.push(event);
+    this._wake();
+
+    this.emit('progress', event);
+    this.emit(event.type, event);
+  }
+
+  /**
+   * Resume any pending iterators
+   * @private
+   */
+  _wake() {
+    for (const resolve of this._waiters) resolve();
+    this._waiters.clear();
+  }
+
+  /**
+   * Create (unless attached) and poll the render
+   * @returns {Promise<RenderResult>}
+   * @private
+   */
+  async _run() {
+    const options = this._options;
+    const deadline = createDeadline(this._controller.signal, options.timeout);
+    const signal = deadline.signal;
+    const observation = this.client.observer.startRender(this.url, this.renderId);
+    const onProgress = event => {
+      observation.progress(event);
+      this._emitProgress(event);
+    };
+
+    try {
+      if (!this.renderId) {
+        const retried = retryProgress(onProgress, null);
+        const { renderId } = await this.client.createRender(this.url, {
+          ...options,
+          onRetry: (event) => {
+            options.onRetry?.(event);
+            retried(event);
+          },
+          signal,
+          timeout: undefined
+        });
+        this.renderId = renderId;
+        this.status = 'processing';
+
+        onProgress({
+          type: 'started',
+          renderId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await this.client._pollRender(this.renderId, { ...options, signal }, onProgress);
+      extractResult(result, this.url, options);
+      observation.end(result);
+      return result;
+    } catch (error) {
+      if (!signal?.aborted) {
+        observation.end(error instanceof RenderError ? error.body : null, error);
+        throw error;
+      }
+
+      const abortError = toAbortError(signal, this.renderId);
+      if (this._controller.signal.aborted) {
+        this.status = 'cancelled';
+        onProgress({
+          type: 'cancelled',
+          renderId: this.renderId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      observation.end(null, abortError);
+      throw abortError;
+    } finally {
+      deadline.clear();
+      options.signal?.removeEventListener('abort', this._onAbort);
+      this._settled = true;
+      this._wake();
+    }
+  }
+}
+
+export { RenderJob, retryProgress };
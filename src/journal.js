@@ -0,0 +1,220 @@
+/**
+ * Browser7 SDK Render Journal
+ *
+ * Records every render the client creates, so a process that dies between
+ * createRender() and the final getRender() can pick its renders up again
+ * with client.resumePending() instead of paying for results it never reads.
+ *
+ * Stores implement a small async interface (see JournalStore); a JSON-lines
+ * file store and an in-memory store are built in.
+ */
+
+import { assertFileSystem, temporaryPath, appendFile, readFile, writeFile, rename, mkdir, dirname } from './runtime.js';
+import { API_OPTIONS } from './validation.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} renderId - The render ID
+ * @property {string} url - The rendered URL
+ * @property {Object} options - API options the render was created with (secrets removed)
+ * @property {string|null} region - Region that created the render (with the `region` client option)
+ * @property {string|null} key - Label of the API key that created the render (with an API key pool)
+ * @property {*} metadata - The `metadata` render option, stored as-is
+ * @property {'pending'|'completed'|'failed'} status - 'pending' until a status check sees the render finish
+ * @property {string|null} error - Why the render failed (for 'failed' entries)
+ * @property {string} createdAt - ISO timestamp of when the render was created
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * @typedef {Object} JournalStore
+ * @property {function(JournalEntry): Promise<void>} add - Record a new render
+ * @property {function(string, Object): Promise<void>} update - Merge changes into a render's entry
+ * @property {function(): Promise<JournalEntry[]>} list - Every entry, oldest first
+ */
+
+/**
+ * @typedef {Object} JournalOptions
+ * @property {JournalStore} [store] - Where entries are kept (default: a FileJournal at `path`)
+ * @property {string} [path='browser7-journal.jsonl'] - File for the default store
+ */
+
+const DEFAULT_PATH = 'browser7-journal.jsonl';
+
+// Render options never written to the journal
+const SECRET_OPTIONS = ['webhookSecret'];
+
+class MemoryJournal {
+  /**
+   * In-memory journal, for tests and short-lived processes
+   */
+  constructor() {
+    this._entries = new Map();
+  }
+
+  async add(entry) {
+    this._entries.set(entry.renderId, { ...entry });
+  }
+
+  async update(renderId, changes) {
+    const entry = this._entries.get(renderId);
+    if (entry) this._entries.set(renderId, { ...entry, ...changes });
+  }
+
+  async list() {
+    return [...this._entries.values()].map(entry => ({ ...entry }));
+  }
+}
+
+class FileJournal {
+  /**
+   * Append-only JSON-lines journal: one line per new render or change
+   * @param {Object} [options={}]
+   * @param {string} [options.path='browser7-journal.jsonl'] - Journal file (created if missing)
+   */
+  constructor(options = {}) {
+    assertFileSystem('Journal files');
+    this.path = options.path ?? DEFAULT_PATH;
+    this._writes = Promise.resolve();
+  }
+
+  /**
+   * Run a file operation after any writes already queued
+   * @param {function(): Promise<void>} operation
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueue(operation) {
+    const write = this._writes.then(operation);
+    // Keep the queue going after a failed write; the caller still sees the error
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Append a line to the journal
+   * @param {Object} record
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(record) {
+    return this._enqueue(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      await appendFile(this.path, `${JSON.stringify(record)}\n`);
+    });
+  }
+
+  async add(entry) {
+    await this._append(entry);
+  }
+
+  async update(renderId, changes) {
+    await this._append({ ...changes, renderId });
+  }
+
+  async list() {
+    await this._writes;
+    return await this._read();
+  }
+
+  /**
+   * Read every render's latest state from the file
+   * @returns {Promise<JournalEntry[]>}
+   * @private
+   */
+  async _read() {
+    let content;
+    try {
+      content = await readFile(this.path, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash mid-write: skip it
+        continue;
+      }
+      const existing = entries.get(record.renderId);
+      if (existing) {
+        entries.set(record.renderId, { ...existing, ...record });
+      } else if (record.url !== undefined) {
+        entries.set(record.renderId, record);
+      }
+    }
+    return [...entries.values()];
+  }
+
+  /**
+   * Rewrite the file with one line per render, dropping finished renders
+   * older than `olderThan` milliseconds
+   * @param {Object} [options={}]
+   * @param {number} [options.olderThan=0] - Keep finished renders updated more recently than this
+   * @returns {Promise<void>}
+   */
+  async compact(options = {}) {
+    const cutoff = Date.now() - (options.olderThan ?? 0);
+
+    // Read and rewrite as one queued operation, so no line appended in between is lost
+    await this._enqueue(async () => {
+      const entries = (await this._read()).filter(entry =>
+        entry.status === 'pending' || Date.parse(entry.updatedAt) > cutoff
+      );
+      const temporary = temporaryPath(this.path);
+      await writeFile(temporary, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await rename(temporary, this.path);
+    });
+  }
+}
+
+/**
+ * Create the store for the client's `journal` option
+ * @param {JournalOptions|boolean} options
+ * @returns {JournalStore}
+ */
+function createJournal(options) {
+  const config = options === true ? {} : options;
+  return config.store ?? new FileJournal({ path: config.path });
+}
+
+/**
+ * Build the journal entry for a newly created render
+ * @param {string} renderId
+ * @param {string} url
+ * @param {RenderOptions} options - Render options
+ * @param {string|null} region - Region that created the render
+ * @param {string|null} [key=null] - Label of the API key that created the render
+ * @returns {JournalEntry}
+ */
+function journalEntry(renderId, url, options, region, key = null) {
+  const apiOptions = {};
+  for (const key of API_OPTIONS) {
+    if (options[key] !== undefined && !SECRET_OPTIONS.includes(key)) apiOptions[key] = options[key];
+  }
+
+  const now = new Date().toISOString();
+  return {
+    renderId,
+    url,
+    options: apiOptions,
+    region: region ?? null,
+    key,
+    metadata: options.metadata ?? null,
+    status: 'pending',
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+export { MemoryJournal, FileJournal, createJournal, journalEntry };
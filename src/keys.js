@@ -0,0 +1,404 @@
+/**
+ * Browser7 SDK API Key Pools
+ *
+ * With several API keys, each createRender() goes to a key that has free
+ * concurrency and enough balance, spreading renders by weight. Status checks
+ * for a render always use the key that created it, since renders belong to
+ * one account. A key that answers 401/403 or 402 is ejected for a while and
+ * the render is created with the next key instead.
+ *
+ * Concurrency is counted per key from creation until a status check sees the
+ * render finish, like the API counts it. Limits come from `maxConcurrent` or
+ * are learned from 429 responses that report the account's limit.
+ */
+
+import { AuthenticationError, Browser7Error, InsufficientBalanceError, RateLimitError } from './errors.js';
+import { abortable } from './utils.js';
+
+/**
+ * @typedef {Object} ApiKeyEntry
+ * @property {string} key - The API key
+ * @property {string} [label] - Name used in logs, key status and the `key` render option (default: 'key-1', 'key-2', ...)
+ * @property {number} [weight=1] - Share of renders relative to the other keys
+ * @property {number} [maxConcurrent] - Renders in flight at once on this key (default: learned from 429 responses)
+ * @property {number} [minBalanceCents] - Skip the key while its account balance is below this
+ */
+
+/**
+ * @typedef {Object} ApiKeyStatus
+ * @property {string} label - The key's label
+ * @property {number} weight - The key's weight
+ * @property {number} inFlight - Renders created with the key that have not finished
+ * @property {number|null} maxConcurrent - Concurrency limit (configured or learned; null when unknown)
+ * @property {number} created - Renders created with the key by this client
+ * @property {number|null} balanceCents - Last known balance, less renders created since (null when never checked)
+ * @property {string|null} ejectedUntil - ISO timestamp until which the key is skipped (null when in use)
+ * @property {string|null} ejectedReason - Why the key was ejected
+ */
+
+// How long a key that failed authentication or ran out of balance is skipped
+const EJECT_COOLDOWN = 5 * 60 * 1000;
+
+// How long a key's balance is reused before asking the API again
+const BALANCE_TTL = 60 * 1000;
+
+// Renders that were never polled to the end stop counting against a key after this
+const SLOT_TTL = 10 * 60 * 1000;
+
+// Renders whose key is remembered; older entries are forgotten first
+const MAX_PINNED_RENDERS = 1000;
+
+/**
+ * Whether an error means the key itself cannot be used right now
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isKeyError(error) {
+  return error instanceof AuthenticationError ||
+    (error instanceof InsufficientBalanceError && error.statusCode === 402);
+}
+
+class KeyPool {
+  /**
+   * @param {import('./index.js').default} client - Browser7 client (used for balance checks)
+   * @param {Array<string|ApiKeyEntry>} keys - API keys, or entries with labels and limits
+   * @param {number} [centsPerRender=1] - Taken off a key's known balance per render
+   * @throws {Browser7Error} If the pool is empty or keys or labels repeat
+   */
+  constructor(client, keys, centsPerRender = 1) {
+    if (keys.length === 0) {
+      throw new Browser7Error('API key is required');
+    }
+
+    this.client = client;
+    this.centsPerRender = centsPerRender;
+    this.entries = keys.map((item, index) => {
+      const entry = typeof item === 'string' ? { key: item } : item ?? {};
+      if (!entry.key) throw new Browser7Error(`API key ${index + 1} in the pool is empty`);
+
+      const weight = entry.weight ?? 1;
+      if (!(Number.isFinite(weight) && weight > 0)) {
+        throw new Browser7Error(`Invalid weight for API key ${index + 1}: ${weight} (expected a number > 0)`);
+      }
+      return {
+        key: entry.key,
+        label: entry.label ?? `key-${index + 1}`,
+        weight,
+        maxConcurrent: entry.maxConcurrent ?? null,
+        minBalanceCents: entry.minBalanceCents ?? null,
+        created: 0,
+        balanceCents: null,
+        balanceAt: 0,
+        balancePending: null,
+        ejectedUntil: 0,
+        ejectedError: null
+      };
+    });
+
+    for (const field of ['key', 'label']) {
+      const values = this.entries.map(entry => entry[field]);
+      const repeated = values.findIndex((value, index) => values.indexOf(value) !== index);
+      if (repeated !== -1) {
+        throw new Browser7Error(`API key ${repeated + 1} repeats the ${field} of another key in the pool`);
+      }
+    }
+
+    /** @type {Map<string, {entry: Object, since: number}>} Render ID → key holding a concurrency slot */
+    this._slots = new Map();
+    /** @type {Map<string, Object>} Render ID → key that created it */
+    this._renders = new Map();
+    this._waiters = new Set();
+  }
+
+  /**
+   * Every API key in the pool
+   * @type {string[]}
+   */
+  get keys() {
+    return this.entries.map(entry => entry.key);
+  }
+
+  /**
+   * Look up a key by label or key
+   * @param {string} name
+   * @returns {Object}
+   * @throws {Browser7Error} If no key matches
+   */
+  find(name) {
+    const entry = this.entries.find(candidate => candidate.label === name || candidate.key === name);
+    if (!entry) {
+      throw new Browser7Error(`Unknown API key '${name}' (available: ${this.entries.map(({ label }) => label).join(', ')})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Renders in flight on a key
+   * @param {Object} entry
+   * @returns {number}
+   * @private
+   */
+  _inFlight(entry) {
+    let count = 0;
+    for (const slot of this._slots.values()) {
+      if (slot.entry === entry) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Refresh balances that a key's minimum depends on, when stale
+   * @param {Object[]} entries
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshBalances(entries, signal) {
+    const now = Date.now();
+    const stale = entries.filter(entry => entry.minBalanceCents !== null && now - entry.balanceAt >= BALANCE_TTL);
+
+    await Promise.all(stale.map(entry => {
+      // Concurrent callers share one check per key, which no single caller can cancel
+      entry.balancePending ??= this.client.getAccountBalance({ key: entry.label })
+        .catch(() => {
+          // Unknown balance: let the API decide (a 402 ejects the key)
+        })
+        .finally(() => {
+          entry.balancePending = null;
+        });
+      return abortable(entry.balancePending, signal);
+    }));
+  }
+
+  /**
+   * Record a balance seen for a key
+   * @param {string} key
+   * @param {number} cents
+   */
+  recordBalance(key, cents) {
+    const entry = this.entries.find(candidate => candidate.key === key);
+    if (!entry) return;
+    entry.balanceCents = cents;
+    entry.balanceAt = Date.now();
+  }
+
+  /**
+   * Pick a key for a new render and hold a concurrency slot on it
+   * @param {Object} options
+   * @param {string} [options.key] - Label of the key to use (no fallback to others)
+   * @param {Set<Object>} options.exclude - Keys already tried for this render
+   * @param {symbol} options.slot - Placeholder that holds the slot until the render ID is known
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} The chosen key
+   * @throws {Browser7Error|AuthenticationError|InsufficientBalanceError} If no key can take the render
+   * @private
+   */
+  async _acquire({ key, exclude, slot, signal }) {
+    const wanted = key !== undefined ? [this.find(key)] : this.entries;
+
+    while (true) {
+      const now = Date.now();
+      for (const [renderId, slot] of this._slots) {
+        if (now - slot.since > SLOT_TTL) this._slots.delete(renderId);
+      }
+
+      const usable = wanted.filter(entry => !exclude.has(entry) && entry.ejectedUntil <= now);
+      await this._refreshBalances(usable, signal);
+
+      const funded = usable.filter(entry =>
+        entry.minBalanceCents === null || entry.balanceCents === null || entry.balanceCents >= entry.minBalanceCents
+      );
+      const free = funded.filter(entry => entry.maxConcurrent === null || this._inFlight(entry) < entry.maxConcurrent);
+
+      if (free.length > 0) {
+        // Weighted fair share: the key furthest below its share goes next
+        const entry = free.reduce((best, candidate) =>
+          (candidate.created + 1) / candidate.weight < (best.created + 1) / best.weight ? candidate : best
+        );
+        // Take the slot right away, before another caller counts this key's renders
+        this._slots.set(slot, { entry, since: now });
+        entry.created++;
+        return entry;
+      }
+
+      if (funded.length === 0) throw this._unavailable(wanted);
+
+      // Every usable key is at its limit: wait for a render to finish, or for
+      // the first slot of a render nobody polls to expire
+      const expiry = Math.min(...Array.from(this._slots.values(), held => held.since + SLOT_TTL));
+      let wake;
+      let timer;
+      try {
+        await abortable(new Promise(resolve => {
+          wake = resolve;
+          this._waiters.add(wake);
+          if (Number.isFinite(expiry)) timer = setTimeout(wake, Math.max(0, expiry - Date.now()) + 1);
+        }), signal);
+      } finally {
+        clearTimeout(timer);
+        this._waiters.delete(wake);
+      }
+    }
+  }
+
+  /**
+   * The error for a render no key can take
+   * @param {Object[]} entries - Keys that were considered
+   * @returns {Error}
+   * @private
+   */
+  _unavailable(entries) {
+    const reasons = entries.map(entry => {
+      if (entry.ejectedError && entry.ejectedUntil > Date.now()) return `${entry.label}: ${entry.ejectedError.message}`;
+      if (entry.minBalanceCents !== null && entry.balanceCents < entry.minBalanceCents) {
+        return `${entry.label}: balance ${entry.balanceCents} cents is below ${entry.minBalanceCents}`;
+      }
+      return `${entry.label}: failed for this render`;
+    });
+    const message = `No API key can take the render (${reasons.join('; ')})`;
+
+    // Keep the class of the last key error so callers can tell auth and balance problems apart
+    const last = entries.map(entry => entry.ejectedError).filter(Boolean).pop();
+    if (last) return new last.constructor(message, last.statusCode, last.body, { cause: last });
+    return new InsufficientBalanceError(message);
+  }
+
+  /**
+   * Let a waiting createRender() look for a key again
+   * @private
+   */
+  _wake() {
+    for (const resolve of this._waiters) resolve();
+    this._waiters.clear();
+  }
+
+  /**
+   * Skip a key for a while
+   * @param {Object} entry
+   * @param {Error} error - Why
+   * @private
+   */
+  _eject(entry, error) {
+    entry.ejectedUntil = Date.now() + EJECT_COOLDOWN;
+    entry.ejectedError = error;
+    this.client.observer.logger?.warn(`API key ${entry.label} ejected for ${EJECT_COOLDOWN / 1000}s: ${error.message}`);
+  }
+
+  /**
+   * Create a render with the best available key, moving on to the next key
+   * when one is rejected for authentication or balance
+   * @param {function(string, function(Object): void): Promise<{renderId: string}>} operation - Called with an
+   *        API key and a retry listener
+   * @param {Object} [options={}]
+   * @param {string} [options.key] - Label of the key to use
+   * @param {function(Object): void} [options.onRetry] - Caller's retry listener
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{value: Object, label: string}>} The response and the label of the key that created it
+   */
+  async create(operation, options = {}) {
+    const exclude = new Set();
+
+    while (true) {
+      const placeholder = Symbol('pending render');
+      const entry = await this._acquire({ key: options.key, exclude, slot: placeholder, signal: options.signal });
+
+      const onRetry = (event) => {
+        if (event.error instanceof RateLimitError && event.error.concurrentLimit) {
+          entry.maxConcurrent = event.error.concurrentLimit;
+        }
+        options.onRetry?.(event);
+      };
+
+      try {
+        const value = await operation(entry.key, onRetry);
+        this._slots.set(value.renderId, { entry, since: Date.now() });
+        this._pin(value.renderId, entry);
+        if (entry.balanceCents !== null) entry.balanceCents -= this.centsPerRender;
+        return { value, label: entry.label };
+      } catch (error) {
+        entry.created--;
+        if (error instanceof RateLimitError && error.concurrentLimit) entry.maxConcurrent = error.concurrentLimit;
+        if (!isKeyError(error)) throw error;
+
+        this._eject(entry, error);
+        exclude.add(entry);
+        if (options.key !== undefined) throw error;
+      } finally {
+        this._slots.delete(placeholder);
+        this._wake();
+      }
+    }
+  }
+
+  /**
+   * Run a status check with the key that created a render
+   *
+   * Renders this client did not create (and without a `key` hint) are looked
+   * up with each key in turn until one knows them.
+   * @param {string} renderId
+   * @param {function(string): Promise<*>} operation - Called with an API key
+   * @param {Object} [options={}]
+   * @param {string} [options.key] - Label of the key that created the render
+   * @returns {Promise<*>}
+   */
+  async forRender(renderId, operation, options = {}) {
+    const known = options.key !== undefined ? this.find(options.key) : this._renders.get(renderId);
+    if (known) return await operation(known.key);
+
+    let lastError;
+    for (const entry of this.entries) {
+      try {
+        const value = await operation(entry.key);
+        this._pin(renderId, entry);
+        return value;
+      } catch (error) {
+        // Another account's render looks missing (or forbidden) to this key
+        if (error.statusCode !== 404 && !(error instanceof AuthenticationError)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Remember which key created a render
+   * @param {string} renderId
+   * @param {Object} entry
+   * @private
+   */
+  _pin(renderId, entry) {
+    this._renders.set(renderId, entry);
+    if (this._renders.size > MAX_PINNED_RENDERS) {
+      this._renders.delete(this._renders.keys().next().value);
+    }
+  }
+
+  /**
+   * Free a finished render's concurrency slot and forget its key
+   * @param {string} renderId
+   */
+  finish(renderId) {
+    this._renders.delete(renderId);
+    if (this._slots.delete(renderId)) this._wake();
+  }
+
+  /**
+   * Usage and health of every key
+   * @returns {ApiKeyStatus[]}
+   */
+  status() {
+    const now = Date.now();
+    return this.entries.map(entry => ({
+      label: entry.label,
+      weight: entry.weight,
+      inFlight: this._inFlight(entry),
+      maxConcurrent: entry.maxConcurrent,
+      created: entry.created,
+      balanceCents: entry.balanceCents,
+      ejectedUntil: entry.ejectedUntil > now ? new Date(entry.ejectedUntil).toISOString() : null,
+      ejectedReason: entry.ejectedUntil > now ? entry.ejectedError?.message ?? null : null
+    }));
+  }
+}
+
+export { KeyPool };
@@ -0,0 +1,481 @@
+/**
+ * Browser7 SDK Change Monitoring
+ *
+ * A Monitor re-renders one URL on an interval and compares each render with
+ * the previous snapshot. Pages are normalized before comparing: scripts,
+ * styles and `ignore`d elements are dropped and the visible text is split
+ * into one line per block element, optionally scoped to a selector. With an
+ * extraction schema, the extracted data is compared instead. Snapshots are
+ * hashed, so an unchanged page costs one comparison, and kept in a pluggable
+ * store so a restarted process carries on from its last snapshot rather than
+ * starting a new baseline.
+ *
+ * Events: 'check' after every successful check, 'baseline' when there was no
+ * previous snapshot, 'changed' with a diff, and 'error' when a check fails
+ * (logged instead if nothing listens). Checks never overlap: the next one
+ * starts `interval` after the previous one started, or once it finishes.
+ */
+
+import {
+  EventEmitter, sha256, assertFileSystem, temporaryPath, readFile, writeFile, rename, rm, mkdir, join
+} from './runtime.js';
+import { AbortError, Browser7Error } from './errors.js';
+import { parseHtml, parseSelector, querySelectorAll, elementChildren } from './html.js';
+import { diffLines, diffValues } from './diff.js';
+import { assertValidRenderOptions } from './validation.js';
+
+/**
+ * @typedef {import('./index.js').RenderOptions} RenderOptions
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./index.js').ExtractSchema} ExtractSchema
+ * @typedef {import('./diff.js').DataChange} DataChange
+ */
+
+/**
+ * @typedef {Object} MonitorOptions
+ * @property {number} [interval=3600000] - Milliseconds between the starts of two checks (at least 1000)
+ * @property {string} [selector] - Only compare the text inside elements matching this selector
+ * @property {string[]} [ignore] - Selectors of elements to leave out (timestamps, ads, counters)
+ * @property {function(string): (string|null)} [normalize] - Rewrite each text line before comparing; return null to drop it
+ * @property {ExtractSchema} [extract] - Compare the data this schema extracts instead of the page text
+ * @property {RenderOptions} [renderOptions] - Options for every render
+ * @property {SnapshotStore} [store] - Where the latest snapshot is kept (default: new MemorySnapshotStore())
+ * @property {string} [key] - Store key for this monitor (default: the URL)
+ * @property {AbortSignal} [signal] - Stops the monitor
+ */
+
+/**
+ * @typedef {Object} SnapshotLine
+ * @property {string} text - Normalized text of one block element
+ * @property {string} path - Where it sits in the page, e.g. 'main > ul > li:nth-of-type(3)'
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} url - The monitored URL
+ * @property {string} hash - SHA-256 of the compared content
+ * @property {SnapshotLine[]|null} lines - Normalized page text (null with an extraction schema)
+ * @property {*} data - Extracted data (null without an extraction schema)
+ * @property {string|null} renderId - Render the snapshot was taken from
+ * @property {string} checkedAt - ISO timestamp of the check
+ * @property {string} changedAt - ISO timestamp of the check that first saw this content
+ */
+
+/**
+ * @typedef {Object} LineDiff
+ * @property {'added'|'removed'} type
+ * @property {string} text - The line's text
+ * @property {string} path - Where the line sits in the page
+ * @property {number} line - 1-based line number in the current (added) or previous (removed) snapshot
+ */
+
+/**
+ * @typedef {Object} MonitorDiff
+ * @property {LineDiff[]} lines - Text lines added and removed, in page order
+ * @property {DataChange[]} data - Extracted fields added, removed or changed
+ * @property {string} summary - e.g. '2 lines added, 1 line removed'
+ */
+
+/**
+ * @typedef {Object} MonitorCheck
+ * @property {string} url - The monitored URL
+ * @property {string} key - The monitor's store key
+ * @property {boolean} baseline - Whether there was no previous snapshot to compare with
+ * @property {boolean} changed - Whether the content differs from the previous snapshot
+ * @property {Snapshot|null} previous - The previous snapshot
+ * @property {Snapshot} snapshot - The new snapshot
+ * @property {MonitorDiff|null} diff - What changed (null unless changed)
+ * @property {RenderResult} result - The render result
+ */
+
+/**
+ * @typedef {Object} SnapshotStore
+ * @property {function(string): Promise<Snapshot|undefined>} get - The stored snapshot, or undefined
+ * @property {function(string, Snapshot): Promise<void>} set - Replace the stored snapshot
+ * @property {function(string): Promise<void>} delete - Remove a snapshot
+ */
+
+const DEFAULT_INTERVAL = 60 * 60 * 1000;
+const MIN_INTERVAL = 1000;
+
+// Never visible, so never compared
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template']);
+
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'html', 'li', 'main', 'nav', 'ol', 'option', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+class MemorySnapshotStore {
+  /**
+   * In-memory snapshot store, for tests and short-lived processes
+   */
+  constructor() {
+    this._snapshots = new Map();
+  }
+
+  async get(key) {
+    const snapshot = this._snapshots.get(key);
+    return snapshot ? structuredClone(snapshot) : undefined;
+  }
+
+  async set(key, snapshot) {
+    this._snapshots.set(key, structuredClone(snapshot));
+  }
+
+  async delete(key) {
+    this._snapshots.delete(key);
+  }
+}
+
+class FileSnapshotStore {
+  /**
+   * Filesystem snapshot store: one JSON file per monitor, kept across restarts
+   * @param {Object} options
+   * @param {string} options.directory - Directory for snapshot files (created if missing)
+   */
+  constructor(options) {
+    if (!options?.directory) {
+      throw new TypeError('FileSnapshotStore requires a directory');
+    }
+    assertFileSystem('File snapshot stores');
+    this.directory = options.directory;
+  }
+
+  /**
+   * File holding a key's snapshot
+   * @param {string} key
+   * @returns {string}
+   * @private
+   */
+  _file(key) {
+    return join(this.directory, `${sha256(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(this._file(key), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+    return entry.key === key ? entry.snapshot : undefined;
+  }
+
+  async set(key, snapshot) {
+    await mkdir(this.directory, { recursive: true });
+    const file = this._file(key);
+    const temporary = temporaryPath(file);
+
+    // Write then rename so a crash never leaves a partial snapshot
+    await writeFile(temporary, JSON.stringify({ key, snapshot }));
+    await rename(temporary, file);
+  }
+
+  async delete(key) {
+    await rm(this._file(key), { force: true });
+  }
+}
+
+/**
+ * Readable location of an element, e.g. 'div#prices > ul > li:nth-of-type(2)'
+ * @param {import('./html.js').HtmlNode} element
+ * @returns {string}
+ */
+function elementPath(element) {
+  const parts = [];
+  for (let node = element; node?.type === 'element'; node = node.parent) {
+    if (node.attributes.id) {
+      parts.unshift(`${node.tagName}#${node.attributes.id}`);
+      break;
+    }
+    const sameTag = node.parent ? elementChildren(node.parent).filter(sibling => sibling.tagName === node.tagName) : [];
+    parts.unshift(sameTag.length > 1 ? `${node.tagName}:nth-of-type(${sameTag.indexOf(node) + 1})` : node.tagName);
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Normalize a page into lines of visible text, one per block element
+ * @param {string} html - Rendered HTML
+ * @param {Object} options
+ * @param {string} [options.selector] - Only read inside matching elements
+ * @param {string[]} options.ignore - Selectors of elements to skip
+ * @param {function(string): (string|null)} [options.normalize] - Per-line rewrite
+ * @returns {SnapshotLine[]}
+ */
+function pageLines(html, { selector, ignore, normalize }) {
+  const document = parseHtml(html);
+  const roots = selector ? querySelectorAll(document, selector) : [document];
+  const ignored = new Set(ignore.flatMap(pattern => querySelectorAll(document, pattern)));
+  const lines = [];
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) return;
+    let text = pending.parts.join('').replace(/\s+/g, ' ').trim();
+    if (text && normalize) text = normalize(text);
+    if (text) lines.push({ text, path: pending.path });
+    pending = null;
+  };
+
+  const visit = (node, blockPath) => {
+    if (node.type === 'text') {
+      (pending ??= { parts: [], path: blockPath }).parts.push(node.text);
+      return;
+    }
+    if (node.type === 'comment') return;
+    if (node.type === 'element') {
+      if (SKIPPED_ELEMENTS.has(node.tagName) || ignored.has(node)) return;
+      if (node.tagName === 'br') {
+        flush();
+        return;
+      }
+      if (BLOCK_ELEMENTS.has(node.tagName)) {
+        flush();
+        const ownPath = elementPath(node);
+        for (const child of node.children) visit(child, ownPath);
+        flush();
+        return;
+      }
+    }
+    for (const child of node.children) visit(child, blockPath);
+  };
+
+  for (const root of roots) {
+    visit(root, root.type === 'element' ? elementPath(root) : '');
+    flush();
+  }
+  return lines;
+}
+
+/**
+ * Describe the changes between two snapshots
+ * @param {Snapshot} previous
+ * @param {Snapshot} current
+ * @returns {MonitorDiff}
+ */
+function diffSnapshots(previous, current) {
+  const before = previous.lines ?? [];
+  const after = current.lines ?? [];
+  const lines = diffLines(before.map(line => line.text), after.map(line => line.text)).map(({ type, index }) => {
+    const { text, path: linePath } = type === 'added' ? after[index] : before[index];
+    return { type, text, path: linePath, line: index + 1 };
+  });
+  const data = current.lines ? [] : diffValues(previous.data, current.data);
+
+  const count = (items, type, noun) => {
+    const total = items.filter(item => item.type === type).length;
+    return total > 0 ? `${total} ${noun}${total === 1 ? '' : 's'} ${type}` : null;
+  };
+  const summary = [
+    count(lines, 'added', 'line'),
+    count(lines, 'removed', 'line'),
+    count(data, 'changed', 'field'),
+    count(data, 'added', 'field'),
+    count(data, 'removed', 'field')
+  ].filter(Boolean).join(', ');
+
+  // A snapshot from another mode (text vs extraction) changed in full
+  return { lines, data, summary: summary || 'content changed' };
+}
+
+class Monitor extends EventEmitter {
+  /**
+   * Use client.monitor() rather than constructing monitors directly.
+   * @param {import('./index.js').default} client - Browser7 client
+   * @param {string} url - The URL to watch
+   * @param {MonitorOptions} [options={}]
+   * @throws {Browser7Error} If the interval or a selector is invalid
+   * @throws {ValidationError} If the render options or extraction schema are invalid
+   */
+  constructor(client, url, options = {}) {
+    super();
+    const interval = options.interval ?? DEFAULT_INTERVAL;
+    if (!(Number.isFinite(interval) && interval >= MIN_INTERVAL)) {
+      throw new Browser7Error(`Invalid monitor interval: ${interval} (expected milliseconds >= ${MIN_INTERVAL})`);
+    }
+    for (const selector of [options.selector, ...(options.ignore ?? [])].filter(value => value !== undefined)) {
+      try {
+        parseSelector(selector);
+      } catch (error) {
+        throw new Browser7Error(`Invalid monitor selector: ${error.message}`, null, null, { cause: error });
+      }
+    }
+
+    this._renderOptions = { ...options.renderOptions };
+    if (options.extract) this._renderOptions.extract = options.extract;
+    if (client.validate) assertValidRenderOptions(url, this._renderOptions);
+
+    this.client = client;
+    this.url = url;
+    this.interval = interval;
+    this.key = options.key ?? url;
+    this.store = options.store ?? new MemorySnapshotStore();
+    /** @type {Date|null} When the next scheduled check starts */
+    this.nextCheckAt = null;
+
+    this._options = options;
+    this._timer = null;
+    this._checking = null;
+    this._stopped = false;
+    this._controller = new AbortController();
+
+    this._onAbort = () => this.stop();
+    if (options.signal?.aborted) {
+      this.stop();
+    } else {
+      options.signal?.addEventListener('abort', this._onAbort, { once: true });
+      this._start();
+    }
+  }
+
+  /**
+   * Whether the monitor is still scheduling checks
+   * @type {boolean}
+   */
+  get running() {
+    return !this._stopped;
+  }
+
+  /**
+   * Stop checking. A check in progress is abandoned without touching the stored snapshot.
+   */
+  stop() {
+    if (this._stopped) return;
+    this._stopped = true;
+    this.nextCheckAt = null;
+    clearTimeout(this._timer);
+    this._options.signal?.removeEventListener('abort', this._onAbort);
+    this._controller.abort(new AbortError('Monitor was stopped'));
+  }
+
+  /**
+   * Check now, outside the schedule (joins the check in progress, if any)
+   * @returns {Promise<MonitorCheck>}
+   * @throws {Error} Whatever made the check fail (also emitted as 'error')
+   */
+  check() {
+    if (this._stopped) return Promise.reject(new AbortError('Monitor was stopped'));
+    this._checking ??= this._check().finally(() => {
+      this._checking = null;
+    });
+    return this._checking;
+  }
+
+  /**
+   * Schedule the first check, waiting out the interval since a stored snapshot
+   * @private
+   */
+  async _start() {
+    let delay = 0;
+    try {
+      const previous = await this.store.get(this.key);
+      if (previous) delay = Math.max(0, Date.parse(previous.checkedAt) + this.interval - Date.now());
+    } catch (error) {
+      this._report(error);
+    }
+    this._schedule(delay);
+  }
+
+  /**
+   * Run the next check after a delay
+   * @param {number} delay - Milliseconds
+   * @private
+   */
+  _schedule(delay) {
+    if (this._stopped) return;
+    clearTimeout(this._timer);
+    this.nextCheckAt = new Date(Date.now() + delay);
+    this._timer = setTimeout(async () => {
+      const startedAt = Date.now();
+      // Failures were already reported; the schedule carries on
+      await this.check().catch(() => {});
+      this._schedule(Math.max(0, startedAt + this.interval - Date.now()));
+    }, delay);
+  }
+
+  /**
+   * Render, compare with the stored snapshot and store the new one
+   * @returns {Promise<MonitorCheck>}
+   * @private
+   */
+  async _check() {
+    try {
+      const job = this.client.startRender(this.url, { ...this._renderOptions, signal: this._controller.signal });
+      const result = await job.result();
+      const previous = (await this.store.get(this.key)) ?? null;
+
+      const snapshot = this._snapshot(result, job.renderId);
+      const changed = previous !== null && previous.hash !== snapshot.hash;
+      if (previous && !changed) snapshot.changedAt = previous.changedAt;
+      await this.store.set(this.key, snapshot);
+
+      const check = {
+        url: this.url,
+        key: this.key,
+        baseline: previous === null,
+        changed,
+        previous,
+        snapshot,
+        diff: changed ? diffSnapshots(previous, snapshot) : null,
+        result
+      };
+      if (check.baseline) this.emit('baseline', check);
+      if (changed) this.emit('changed', check);
+      this.emit('check', check);
+      return check;
+    } catch (error) {
+      if (!this._stopped) this._report(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a render result into a snapshot
+   * @param {RenderResult} result
+   * @param {string|null} renderId
+   * @returns {Snapshot}
+   * @private
+   */
+  _snapshot(result, renderId) {
+    const now = new Date().toISOString();
+    const extracting = Boolean(this._options.extract);
+    const lines = extracting ? null : pageLines(result.html ?? '', {
+      selector: this._options.selector,
+      ignore: this._options.ignore ?? [],
+      normalize: this._options.normalize
+    });
+    const data = extracting ? result.extracted?.data ?? null : null;
+    const content = extracting ? data : lines.map(line => line.text);
+
+    return {
+      url: this.url,
+      hash: sha256(JSON.stringify(content)),
+      lines,
+      data,
+      renderId: renderId ?? null,
+      checkedAt: now,
+      changedAt: now
+    };
+  }
+
+  /**
+   * Emit a failure as 'error', or log it when nothing listens
+   * @param {Error} error
+   * @private
+   */
+  _report(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      this.client.observer.logger?.warn(`Monitor check for ${this.url} failed: ${error.message}`);
+    }
+  }
+}
+
+export { Monitor, MemorySnapshotStore, FileSnapshotStore, pageLines, diffSnapshots };
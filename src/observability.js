@@ -0,0 +1,352 @@
+/**
+ * Browser7 SDK Observability
+ *
+ * Three ways to see what the client does, all optional:
+ *   - Interceptors: onRequest / onResponse / onError hooks around every
+ *     request attempt, e.g. to add tracing headers or time calls
+ *   - Logger: any console-like object; the API key, Authorization headers
+ *     and webhook secrets are redacted before anything reaches it
+ *   - Telemetry: OpenTelemetry-compatible tracer and meter (duck-typed, so
+ *     @opentelemetry/api is not a dependency). Each render gets a span with
+ *     the API's timingBreakdown, bandwidthMetrics, captcha info and polling
+ *     attempts; requests and renders are recorded as metrics.
+ */
+
+import { redactBody } from './recording.js';
+
+/**
+ * @typedef {import('./index.js').ProgressEvent} ProgressEvent
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ * @typedef {import('./retry.js').RetryEvent} RetryEvent
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} method - HTTP method
+ * @property {string} path - Path relative to the base URL (e.g., '/renders')
+ * @property {string} url - Full request URL
+ * @property {Object<string, string>} headers - Request headers; onRequest may add or change them
+ * @property {Object} [body] - JSON request body
+ * @property {number} attempt - Attempt number, starting at 1 (retries repeat the hooks)
+ * @property {number} [status] - Response status (set before onResponse)
+ * @property {number} [durationMs] - Time the attempt took (set before onResponse and onError)
+ */
+
+/**
+ * @typedef {Object} Interceptor
+ * @property {function(RequestContext): (void|Promise<void>)} [onRequest] - Before each attempt is sent
+ * @property {function(RequestContext, Response): (void|Promise<void>)} [onResponse] - After each response, whatever its status
+ * @property {function(RequestContext, Error): (void|Promise<void>)} [onError] - After each failed attempt
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(string, Object=): void} debug
+ * @property {function(string, Object=): void} info
+ * @property {function(string, Object=): void} warn
+ * @property {function(string, Object=): void} error
+ */
+
+/**
+ * @typedef {Object} TelemetryOptions
+ * @property {Object} [tracer] - OpenTelemetry Tracer (e.g., trace.getTracer('my-app'))
+ * @property {Object} [meter] - OpenTelemetry Meter (e.g., metrics.getMeter('my-app'))
+ */
+
+// OpenTelemetry SpanStatusCode values
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Header values never logged
+const REDACTED_HEADERS = ['authorization'];
+
+/**
+ * Replace secrets in a value that is about to be logged
+ * @param {*} value
+ * @param {string|string[]|null} apiKey - API key, or every key in a pool
+ * @returns {*} A redacted copy
+ */
+function redact(value, apiKey) {
+  if (typeof value === 'string') {
+    const text = [].concat(apiKey ?? []).reduce((redacted, key) => redacted.split(key).join('[REDACTED]'), value);
+    return text.replace(/Bearer\s+\S+/g, 'Bearer [REDACTED]');
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, apiKey));
+  if (value instanceof Error) return redact(value.message, apiKey);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(redactBody(value))) {
+      copy[key] = REDACTED_HEADERS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(item, apiKey);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Path with IDs replaced, for metric attributes that stay low-cardinality
+ * @param {string} path - e.g. '/renders/8f1c…'
+ * @returns {string} e.g. '/renders/{renderId}'
+ */
+function routeOf(path) {
+  return path.replace(/^\/renders\/[^/?]+/, '/renders/{renderId}');
+}
+
+/**
+ * Flatten the numeric parts of a result into span attributes
+ * @param {RenderResult} result
+ * @returns {Object<string, number|boolean|string>}
+ */
+function resultAttributes(result) {
+  const attributes = {};
+  for (const [key, value] of Object.entries(result.timingBreakdown ?? {})) {
+    if (typeof value === 'number') attributes[`browser7.timing.${key}`] = value;
+  }
+  if (result.bandwidthMetrics) {
+    attributes['browser7.bandwidth.network_bytes'] = result.bandwidthMetrics.networkBytes ?? 0;
+    attributes['browser7.bandwidth.cached_bytes'] = result.bandwidthMetrics.cachedBytes ?? 0;
+  }
+  if (result.captcha) {
+    attributes['browser7.captcha.detected'] = Boolean(result.captcha.detected);
+    attributes['browser7.captcha.handled'] = Boolean(result.captcha.handled);
+  }
+  if (result.loadStrategy) attributes['browser7.load_strategy'] = result.loadStrategy;
+  return attributes;
+}
+
+class RenderObservation {
+  /**
+   * Tracks one render for the logger, tracer and meter. Feed it the render's
+   * progress events, then call end() once.
+   * @param {Observer} observer
+   * @param {string|null} url
+   * @param {string|null} renderId - Known up front for attached renders
+   */
+  constructor(observer, url, renderId) {
+    this.observer = observer;
+    this.renderId = renderId;
+    this.pollAttempts = 0;
+    this._startedAt = Date.now();
+
+    const attributes = {};
+    if (url) attributes['browser7.url'] = url;
+    if (renderId) attributes['browser7.render_id'] = renderId;
+    this.span = observer.tracer?.startSpan('browser7.render', { attributes }) ?? null;
+  }
+
+  /**
+   * Progress listener
+   * @param {ProgressEvent} event
+   */
+  progress(event) {
+    if (event.type === 'started') {
+      this.renderId = event.renderId;
+      this.span?.setAttribute('browser7.render_id', event.renderId);
+    } else if (event.type === 'polling') {
+      this.pollAttempts = event.attempt;
+      this.span?.addEvent('browser7.poll', { attempt: event.attempt, status: event.status });
+    } else if (event.type === 'retry') {
+      this.span?.addEvent('browser7.retry', { attempt: event.attempt, delay_ms: event.delayMs });
+    }
+  }
+
+  /**
+   * Finish the render's span and record its metrics
+   * @param {RenderResult|null} result - The completed result (or the failed render's result, if known)
+   * @param {Error} [error] - Why the render did not complete
+   */
+  end(result, error) {
+    const { logger, instruments } = this.observer;
+    const durationMs = Date.now() - this._startedAt;
+    const status = error ? (result?.status === 'failed' ? 'failed' : 'error') : 'completed';
+    const metricAttributes = { 'browser7.status': status };
+
+    if (this.span) {
+      this.span.setAttributes({
+        'browser7.status': status,
+        'browser7.poll_attempts': this.pollAttempts,
+        ...(result ? resultAttributes(result) : {})
+      });
+      if (error) {
+        this.span.recordException(error);
+        this.span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+      } else {
+        this.span.setStatus({ code: SPAN_STATUS_OK });
+      }
+      this.span.end();
+    }
+
+    if (instruments) {
+      instruments.renderDuration.record(durationMs, metricAttributes);
+      instruments.pollAttempts.record(this.pollAttempts, metricAttributes);
+      if (result?.bandwidthMetrics) {
+        instruments.bandwidth.add(result.bandwidthMetrics.networkBytes ?? 0, { 'browser7.bandwidth.kind': 'network' });
+        instruments.bandwidth.add(result.bandwidthMetrics.cachedBytes ?? 0, { 'browser7.bandwidth.kind': 'cached' });
+      }
+      if (result?.captcha?.detected) {
+        instruments.captchas.add(1, { 'browser7.captcha.handled': Boolean(result.captcha.handled) });
+      }
+    }
+
+    if (error) {
+      logger?.warn(`Render ${this.renderId ?? '(not created)'} ${status === 'failed' ? 'failed' : 'stopped'}: ${error.message}`, {
+        renderId: this.renderId, durationMs, pollAttempts: this.pollAttempts
+      });
+    } else {
+      logger?.info(`Render ${this.renderId} completed in ${durationMs}ms`, {
+        renderId: this.renderId, durationMs, pollAttempts: this.pollAttempts
+      });
+    }
+  }
+}
+
+class Observer {
+  /**
+   * @param {Object} options
+   * @param {string|string[]} options.apiKey - Redacted from everything logged
+   * @param {Logger} [options.logger] - Console-like logger
+   * @param {TelemetryOptions} [options.telemetry] - OpenTelemetry tracer and meter
+   * @param {Interceptor[]} [options.interceptors] - Request interceptors, run in order
+   */
+  constructor(options) {
+    const { apiKey, logger, telemetry = {}, interceptors = [] } = options;
+
+    /** @type {Logger|null} Redacting wrapper around the configured logger */
+    this.logger = logger ? Object.fromEntries(LOG_LEVELS.map(level => [
+      level,
+      (message, fields) => logger[level]?.(redact(message, apiKey), ...(fields ? [redact(fields, apiKey)] : []))
+    ])) : null;
+    this.tracer = telemetry.tracer ?? null;
+    this.instruments = telemetry.meter ? {
+      requestDuration: telemetry.meter.createHistogram('browser7.request.duration', {
+        unit: 'ms', description: 'Duration of Browser7 API request attempts'
+      }),
+      renderDuration: telemetry.meter.createHistogram('browser7.render.duration', {
+        unit: 'ms', description: 'Time from creating a render to its result'
+      }),
+      pollAttempts: telemetry.meter.createHistogram('browser7.render.poll_attempts', {
+        description: 'Status checks per render'
+      }),
+      bandwidth: telemetry.meter.createCounter('browser7.render.bandwidth', {
+        unit: 'By', description: 'Bytes loaded by renders'
+      }),
+      captchas: telemetry.meter.createCounter('browser7.render.captchas', {
+        description: 'Renders that ran into a CAPTCHA'
+      })
+    } : null;
+
+    this._interceptors = [...interceptors];
+  }
+
+  /**
+   * Add an interceptor
+   * @param {Interceptor} interceptor
+   * @returns {function(): void} Removes the interceptor again
+   */
+  use(interceptor) {
+    this._interceptors.push(interceptor);
+    return () => {
+      const index = this._interceptors.indexOf(interceptor);
+      if (index !== -1) this._interceptors.splice(index, 1);
+    };
+  }
+
+  /**
+   * Run onRequest hooks before an attempt is sent
+   * @param {RequestContext} context
+   * @returns {Promise<void>}
+   */
+  async beforeRequest(context) {
+    this.logger?.debug(`${context.method} ${context.path}`, context.body === undefined
+      ? { attempt: context.attempt }
+      : { attempt: context.attempt, body: context.body });
+    for (const interceptor of [...this._interceptors]) {
+      if (interceptor.onRequest) await interceptor.onRequest(context);
+    }
+  }
+
+  /**
+   * Record a response and run onResponse hooks
+   * @param {RequestContext} context
+   * @param {Response} response
+   * @param {number} durationMs
+   * @returns {Promise<void>}
+   */
+  async afterResponse(context, response, durationMs) {
+    context.status = response.status;
+    context.durationMs = durationMs;
+    this.logger?.debug(`${context.method} ${context.path} → ${response.status} (${durationMs}ms)`);
+    this._recordRequest(context);
+
+    for (const interceptor of [...this._interceptors]) {
+      if (interceptor.onResponse) await interceptor.onResponse(context, response);
+    }
+  }
+
+  /**
+   * Record a failed attempt and run onError hooks. Errors thrown by the hooks
+   * are ignored so the original error reaches the caller.
+   * @param {RequestContext} context
+   * @param {Error} error
+   * @param {number} durationMs
+   * @returns {Promise<void>}
+   */
+  async requestFailed(context, error, durationMs) {
+    context.durationMs ??= durationMs;
+    this.logger?.debug(`${context.method} ${context.path} failed: ${error.message}`, { attempt: context.attempt });
+    // Error responses were already recorded by afterResponse()
+    if (context.status === undefined) this._recordRequest(context);
+
+    for (const interceptor of [...this._interceptors]) {
+      try {
+        if (interceptor.onError) await interceptor.onError(context, error);
+      } catch {
+        // Keep the request's own error
+      }
+    }
+  }
+
+  /**
+   * Retry listener that logs before passing the event on
+   * @param {string} method
+   * @param {string} path
+   * @param {function(RetryEvent): void} [onRetry]
+   * @returns {function(RetryEvent): void}
+   */
+  retryListener(method, path, onRetry) {
+    return (event) => {
+      this.logger?.warn(
+        `Retrying ${method} ${path} in ${event.delayMs}ms (attempt ${event.attempt}/${event.maxAttempts}): ${event.error.message}`
+      );
+      if (onRetry) onRetry(event);
+    };
+  }
+
+  /**
+   * Start observing a render
+   * @param {string|null} url
+   * @param {string|null} [renderId=null]
+   * @returns {RenderObservation}
+   */
+  startRender(url, renderId = null) {
+    return new RenderObservation(this, url, renderId);
+  }
+
+  /**
+   * @param {RequestContext} context
+   * @private
+   */
+  _recordRequest(context) {
+    if (!this.instruments) return;
+    const attributes = {
+      'http.request.method': context.method,
+      'browser7.route': routeOf(context.path)
+    };
+    if (context.status !== undefined) attributes['http.response.status_code'] = context.status;
+    this.instruments.requestDuration.record(context.durationMs, attributes);
+  }
+}
+
+export { Observer, redact };
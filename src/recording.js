@@ -0,0 +1,203 @@
+/**
+ * Browser7 SDK Record/Replay
+ *
+ * In 'record' mode every API request and its raw response are written to a
+ * fixture file. In 'replay' mode responses are served from that file without
+ * touching the network, and any request that was not recorded throws.
+ *
+ * Requests are matched on method, path and JSON body. Identical requests
+ * (e.g., repeated status checks for one render) are replayed in the order
+ * they were recorded, so a processing → completed sequence plays back as-is.
+ * The API key and webhook secrets are never written to fixtures.
+ */
+
+import { Browser7Error } from './errors.js';
+import { assertFileSystem, readFileSync, writeFile, mkdir, dirname } from './runtime.js';
+
+const FIXTURE_VERSION = 1;
+
+// Response headers worth keeping; everything else is transport noise
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+// Request body fields replaced with a placeholder, both when recording and when matching
+const REDACTED_FIELDS = ['webhookSecret'];
+
+/**
+ * @typedef {Object} RecordingOptions
+ * @property {'record'|'replay'} mode - Record live traffic or replay it offline
+ * @property {string} path - Fixture file (JSON)
+ */
+
+/**
+ * @typedef {Object} Interaction
+ * @property {{method: string, path: string, body: Object|null}} request - The API request
+ * @property {{status: number, headers: Object, body: string}} response - The raw API response
+ */
+
+/**
+ * Serialize a value with object keys sorted, for order-insensitive comparison
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, inner) => {
+    if (inner && typeof inner === 'object' && !Array.isArray(inner)) {
+      return Object.fromEntries(Object.keys(inner).sort().map(name => [name, inner[name]]));
+    }
+    return inner;
+  });
+}
+
+/**
+ * Key identifying a request for matching
+ * @param {string} method
+ * @param {string} requestPath
+ * @param {Object|null} body
+ * @returns {string}
+ */
+function requestKey(method, requestPath, body) {
+  return `${method} ${requestPath} ${canonicalJson(body ?? null)}`;
+}
+
+/**
+ * Replace secret fields in a request body
+ * @param {Object|undefined} body
+ * @returns {Object|null}
+ */
+function redactBody(body) {
+  if (!body) return null;
+  const redacted = { ...body };
+  for (const field of REDACTED_FIELDS) {
+    if (redacted[field] !== undefined) redacted[field] = '[REDACTED]';
+  }
+  return redacted;
+}
+
+class Cassette {
+  /**
+   * @param {RecordingOptions} options
+   * @param {string|string[]} apiKey - API key (or keys) to redact from recorded bodies
+   */
+  constructor(options, apiKey) {
+    if (options.mode !== 'record' && options.mode !== 'replay') {
+      throw new Browser7Error(`Invalid recording mode: ${options.mode} (expected 'record' or 'replay')`);
+    }
+    if (!options.path) {
+      throw new Browser7Error('Recording requires a fixture path');
+    }
+    assertFileSystem('Recordings');
+
+    this.mode = options.mode;
+    this.path = options.path;
+    this._apiKey = apiKey;
+    /** @type {Interaction[]} */
+    this.interactions = [];
+    this._writes = Promise.resolve();
+    this._played = new Map();
+
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  /**
+   * Load fixtures for replay
+   * @private
+   */
+  _load() {
+    let fixture;
+    try {
+      fixture = JSON.parse(readFileSync(this.path, 'utf-8'));
+    } catch (error) {
+      throw new Browser7Error(`Failed to load recording ${this.path}: ${error.message}`, null, null, { cause: error });
+    }
+    this.interactions = fixture.interactions ?? [];
+  }
+
+  /**
+   * Store a live response
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Path relative to the base URL
+   * @param {Object|undefined} body - JSON request body
+   * @param {Response} response - The live response (left unconsumed)
+   * @returns {Promise<void>}
+   */
+  async record(method, requestPath, body, response) {
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+
+    this.interactions.push({
+      request: { method, path: requestPath, body: redactBody(body) },
+      response: {
+        status: response.status,
+        headers,
+        body: this._redact(await response.clone().text())
+      }
+    });
+
+    // Serialize writes so the file always holds every interaction so far; a
+    // failed save is reported to its caller and the next one tries again
+    const save = this._writes.catch(() => {}).then(() => this._save());
+    this._writes = save;
+    await save;
+  }
+
+  /**
+   * Serve a recorded response
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Path relative to the base URL
+   * @param {Object|undefined} body - JSON request body
+   * @returns {Response} The recorded response
+   * @throws {Browser7Error} If no unplayed recording matches the request
+   */
+  replay(method, requestPath, body) {
+    const key = requestKey(method, requestPath, redactBody(body));
+    const candidates = this.interactions.filter(({ request }) =>
+      requestKey(request.method, request.path, request.body) === key
+    );
+    const played = this._played.get(key) ?? 0;
+
+    if (played >= candidates.length) {
+      const detail = candidates.length > 0
+        ? `all ${candidates.length} recorded responses were already used`
+        : 'no matching request was recorded';
+      throw new Browser7Error(
+        `Replay mismatch for ${method} ${requestPath}${body ? ` ${canonicalJson(redactBody(body))}` : ''}: ${detail} in ${this.path}`
+      );
+    }
+
+    this._played.set(key, played + 1);
+    const { status, headers, body: responseBody } = candidates[played].response;
+    return new Response(responseBody, { status, headers });
+  }
+
+  /**
+   * Remove the API keys from recorded text
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _redact(text) {
+    return [].concat(this._apiKey ?? []).reduce((redacted, key) => redacted.split(key).join('[REDACTED]'), text);
+  }
+
+  /**
+   * Write all interactions to the fixture file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    const fixture = {
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+    await writeFile(this.path, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+}
+
+export { Cassette, redactBody };
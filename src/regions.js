@@ -0,0 +1,245 @@
+/**
+ * Browser7 SDK Region Routing
+ *
+ * With the `region` client option, requests go to regional API endpoints
+ * instead of the fixed `baseUrl`. The region list comes from getRegions()
+ * (cached), regions that are not 'active' are skipped, and a region that
+ * fails with a connection error or 5xx is benched for a while and the
+ * request moves on to the next active region. Creating a render is not
+ * idempotent, so it only moves on when the connection was never
+ * established. A 429 is the account's concurrency limit rather than a sign of
+ * an unhealthy region, so it never moves a request elsewhere; the retry
+ * policy and batch backoff handle it.
+ *
+ * Renders only exist in the region that created them, so status checks for
+ * a render always go back to that region.
+ */
+
+import { AbortError, Browser7Error, NetworkError } from './errors.js';
+import { createDeadline, toAbortError, abortable } from './utils.js';
+import { isConnectError } from './retry.js';
+
+/**
+ * @typedef {import('./index.js').Region} Region
+ */
+
+/**
+ * @typedef {Object} RegionEndpoint
+ * @property {string|null} code - Region code (null when falling back to the client's baseUrl)
+ * @property {string} baseUrl - API base URL for the region
+ */
+
+// How long the region list is reused before asking the API again
+const REGIONS_TTL = 5 * 60 * 1000;
+
+// How long a region that failed is skipped
+const FAILURE_COOLDOWN = 60 * 1000;
+
+// Renders whose region is remembered; older entries are forgotten first
+const MAX_PINNED_RENDERS = 1000;
+
+/**
+ * API base URL for a region
+ * @param {Region|string} region - Region object or code
+ * @returns {string}
+ */
+function regionEndpoint(region) {
+  if (typeof region === 'object' && region.endpoint) return region.endpoint.replace(/\/+$/, '');
+  const code = typeof region === 'object' ? region.code : region;
+  return `https://${code}-api.browser7.com/v1`;
+}
+
+/**
+ * Whether a request that failed in one region should be tried in another
+ * @param {Error} error
+ * @param {boolean} [idempotent=true] - Whether repeating the request has no side effects
+ * @returns {boolean} True for connection errors and 5xx responses; for
+ *          non-idempotent requests only failures to connect
+ */
+function isFailoverError(error, idempotent = true) {
+  if (error instanceof AbortError) return false;
+  if (!idempotent) return isConnectError(error);
+  if (error instanceof NetworkError) return true;
+  return error.statusCode >= 500;
+}
+
+class RegionRouter {
+  /**
+   * @param {import('./index.js').default} client - Browser7 client (used for getRegions())
+   * @param {string} region - 'auto' or a preferred region code
+   */
+  constructor(client, region) {
+    if (typeof region !== 'string' || region.trim() === '') {
+      throw new Browser7Error(`Invalid region: ${region} (expected 'auto' or a region code)`);
+    }
+    this.client = client;
+    this.region = region;
+
+    this._regions = null;
+    this._fetchedAt = 0;
+    this._pending = null;
+    /** @type {Map<string, number>} Region code → time until which it is skipped */
+    this._benched = new Map();
+    /** @type {Map<string, RegionEndpoint>} Render ID → region that created it */
+    this._renders = new Map();
+  }
+
+  /**
+   * The region list, from cache when fresh
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Region[]>}
+   */
+  async regions(signal) {
+    if (this._regions && Date.now() - this._fetchedAt < REGIONS_TTL) return this._regions;
+
+    // Concurrent callers share one lookup, which no single caller can cancel
+    this._pending ??= this.client.getRegions()
+      .then(({ regions }) => {
+        this._regions = regions;
+        this._fetchedAt = Date.now();
+        return regions;
+      })
+      .finally(() => {
+        this._pending = null;
+      });
+
+    return await abortable(this._pending, signal);
+  }
+
+  /**
+   * Endpoints to try for a request, in order of preference
+   * @param {Object} [options={}]
+   * @param {string} [options.region] - Preferred region for this call (default: the client's region)
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<RegionEndpoint[]>}
+   * @throws {Browser7Error} If the region is unknown or no region is active
+   */
+  async candidates(options = {}) {
+    const preferred = options.region ?? this.region;
+
+    let regions;
+    try {
+      regions = await this.regions(options.signal);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      if (this._regions) {
+        // Keep routing with the last known list rather than failing every request
+        regions = this._regions;
+      } else if (preferred === 'auto') {
+        return [{ code: null, baseUrl: this.client.baseUrl }];
+      } else {
+        return [{ code: preferred, baseUrl: regionEndpoint(preferred) }];
+      }
+    }
+
+    if (preferred !== 'auto' && !regions.some(({ code }) => code === preferred)) {
+      throw new Browser7Error(
+        `Unknown region '${preferred}' (available: ${regions.map(({ code }) => code).join(', ')})`
+      );
+    }
+
+    const active = regions.filter(({ status }) => status === 'active');
+    if (active.length === 0) {
+      throw new Browser7Error('No active Browser7 region is available');
+    }
+
+    const now = Date.now();
+    const healthy = active.filter(({ code }) => !(this._benched.get(code) > now));
+    // If every region failed recently, try them all again rather than give up
+    const pool = healthy.length > 0 ? healthy : active;
+
+    const ordered = [
+      ...pool.filter(({ code }) => code === preferred),
+      ...pool.filter(({ code }) => code !== preferred)
+    ];
+    return ordered.map(region => ({ code: region.code, baseUrl: regionEndpoint(region) }));
+  }
+
+  /**
+   * Run a request against the preferred region, failing over to the others
+   * @param {function(string, AbortSignal): Promise<*>} operation - Called with a base URL and signal
+   * @param {Object} [options={}]
+   * @param {string} [options.region] - Preferred region for this call
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @param {number} [options.timeout] - Wall-clock limit in milliseconds, across all regions
+   * @param {boolean} [options.idempotent=true] - Whether the operation is safe to repeat in another region
+   * @returns {Promise<{value: *, region: RegionEndpoint}>} The result and the region that produced it
+   * @throws {Error} The last region's error if every region fails
+   */
+  async run(operation, options = {}) {
+    const deadline = createDeadline(options.signal, options.timeout);
+    const signal = deadline.signal;
+
+    try {
+      const candidates = await this.candidates({ region: options.region, signal });
+      let lastError;
+
+      for (const region of candidates) {
+        try {
+          return { value: await operation(region.baseUrl, signal), region };
+        } catch (error) {
+          if (signal?.aborted || !isFailoverError(error, options.idempotent ?? true)) throw error;
+          if (region.code) this._benched.set(region.code, Date.now() + FAILURE_COOLDOWN);
+          lastError = error;
+        }
+      }
+      throw lastError;
+    } catch (error) {
+      if (signal?.aborted) throw toAbortError(signal);
+      throw error;
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Remember which region created a render
+   * @param {string} renderId
+   * @param {RegionEndpoint} region
+   */
+  pin(renderId, region) {
+    this._renders.set(renderId, region);
+    if (this._renders.size > MAX_PINNED_RENDERS) {
+      this._renders.delete(this._renders.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a finished render's region
+   * @param {string} renderId
+   */
+  unpin(renderId) {
+    this._renders.delete(renderId);
+  }
+
+  /**
+   * Base URL for status checks of a render
+   * @param {string} renderId
+   * @param {Object} [options={}]
+   * @param {string} [options.region] - Region that created the render, when known to the caller
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<string>}
+   */
+  async endpointForRender(renderId, options = {}) {
+    if (options.region && options.region !== 'auto') {
+      let regions = this._regions ?? [];
+      try {
+        regions = await this.regions(options.signal);
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        // Without the list, derive the endpoint from the code
+      }
+      const known = regions.find(({ code }) => code === options.region);
+      return regionEndpoint(known ?? options.region);
+    }
+
+    const pinned = this._renders.get(renderId);
+    if (pinned) return pinned.baseUrl;
+
+    // Created elsewhere without a region hint: the preferred region is the best guess
+    const [first] = await this.candidates({ signal: options.signal });
+    return first.baseUrl;
+  }
+}
+
+export { RegionRouter, regionEndpoint, isFailoverError };
@@ -0,0 +1,307 @@
+/**
+ * Browser7 SDK Payload Decoding
+ *
+ * The API returns `html` and `fetchResponses` gzipped and base64-encoded.
+ * This module turns them back into a string and FetchResponse objects,
+ * honouring the page's declared charset instead of assuming UTF-8.
+ *
+ * Payloads that cannot be decoded are left as received and reported in
+ * `result.decodeErrors`; with strict decoding they throw a DecodeError.
+ */
+
+import { DecodeError } from './errors.js';
+import { gunzip, fromBase64, toBase64, toBytes } from './runtime.js';
+
+// How far into a document browsers look for <meta charset>
+const CHARSET_SNIFF_BYTES = 1024;
+
+/**
+ * @typedef {Object} DecodeOptions
+ * @property {boolean} [strict=false] - Throw DecodeError on corrupt payloads instead of reporting them
+ * @property {string|null} [renderId=null] - Render the payload belongs to, for error messages
+ */
+
+/**
+ * Charset parameter of a Content-Type header
+ * @param {string|undefined} contentType
+ * @returns {string|null}
+ */
+function charsetFromContentType(contentType) {
+  const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType ?? '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Charset of an HTML document, from its byte order mark or <meta> tag
+ * @param {Uint8Array} bytes - Raw document bytes
+ * @returns {string|null}
+ */
+function sniffHtmlCharset(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, CHARSET_SNIFF_BYTES));
+  const match = /<meta[^>]+charset\s*=\s*["']?\s*([\w:.-]+)/i.exec(head);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether TextDecoder knows a charset label
+ * @param {string} charset
+ * @returns {boolean}
+ */
+function isSupportedCharset(charset) {
+  try {
+    new TextDecoder(charset);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decode bytes as text in the given charset
+ * @param {Uint8Array} bytes - Raw bytes
+ * @param {string|null} charset - Charset label (default: utf-8)
+ * @param {string} field - Field name for errors
+ * @param {DecodeOptions} options
+ * @returns {string}
+ * @throws {DecodeError} In strict mode, if the charset is unknown or the bytes are invalid for it
+ */
+function decodeText(bytes, charset, field, { strict = false, renderId = null } = {}) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset ?? 'utf-8', { fatal: strict });
+  } catch (error) {
+    if (strict) {
+      throw new DecodeError(`Unsupported charset '${charset}' in ${field}`, field, renderId, { cause: error });
+    }
+    decoder = new TextDecoder('utf-8');
+  }
+
+  try {
+    return decoder.decode(bytes);
+  } catch (error) {
+    throw new DecodeError(`Invalid ${decoder.encoding} text in ${field}`, field, renderId, { cause: error });
+  }
+}
+
+class FetchResponse {
+  /**
+   * A response fetched through the rendered page's browser context
+   * @param {Object} raw - Response as returned by the API
+   * @param {string} raw.url - The fetched URL
+   * @param {number} raw.status - HTTP status code
+   * @param {string} [raw.statusText] - HTTP status text
+   * @param {Object<string, string>} [raw.headers] - Response headers
+   * @param {string} [raw.body] - Response body (text, or base64 when raw.encoding is 'base64')
+   * @param {'base64'} [raw.encoding] - Set when the body holds base64-encoded bytes
+   * @param {Object} [context={}]
+   * @param {string} [context.field='fetchResponses'] - Where the response sits in the result, for errors
+   * @param {boolean} [context.strict=false] - Throw DecodeError instead of substituting invalid characters
+   * @param {string|null} [context.renderId=null] - Render the response belongs to
+   */
+  constructor(raw, context = {}) {
+    this.url = raw.url;
+    this.status = raw.status;
+    this.statusText = raw.statusText ?? '';
+    /** @type {Object<string, string>} Headers keyed by lowercase name */
+    this.headers = Object.fromEntries(
+      Object.entries(raw.headers ?? {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    this._field = context.field ?? 'fetchResponses';
+    this._decodeOptions = { strict: context.strict ?? false, renderId: context.renderId ?? null };
+
+    // Text bodies stay text; only byte bodies need charset decoding
+    if (raw.encoding === 'base64') {
+      this._text = null;
+      this._bytes = fromBase64(raw.body ?? '');
+    } else {
+      this._text = raw.body ?? '';
+      this._bytes = null;
+    }
+  }
+
+  /**
+   * The body as the API returned it: text, or base64 when `encoding` is 'base64'
+   * @deprecated Use text(), json() or buffer(), which decode the body
+   * @type {string}
+   */
+  get body() {
+    return this._text ?? toBase64(this._bytes);
+  }
+
+  /**
+   * The encoding of `body`: 'base64' for byte bodies, otherwise undefined
+   * @deprecated Use text(), json() or buffer(), which decode the body
+   * @type {'base64'|undefined}
+   */
+  get encoding() {
+    return this._bytes !== null ? 'base64' : undefined;
+  }
+
+  /**
+   * Whether the status is in the 2xx range
+   * @type {boolean}
+   */
+  get ok() {
+    return this.status >= 200 && this.status < 300;
+  }
+
+  /**
+   * The body as text, decoded with the Content-Type charset (default UTF-8)
+   * @returns {string}
+   * @throws {DecodeError} With strict decoding, if the bytes are invalid for the charset
+   */
+  text() {
+    if (this._text !== null) return this._text;
+    const charset = charsetFromContentType(this.headers['content-type']);
+    return decodeText(this._bytes, charset, `${this._field}.body`, this._decodeOptions);
+  }
+
+  /**
+   * The body parsed as JSON
+   * @returns {*}
+   * @throws {DecodeError} If the body is not valid JSON
+   */
+  json() {
+    const text = this.text();
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const field = `${this._field}.body`;
+      throw new DecodeError(`Invalid JSON in ${field} (${this.url})`, field, this._decodeOptions.renderId, { cause: error });
+    }
+  }
+
+  /**
+   * The body as raw bytes (text bodies are encoded as UTF-8)
+   * @returns {Uint8Array} A copy of the bytes (a Buffer under Node.js)
+   */
+  buffer() {
+    return toBytes(this._bytes ?? this._text);
+  }
+
+  /**
+   * Plain representation in the API's format, used by JSON.stringify and the result cache
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = { url: this.url, status: this.status, statusText: this.statusText, headers: this.headers };
+    if (this._text !== null) {
+      json.body = this._text;
+    } else {
+      json.body = toBase64(this._bytes);
+      json.encoding = 'base64';
+    }
+    return json;
+  }
+}
+
+/**
+ * Decompress and decode the payloads of a render result in place
+ * @param {Object} result - Render result as returned by the API
+ * @param {DecodeOptions} [options={}]
+ * @returns {Promise<Object>} The same result, with `html` decoded, `fetchResponses`
+ *                            as FetchResponse objects and any failures in `decodeErrors`
+ * @throws {DecodeError} With strict decoding, on the first payload that cannot be decoded
+ */
+async function decodeRenderResult(result, options = {}) {
+  const { strict = false, renderId = null } = options;
+  const decodeErrors = [];
+
+  const fail = (error, field, message) => {
+    const decodeError = error instanceof DecodeError
+      ? error
+      : new DecodeError(`${message}: ${error.message}`, field, renderId, { cause: error });
+    if (strict) throw decodeError;
+    decodeErrors.push(decodeError);
+  };
+
+  if (typeof result.html === 'string' && result.html) {
+    try {
+      const bytes = await gunzip(fromBase64(result.html));
+      const charset = sniffHtmlCharset(bytes);
+      if (!strict && charset !== null && !isSupportedCharset(charset)) {
+        fail(new DecodeError(`Unsupported charset '${charset}' in html, decoded as utf-8`, 'html', renderId), 'html');
+      }
+      result.html = decodeText(bytes, charset, 'html', options);
+    } catch (error) {
+      fail(error, 'html', 'Failed to decompress html');
+    }
+  }
+
+  if (result.fetchResponses) {
+    try {
+      let responses = result.fetchResponses;
+      if (typeof responses === 'string') {
+        const bytes = await gunzip(fromBase64(responses));
+        responses = JSON.parse(decodeText(bytes, 'utf-8', 'fetchResponses', options));
+      }
+      if (!Array.isArray(responses)) {
+        throw new TypeError('expected an array of responses');
+      }
+      result.fetchResponses = responses.map((raw, index) =>
+        new FetchResponse(raw, { field: `fetchResponses[${index}]`, strict, renderId })
+      );
+
+      // Bodies are decoded on demand, but an unknown charset is already known here
+      for (const response of strict ? [] : result.fetchResponses) {
+        const charset = response._bytes !== null ? charsetFromContentType(response.headers['content-type']) : null;
+        if (charset !== null && !isSupportedCharset(charset)) {
+          const field = `${response._field}.body`;
+          fail(new DecodeError(`Unsupported charset '${charset}' in ${field}, decoded as utf-8`, field, renderId), field);
+        }
+      }
+    } catch (error) {
+      fail(error, 'fetchResponses', 'Failed to decode fetchResponses');
+    }
+  }
+
+  if (decodeErrors.length > 0) result.decodeErrors = decodeErrors;
+  return result;
+}
+
+/**
+ * Convert a decoded result to plain JSON-safe data (for caches and other stores)
+ * @param {Object} result - Decoded render result
+ * @returns {Object} A deep copy with FetchResponse objects and errors as plain objects
+ */
+function serializeResult(result) {
+  const { fetchResponses, decodeErrors, ...rest } = result;
+  const plain = structuredClone(rest);
+
+  if (fetchResponses !== undefined) {
+    plain.fetchResponses = Array.isArray(fetchResponses)
+      ? fetchResponses.map(response => response instanceof FetchResponse ? response.toJSON() : structuredClone(response))
+      : fetchResponses;
+  }
+  if (decodeErrors) {
+    plain.decodeErrors = decodeErrors.map(({ message, field, renderId }) => ({ message, field, renderId }));
+  }
+  return plain;
+}
+
+/**
+ * Rebuild a decoded result from serializeResult() output
+ * @param {Object} plain - Serialized render result
+ * @returns {Object} A new result with FetchResponse objects and DecodeErrors restored
+ */
+function restoreResult(plain) {
+  const { fetchResponses, decodeErrors, ...rest } = plain;
+  const result = structuredClone(rest);
+
+  if (fetchResponses !== undefined) {
+    result.fetchResponses = Array.isArray(fetchResponses)
+      ? fetchResponses.map((raw, index) => new FetchResponse(raw, { field: `fetchResponses[${index}]` }))
+      : fetchResponses;
+  }
+  if (decodeErrors) {
+    result.decodeErrors = decodeErrors.map(({ message, field, renderId }) => new DecodeError(message, field, renderId));
+  }
+  return result;
+}
+
+export { FetchResponse, decodeRenderResult, serializeResult, restoreResult };
@@ -0,0 +1,148 @@
+/**
+ * Browser7 SDK Retry Policy
+ *
+ * Retries transient failures with exponential backoff and jitter. Whether a
+ * failure is safe to retry depends on the request:
+ *   - Idempotent requests (GET) retry on network errors, 429 and 5xx
+ *   - Non-idempotent requests (POST /renders) only retry when the API
+ *     definitely did not accept the request: 429, or a connection that
+ *     failed before it was established
+ */
+
+import { sleep } from './utils.js';
+import { RenderError } from './errors.js';
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=3] - Total attempts including the first one (1 disables retries)
+ * @property {number} [initialDelayMs=500] - Backoff delay before the first retry
+ * @property {number} [maxDelayMs=30000] - Upper bound for the computed backoff delay; a server asking
+ *                                          for a longer wait is not retried
+ * @property {number} [factor=2] - Multiplier applied to the delay after each attempt
+ * @property {boolean} [jitter=true] - Randomize delays ("full jitter") to avoid retry storms
+ * @property {function(RetryEvent): void} [onRetry] - Called before each retry
+ */
+
+/**
+ * @typedef {Object} RetryEvent
+ * @property {number} attempt - The attempt that just failed (1-based)
+ * @property {number} maxAttempts - Total attempts allowed
+ * @property {number} delayMs - Milliseconds until the next attempt
+ * @property {Error} error - The error that triggered the retry
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 30000,
+  factor: 2,
+  jitter: true,
+  onRetry: null
+};
+
+// Connection errors raised before a request reaches the server
+const CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Normalize the `retry` constructor option into a full policy
+ * @param {RetryOptions|boolean|undefined} options - User supplied retry options (false disables retries)
+ * @returns {Required<RetryOptions>} Resolved retry policy
+ */
+function resolveRetryOptions(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+  }
+  if (options === undefined || options === true) {
+    return { ...DEFAULT_RETRY_OPTIONS };
+  }
+  return { ...DEFAULT_RETRY_OPTIONS, ...options };
+}
+
+/**
+ * Whether a network error happened before a connection was established
+ * @param {Error} error - Error thrown by the SDK for a failed fetch
+ * @returns {boolean}
+ */
+function isConnectError(error) {
+  const cause = error.cause;
+  const code = cause?.code ?? cause?.cause?.code;
+  return CONNECT_ERROR_CODES.has(code);
+}
+
+/**
+ * Decide whether a failed request can safely be retried
+ * @param {Error} error - The error thrown by the request
+ * @param {boolean} idempotent - Whether repeating the request has no side effects
+ * @returns {boolean}
+ */
+function isRetryableError(error, idempotent) {
+  // A failed render is final for this request; only a new render can succeed
+  if (error instanceof RenderError || !error?.isRetryable) return false;
+  if (idempotent) return true;
+  return error.statusCode === 429 || isConnectError(error);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} error - The error that triggered the retry
+ * @param {Required<RetryOptions>} policy - Resolved retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function computeDelay(attempt, error, policy) {
+  // Server hints win over our own backoff
+  if (typeof error.retryAfterMs === 'number' && error.retryAfterMs >= 0) {
+    return error.retryAfterMs;
+  }
+
+  const backoff = Math.min(
+    policy.maxDelayMs,
+    policy.initialDelayMs * Math.pow(policy.factor, attempt - 1)
+  );
+  return policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+}
+
+/**
+ * Run an operation, retrying transient failures according to the policy
+ * @template T
+ * @param {function(number): Promise<T>} operation - Operation to run, receives the attempt number (1-based)
+ * @param {Required<RetryOptions>} policy - Resolved retry policy
+ * @param {Object} [options={}]
+ * @param {boolean} [options.idempotent=true] - Whether the operation is safe to repeat
+ * @param {function(RetryEvent): void} [options.onRetry] - Per-call retry listener
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) once aborted
+ * @returns {Promise<T>}
+ */
+async function withRetry(operation, policy, options = {}) {
+  const { idempotent = true, onRetry, signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= policy.maxAttempts || !isRetryableError(error, idempotent)) {
+        throw error;
+      }
+
+      // The backoff never exceeds maxDelayMs, so only a server hint can: give up
+      // rather than sleep that long
+      const delayMs = computeDelay(attempt, error, policy);
+      if (delayMs > policy.maxDelayMs) throw error;
+
+      const event = { attempt, maxAttempts: policy.maxAttempts, delayMs, error };
+      if (policy.onRetry) policy.onRetry(event);
+      if (onRetry) onRetry(event);
+
+      await sleep(event.delayMs, signal);
+    }
+  }
+}
+
+export { resolveRetryOptions, isRetryableError, isConnectError, withRetry };
@@ -0,0 +1,102 @@
+/**
+ * Browser7 SDK robots.txt Rules
+ *
+ * A small robots.txt parser for the crawler, following RFC 9309: rules are
+ * grouped by user-agent, the most specific matching group applies, the
+ * longest matching path wins and Allow wins ties. `*` and a trailing `$`
+ * are supported in paths. Other directives (Crawl-delay, Sitemap) are
+ * ignored.
+ */
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow - Allow or Disallow
+ * @property {string} path - Path pattern as written
+ * @property {RegExp} pattern - Compiled path pattern
+ */
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]} agents - Lowercase user-agent tokens the group applies to
+ * @property {RobotsRule[]} rules
+ */
+
+/**
+ * Compile a robots.txt path pattern
+ * @param {string} path - e.g. '/search', '/*.pdf$'
+ * @returns {RegExp}
+ */
+function compilePath(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse a robots.txt file
+ * @param {string} text - File contents
+ * @returns {RobotsGroup[]}
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!readingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+    } else if ((key === 'allow' || key === 'disallow') && current) {
+      readingAgents = false;
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: key === 'allow', path: value, pattern: compilePath(value) });
+    } else {
+      readingAgents = false;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Whether robots.txt lets a user agent fetch a URL
+ * @param {RobotsGroup[]} groups - Parsed robots.txt
+ * @param {string} url - Absolute URL
+ * @param {string} [userAgent='*'] - Product token to match groups against (e.g. 'browser7')
+ * @returns {boolean}
+ */
+function isAllowed(groups, url, userAgent = '*') {
+  const agent = userAgent.toLowerCase();
+  const named = groups.filter(group => agent !== '*' && group.agents.some(token => agent.includes(token) && token !== '*'));
+  const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  const rules = applicable.flatMap(group => group.rules);
+
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  let match = null;
+  for (const rule of rules) {
+    if (!rule.pattern.test(target)) continue;
+    if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+      match = rule;
+    }
+  }
+  return match ? match.allow : true;
+}
+
+export { parseRobots, isAllowed };
@@ -0,0 +1,395 @@
+/**
+ * Browser7 SDK Runtime (web standards)
+ *
+ * Stands in for runtime.js in the web build (Deno, Cloudflare Workers,
+ * browsers). Uses only web-standard APIs: DecompressionStream and
+ * CompressionStream for gzip, atob/btoa and Uint8Array for bytes, and a
+ * synchronous SHA-256 so hashing and webhook signatures keep their
+ * synchronous API.
+ *
+ * Features that store files (file caches, journal files, recordings,
+ * archives and file snapshot stores) need Node.js and throw a Browser7Error
+ * here; the in-memory stores work everywhere.
+ */
+
+import { Browser7Error } from './errors.js';
+
+/**
+ * Minimal Node.js-style event emitter
+ */
+class EventEmitter {
+  constructor() {
+    /** @type {Map<string|symbol, Function[]>} */
+    this._listeners = new Map();
+  }
+
+  on(event, listener) {
+    this._listeners.set(event, [...(this._listeners.get(event) ?? []), listener]);
+    return this;
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this._listeners.get(event) ?? [];
+    const index = listeners.findLastIndex(candidate => candidate === listener || candidate.listener === listener);
+    if (index !== -1) {
+      const remaining = listeners.filter((_, position) => position !== index);
+      if (remaining.length > 0) {
+        this._listeners.set(event, remaining);
+      } else {
+        this._listeners.delete(event);
+      }
+    }
+    return this;
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener for an event; an 'error' event without listeners throws, as in Node.js
+   * @param {string|symbol} event
+   * @param {...*} args
+   * @returns {boolean} Whether the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      if (event === 'error') throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error: ${args[0]}`);
+      return false;
+    }
+    for (const listener of listeners) listener.apply(this, args);
+    return true;
+  }
+
+  listenerCount(event) {
+    return this._listeners.get(event)?.length ?? 0;
+  }
+
+  listeners(event) {
+    return (this._listeners.get(event) ?? []).map(listener => listener.listener ?? listener);
+  }
+
+  eventNames() {
+    return [...this._listeners.keys()];
+  }
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} transform
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompress gzip data
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function gunzip(bytes) {
+  return transformBytes(bytes, new DecompressionStream('gzip'));
+}
+
+/**
+ * Compress data as one gzip member
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function gzip(bytes) {
+  return transformBytes(bytes, new CompressionStream('gzip'));
+}
+
+/**
+ * Decode base64 text
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text.replace(/[\s=]+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) bytes[index] = binary.charCodeAt(index);
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64 text
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  // Build the binary string in slices: spreading a large array overflows the call stack
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * A fresh copy of some bytes, or the UTF-8 encoding of a string
+ * @param {Uint8Array|string} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concatBytes(chunks) {
+  const joined = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return joined;
+}
+
+// SHA-256 round constants and initial hash values (FIPS 180-4)
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+const H0 = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+/**
+ * Rotate a 32-bit word right
+ * @param {number} word
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotr(word, bits) {
+  return (word >>> bits) | (word << (32 - bits));
+}
+
+/**
+ * SHA-256 digest as bytes. Web Crypto's digest() is async only, so the SDK carries its own.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha256Bytes(data) {
+  // Pad to a multiple of 64 bytes: a 1 bit, zeros, then the length in bits
+  const size = Math.ceil((data.length + 9) / 64) * 64;
+  const message = new Uint8Array(size);
+  message.set(data);
+  message[data.length] = 0x80;
+  const view = new DataView(message.buffer);
+  view.setUint32(size - 8, Math.floor(data.length / 0x20000000));
+  view.setUint32(size - 4, data.length << 3);
+
+  const hash = new Uint32Array(H0);
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < size; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, index) => digestView.setUint32(index * 4, word));
+  return digest;
+}
+
+/**
+ * Bytes as lowercase hex
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 digest
+ * @param {string|Uint8Array} data - Strings are hashed as UTF-8
+ * @returns {string} Hex digest
+ */
+function sha256(data) {
+  return toHex(sha256Bytes(typeof data === 'string' ? new TextEncoder().encode(data) : data));
+}
+
+/**
+ * HMAC-SHA256 signature
+ * @param {string} secret
+ * @param {string} payload
+ * @returns {string} Hex digest
+ */
+function hmacSha256(secret, payload) {
+  let key = new TextEncoder().encode(secret);
+  if (key.length > 64) key = sha256Bytes(key);
+
+  const inner = new Uint8Array(64).map((_, index) => (key[index] ?? 0) ^ 0x36);
+  const outer = new Uint8Array(64).map((_, index) => (key[index] ?? 0) ^ 0x5c);
+  const innerHash = sha256Bytes(concatBytes([inner, new TextEncoder().encode(payload)]));
+  return toHex(sha256Bytes(concatBytes([outer, innerHash])));
+}
+
+/**
+ * Compare two byte arrays of the same length in constant time
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  let difference = a.length ^ b.length;
+  for (let index = 0; index < a.length; index++) difference |= a[index] ^ b[index % b.length];
+  return difference === 0;
+}
+
+/**
+ * A random v4 UUID
+ * @returns {string}
+ */
+function randomUUID() {
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Check that the features which store files can run here (never in the web build)
+ * @param {string} feature - What needs the file system, for the error message
+ * @throws {Browser7Error} Always
+ */
+function assertFileSystem(feature) {
+  throw new Browser7Error(
+    `${feature} need a file system, which the web build of the SDK does not have. ` +
+    'Use an in-memory store, or the Node.js build'
+  );
+}
+
+/**
+ * Read an environment variable where the runtime exposes them: Deno (with
+ * --allow-env) and Workers with Node.js compatibility. Elsewhere there are none
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function environmentVariable(name) {
+  try {
+    return globalThis.process?.env?.[name] ?? globalThis.Deno?.env.get(name);
+  } catch {
+    // Deno without permission to read the environment
+    return undefined;
+  }
+}
+
+/**
+ * A stand-in for a Node.js file system function
+ * @param {string} name
+ * @returns {function(): never}
+ */
+function nodeOnly(name) {
+  return () => {
+    throw new Browser7Error(`${name}() needs Node.js and is not available in the web build of the SDK`);
+  };
+}
+
+const temporaryPath = nodeOnly('temporaryPath');
+const sha1 = nodeOnly('sha1');
+const readFile = nodeOnly('readFile');
+const readFileSync = nodeOnly('readFileSync');
+const writeFile = nodeOnly('writeFile');
+const appendFile = nodeOnly('appendFile');
+const rename = nodeOnly('rename');
+const rm = nodeOnly('rm');
+const mkdir = nodeOnly('mkdir');
+const open = nodeOnly('open');
+const createReadStream = nodeOnly('createReadStream');
+const createGunzip = nodeOnly('createGunzip');
+const pipeline = nodeOnly('pipeline');
+const dirname = nodeOnly('dirname');
+const join = nodeOnly('join');
+const basename = nodeOnly('basename');
+
+export {
+  EventEmitter,
+  gunzip,
+  gzip,
+  fromBase64,
+  toBase64,
+  toBytes,
+  concatBytes,
+  sha256,
+  sha1,
+  hmacSha256,
+  timingSafeEqual,
+  randomUUID,
+  assertFileSystem,
+  temporaryPath,
+  environmentVariable,
+  readFile,
+  readFileSync,
+  writeFile,
+  appendFile,
+  rename,
+  rm,
+  mkdir,
+  open,
+  createReadStream,
+  createGunzip,
+  pipeline,
+  dirname,
+  join,
+  basename
+};
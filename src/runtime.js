@@ -0,0 +1,174 @@
+/**
+ * Browser7 SDK Runtime (Node.js)
+ *
+ * Every Node.js built-in the SDK uses is imported here and nowhere else
+ * (apart from the CLI and the mock server). The web build swaps this module
+ * for runtime-web.js, which provides the same exports with web-standard APIs
+ * only, so the rest of the SDK runs unchanged in Deno, Cloudflare Workers
+ * and browsers.
+ *
+ * Bytes are Uint8Arrays throughout; under Node.js they are Buffers.
+ */
+
+import { EventEmitter } from 'events';
+import { createHash, createHmac, randomUUID, timingSafeEqual as nodeTimingSafeEqual } from 'crypto';
+import { readFile, writeFile, appendFile, rename, rm, mkdir, open } from 'fs/promises';
+import { readFileSync, createReadStream } from 'fs';
+import { pipeline } from 'stream';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gunzipAsync = promisify(zlib.gunzip);
+const gzipAsync = promisify(zlib.gzip);
+
+/**
+ * Decompress gzip data
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function gunzip(bytes) {
+  return gunzipAsync(bytes);
+}
+
+/**
+ * Compress data as one gzip member
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function gzip(bytes) {
+  return gzipAsync(bytes);
+}
+
+/**
+ * Decode base64 text
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Buffer.from(text, 'base64');
+}
+
+/**
+ * Encode bytes as base64 text
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+}
+
+/**
+ * A fresh copy of some bytes, or the UTF-8 encoding of a string
+ * @param {Uint8Array|string} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'utf-8') : Buffer.from(data);
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concatBytes(chunks) {
+  return Buffer.concat(chunks);
+}
+
+/**
+ * SHA-256 digest
+ * @param {string|Uint8Array} data - Strings are hashed as UTF-8
+ * @returns {string} Hex digest
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * SHA-1 digest (for WARC record digests)
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function sha1(data) {
+  return createHash('sha1').update(data).digest();
+}
+
+/**
+ * HMAC-SHA256 signature
+ * @param {string} secret
+ * @param {string} payload
+ * @returns {string} Hex digest
+ */
+function hmacSha256(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Compare two byte arrays of the same length in constant time
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  return nodeTimingSafeEqual(a, b);
+}
+
+/**
+ * Check that the features which store files can run here (always under Node.js)
+ * @param {string} feature - What needs the file system, for the error message
+ */
+function assertFileSystem(feature) {}
+
+/**
+ * Name for a temporary file next to `file`, for write-then-rename updates
+ * @param {string} file
+ * @returns {string}
+ */
+function temporaryPath(file) {
+  return `${file}.${process.pid}.${Date.now()}.tmp`;
+}
+
+/**
+ * Read an environment variable
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function environmentVariable(name) {
+  return process.env[name];
+}
+
+const { dirname, join, basename } = path;
+const createGunzip = () => zlib.createGunzip();
+
+export {
+  EventEmitter,
+  gunzip,
+  gzip,
+  fromBase64,
+  toBase64,
+  toBytes,
+  concatBytes,
+  sha256,
+  sha1,
+  hmacSha256,
+  timingSafeEqual,
+  randomUUID,
+  assertFileSystem,
+  temporaryPath,
+  environmentVariable,
+  readFile,
+  readFileSync,
+  writeFile,
+  appendFile,
+  rename,
+  rm,
+  mkdir,
+  open,
+  createReadStream,
+  createGunzip,
+  pipeline,
+  dirname,
+  join,
+  basename
+};
@@ -0,0 +1,171 @@
+/**
+ * Browser7 SDK Render Scenarios
+ *
+ * A Scenario is a chainable, immutable list of wait actions:
+ *
+ *   Browser7.scenario().click('.cookie-accept').waitFor('.main').delay(500)
+ *
+ * Every step is checked against the same rules as the `waitFor` option
+ * (action cap, ranges, selector states) when it is added, so a bad flow
+ * fails where it is written rather than when it is sent. Scenarios pass
+ * straight to render() and createRender() as `waitFor`, and serialize to
+ * the plain wait action array the API takes.
+ */
+
+import { ValidationError } from './errors.js';
+import { MAX_WAIT_ACTIONS, validateWaitActions } from './validation.js';
+
+/**
+ * @typedef {import('./index.js').WaitAction} WaitAction
+ */
+
+/**
+ * Throw a ValidationError for invalid wait actions
+ * @param {Array} actions
+ * @throws {ValidationError}
+ */
+function assertValidActions(actions) {
+  const details = validateWaitActions(actions);
+  if (details.length === 0) return;
+
+  const summary = details.map(({ field, message }) => `${field} ${message}`).join('; ');
+  throw new ValidationError(`Invalid scenario: ${summary}`, null, {
+    message: 'Validation failed',
+    details
+  });
+}
+
+class Scenario {
+  /**
+   * Use Browser7.scenario() or Scenario.from() rather than constructing scenarios directly.
+   * @param {WaitAction[]} [actions=[]] - Wait actions to start from
+   * @throws {ValidationError} If the actions are invalid
+   */
+  constructor(actions = []) {
+    assertValidActions(actions);
+    this._actions = Object.freeze(actions.map(action => Object.freeze({ ...action })));
+  }
+
+  /**
+   * Load a scenario saved with JSON.stringify(scenario)
+   * @param {string|WaitAction[]} json - JSON text or a parsed wait action array
+   * @returns {Scenario}
+   * @throws {ValidationError} If the JSON is not a valid list of wait actions
+   */
+  static from(json) {
+    if (typeof json !== 'string') return new Scenario(json);
+
+    let actions;
+    try {
+      actions = JSON.parse(json);
+    } catch (error) {
+      throw new ValidationError(`Invalid scenario: not valid JSON (${error.message})`, null, {
+        message: 'Validation failed',
+        details: [{ field: 'waitFor', message: 'must be a JSON array of wait actions' }]
+      });
+    }
+    return new Scenario(actions);
+  }
+
+  /**
+   * Number of actions
+   * @type {number}
+   */
+  get length() {
+    return this._actions.length;
+  }
+
+  /**
+   * A new scenario with one more action
+   * @param {WaitAction} action
+   * @returns {Scenario}
+   * @throws {ValidationError} If the action is invalid or the scenario is full
+   * @private
+   */
+  _then(action) {
+    if (this._actions.length >= MAX_WAIT_ACTIONS) {
+      throw new ValidationError(
+        `Invalid scenario: a scenario holds at most ${MAX_WAIT_ACTIONS} wait actions`, null, {
+          message: 'Validation failed',
+          details: [{ field: 'waitFor', message: `must contain at most ${MAX_WAIT_ACTIONS} wait actions` }]
+        }
+      );
+    }
+    return new Scenario([...this._actions, action]);
+  }
+
+  /**
+   * Click an element
+   * @param {string} selector - CSS selector of the element to click
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout=30000] - How long to wait for the element (1000-60000 ms)
+   * @returns {Scenario}
+   */
+  click(selector, options = {}) {
+    return this._then({ type: 'click', selector, timeout: options.timeout ?? 30000 });
+  }
+
+  /**
+   * Wait for an element to reach a state
+   * @param {string} selector - CSS selector to wait for
+   * @param {Object} [options={}]
+   * @param {'visible'|'hidden'|'attached'} [options.state='visible'] - State to wait for
+   * @param {number} [options.timeout=30000] - Timeout in milliseconds (1000-60000)
+   * @returns {Scenario}
+   */
+  waitFor(selector, options = {}) {
+    return this._then({
+      type: 'selector',
+      selector,
+      state: options.state ?? 'visible',
+      timeout: options.timeout ?? 30000
+    });
+  }
+
+  /**
+   * Wait for text to appear on the page
+   * @param {string} text - Text to wait for
+   * @param {Object} [options={}]
+   * @param {string} [options.selector] - Only look inside elements matching this selector
+   * @param {number} [options.timeout=30000] - Timeout in milliseconds (1000-60000)
+   * @returns {Scenario}
+   */
+  waitForText(text, options = {}) {
+    const action = { type: 'text', text, timeout: options.timeout ?? 30000 };
+    if (options.selector !== undefined) action.selector = options.selector;
+    return this._then(action);
+  }
+
+  /**
+   * Pause for a fixed time
+   * @param {number} duration - Milliseconds to wait (100-60000)
+   * @returns {Scenario}
+   */
+  delay(duration) {
+    return this._then({ type: 'delay', duration });
+  }
+
+  /**
+   * A new scenario running this one's actions, then another's
+   * @param {Scenario|WaitAction[]} other - Scenario or wait actions to append
+   * @returns {Scenario}
+   * @throws {ValidationError} If the result would be invalid or hold too many actions
+   */
+  concat(other) {
+    const actions = other instanceof Scenario ? other.toJSON() : other;
+    if (!Array.isArray(actions)) {
+      assertValidActions(actions);
+    }
+    return new Scenario([...this._actions, ...actions]);
+  }
+
+  /**
+   * The wait actions, as sent in the `waitFor` option (used by JSON.stringify)
+   * @returns {WaitAction[]}
+   */
+  toJSON() {
+    return this._actions.map(action => ({ ...action }));
+  }
+}
+
+export { Scenario };
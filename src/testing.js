@@ -0,0 +1,500 @@
+/**
+ * Browser7 SDK Testing Utilities
+ *
+ * An in-process HTTP server implementing the Browser7 API, for testing code
+ * that uses the SDK without network access or API credits:
+ *
+ *   import { createMockServer } from 'browser7/testing';
+ *
+ *   const server = await createMockServer();
+ *   server.route('https://example.com/*', { html: '<h1>Hello</h1>', latency: 500 });
+ *   const client = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl });
+ *   ...
+ *   await server.close();
+ *
+ * Responses match the real API: `html` and `fetchResponses` are gzipped and
+ * base64-encoded, renders report 'processing' until their latency elapses,
+ * and errors use the same status codes and bodies. Renders created with a
+ * `webhookUrl` are POSTed there, signed, once they finish.
+ */
+
+import http from 'http';
+import zlib from 'zlib';
+import { randomUUID } from 'crypto';
+import { signWebhook } from './webhooks.js';
+
+/**
+ * @typedef {Object} MockRejection
+ * @property {number} status - HTTP status code (e.g., 400, 402, 429, 503)
+ * @property {string} [message] - Error message in the response body
+ * @property {number} [retryAfter] - Sent as the Retry-After header and `retryAfter` body field (seconds)
+ * @property {Object} [body] - Extra fields merged into the error body
+ * @property {number} [times=Infinity] - Only reject this many requests, then behave normally
+ */
+
+/**
+ * @typedef {Object} MockScenario
+ * @property {number} [latency=0] - Milliseconds the render stays 'processing'
+ * @property {number} [retryAfter=1] - Polling interval suggested while processing (seconds)
+ * @property {string|Buffer} [html] - Rendered HTML, or its raw bytes to test other charsets (defaults to a small page mentioning the URL)
+ * @property {Array<Object>} [fetchResponses] - Fetch responses ({ url, status, headers, body }), returned when fetchUrls
+ *                                            were requested; a Buffer body is sent base64-encoded
+ * @property {string|Buffer} [screenshot] - Screenshot bytes or base64, returned when includeScreenshot was requested
+ * @property {Object} [captcha] - CAPTCHA info ({ detected, handled, sitekey })
+ * @property {Object} [selectedCity] - City reported for the render
+ * @property {boolean} [billable=true] - Whether the render is charged (deducts 1 cent)
+ * @property {Object} [fail] - Make the render fail: { errorCode, error, billable, httpStatus }
+ *                             (httpStatus 422 returns an error response, otherwise status 'failed')
+ * @property {MockRejection} [reject] - Reject POST /renders for this URL
+ * @property {Array<number|MockRejection>} [pollErrors] - Errors returned by the first status checks
+ */
+
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {string} [apiKey='test_api_key'] - Accepted API key (null accepts any key)
+ * @property {number} [balanceCents=1000] - Starting account balance in cents
+ * @property {number} [concurrentLimit=Infinity] - Renders processing at once before 429s
+ * @property {Array<Object>} [regions] - Regions returned by GET /regions
+ * @property {MockScenario} [defaults] - Scenario for URLs without a matching route
+ * @property {number} [port=0] - Port to listen on (0 picks a free port)
+ */
+
+const DEFAULT_REGIONS = [
+  { code: 'eu', name: 'Europe', status: 'active' },
+  { code: 'ca', name: 'Canada', status: 'active' },
+  { code: 'sg', name: 'Singapore', status: 'active' }
+];
+
+const DEFAULT_CITY = {
+  name: 'new.york',
+  displayName: 'New York',
+  latitude: 40.7128,
+  longitude: -74.006,
+  timezoneId: 'America/New_York'
+};
+
+/**
+ * Format cents as USD
+ * @param {number} cents
+ * @returns {string}
+ */
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Gzip and base64-encode a string (as UTF-8) or bytes, as the API does for html and fetchResponses
+ * @param {string|Buffer} text
+ * @returns {string}
+ */
+function compress(text) {
+  return zlib.gzipSync(Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf-8')).toString('base64');
+}
+
+/**
+ * Whether a route pattern matches a URL
+ * @param {string|RegExp|function(string): boolean} pattern - Exact URL, glob with '*', RegExp or predicate
+ * @param {string} url
+ * @returns {boolean}
+ */
+function matches(pattern, url) {
+  if (typeof pattern === 'function') return pattern(url);
+  if (pattern instanceof RegExp) return pattern.test(url);
+  if (!pattern.includes('*')) return pattern === url;
+
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+class MockServer {
+  /**
+   * @param {MockServerOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey === undefined ? 'test_api_key' : options.apiKey;
+    this.balanceCents = options.balanceCents ?? 1000;
+    this.concurrentLimit = options.concurrentLimit ?? Infinity;
+    this.regions = options.regions ?? DEFAULT_REGIONS;
+    this.defaults = options.defaults ?? {};
+    this.port = options.port ?? 0;
+
+    /** @type {Array<{method: string, path: string, headers: Object, body: Object|null}>} Every request received */
+    this.requests = [];
+    /** @type {Map<string, Object>} Renders by ID */
+    this.renders = new Map();
+    /** @type {Array<{renderId: string, url: string, status: number|null, error: Error|null}>} Webhook deliveries made */
+    this.webhooks = [];
+
+    this._timers = new Set();
+    this._deliveries = new Set();
+
+    this._routes = [];
+    this._server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Base URL to pass to the Browser7 client (null until listening)
+   * @returns {string|null}
+   */
+  get baseUrl() {
+    const address = this._server.address();
+    return address ? `http://127.0.0.1:${address.port}/v1` : null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockServer>}
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, '127.0.0.1', () => {
+        this._server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const timer of this._timers) clearTimeout(timer);
+    this._timers.clear();
+    await Promise.allSettled(this._deliveries);
+
+    return await new Promise((resolve, reject) => {
+      this._server.close(error => (error ? reject(error) : resolve()));
+      this._server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Script the behaviour for URLs matching a pattern. Later routes take precedence.
+   * @param {string|RegExp|function(string): boolean} pattern - Exact URL, glob with '*', RegExp or predicate
+   * @param {MockScenario} scenario - How matching renders behave
+   * @returns {MockServer} this, for chaining
+   */
+  route(pattern, scenario) {
+    this._routes.unshift({ pattern, scenario: { ...scenario } });
+    return this;
+  }
+
+  /**
+   * Remove all routes and recorded requests/renders
+   */
+  reset() {
+    this._routes = [];
+    this.requests = [];
+    this.renders.clear();
+    this.webhooks = [];
+    for (const timer of this._timers) clearTimeout(timer);
+    this._timers.clear();
+  }
+
+  /**
+   * Find the scenario for a URL
+   * @param {string} url
+   * @returns {MockScenario}
+   * @private
+   */
+  _scenarioFor(url) {
+    const route = this._routes.find(({ pattern }) => matches(pattern, url));
+    return route ? { ...this.defaults, ...route.scenario, _route: route } : { ...this.defaults };
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   */
+  _send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Send an error response shaped like the API's
+   * @param {http.ServerResponse} res
+   * @param {MockRejection} rejection
+   * @private
+   */
+  _sendError(res, rejection) {
+    const headers = {};
+    const body = {
+      message: rejection.message ?? http.STATUS_CODES[rejection.status] ?? 'Error',
+      ...rejection.body
+    };
+    if (rejection.retryAfter !== undefined) {
+      headers['Retry-After'] = String(rejection.retryAfter);
+      body.retryAfter = rejection.retryAfter;
+    }
+    this._send(res, rejection.status, body, headers);
+  }
+
+  /**
+   * Route an incoming request
+   * @private
+   */
+  async _handle(req, res) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    let body = null;
+    if (raw) {
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        this._send(res, 400, { message: 'Request body must be JSON' });
+        return;
+      }
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/^\/v\d+/, '');
+    this.requests.push({ method: req.method, path, headers: req.headers, body });
+
+    if (req.method === 'GET' && path === '/regions') {
+      this._send(res, 200, { regions: this.regions });
+      return;
+    }
+
+    if (this.apiKey !== null && req.headers.authorization !== `Bearer ${this.apiKey}`) {
+      this._send(res, 401, { message: 'Invalid API key' });
+      return;
+    }
+
+    if (req.method === 'POST' && path === '/renders') {
+      this._createRender(res, body);
+    } else if (req.method === 'GET' && path.startsWith('/renders/')) {
+      this._getRender(res, decodeURIComponent(path.slice('/renders/'.length)));
+    } else if (req.method === 'GET' && path === '/account/balance') {
+      this._send(res, 200, this._balance());
+    } else {
+      this._send(res, 404, { message: `Not found: ${req.method} ${path}` });
+    }
+  }
+
+  /**
+   * POST /renders
+   * @private
+   */
+  _createRender(res, payload) {
+    if (!payload || typeof payload.url !== 'string') {
+      this._send(res, 400, {
+        message: 'Validation failed',
+        details: [{ field: 'url', message: 'is required' }]
+      });
+      return;
+    }
+
+    const scenario = this._scenarioFor(payload.url);
+    const rejection = scenario.reject;
+    if (rejection) {
+      const route = scenario._route;
+      const remaining = rejection.times ?? Infinity;
+      if (remaining > 0) {
+        if (route && rejection.times !== undefined) {
+          route.scenario.reject = { ...rejection, times: remaining - 1 };
+        }
+        this._sendError(res, rejection);
+        return;
+      }
+    }
+
+    if (this.balanceCents <= 0) {
+      this._sendError(res, { status: 402, message: 'Insufficient balance' });
+      return;
+    }
+
+    const processing = [...this.renders.values()].filter(render => render.finishesAt > Date.now()).length;
+    if (processing >= this.concurrentLimit) {
+      this._sendError(res, {
+        status: 429,
+        message: `Too many concurrent renders. Maximum allowed: ${this.concurrentLimit}`,
+        retryAfter: 1
+      });
+      return;
+    }
+
+    const renderId = randomUUID();
+    const render = {
+      renderId,
+      payload,
+      scenario,
+      createdAt: Date.now(),
+      finishesAt: Date.now() + (scenario.latency ?? 0),
+      polls: 0,
+      charged: false
+    };
+    this.renders.set(renderId, render);
+    this._send(res, 200, { renderId });
+
+    if (payload.webhookUrl) this._scheduleWebhook(render);
+  }
+
+  /**
+   * GET /renders/:id
+   * @private
+   */
+  _getRender(res, renderId) {
+    const render = this.renders.get(renderId);
+    if (!render) {
+      this._send(res, 404, { message: `Render not found: ${renderId}` });
+      return;
+    }
+
+    const { scenario } = render;
+    const pollError = scenario.pollErrors?.[render.polls++];
+    if (pollError !== undefined) {
+      this._sendError(res, typeof pollError === 'number' ? { status: pollError } : pollError);
+      return;
+    }
+
+    if (Date.now() < render.finishesAt) {
+      this._send(res, 200, { status: 'processing', retryAfter: scenario.retryAfter ?? 1 });
+      return;
+    }
+
+    const { httpStatus, body } = this._outcome(render);
+    this._send(res, httpStatus, body);
+  }
+
+  /**
+   * The final state of a finished render, charging for it the first time
+   * @param {Object} render
+   * @returns {{httpStatus: number, body: Object}}
+   * @private
+   */
+  _outcome(render) {
+    const { renderId, scenario, payload } = render;
+    const billable = scenario.fail?.billable ?? scenario.billable ?? true;
+    if (billable && !render.charged) {
+      render.charged = true;
+      this.balanceCents = Math.max(0, this.balanceCents - 1);
+    }
+
+    if (scenario.fail) {
+      const failure = {
+        status: 'failed',
+        id: renderId,
+        error: scenario.fail.error ?? 'Render failed',
+        errorCode: scenario.fail.errorCode ?? null,
+        billable
+      };
+      if (scenario.fail.httpStatus === 422) {
+        return { httpStatus: 422, body: { ...failure, message: failure.error } };
+      }
+      return { httpStatus: 200, body: failure };
+    }
+
+    const html = scenario.html ?? `<!DOCTYPE html><html><head><title>Mock</title></head><body><h1>${payload.url}</h1></body></html>`;
+    const result = {
+      status: 'completed',
+      html: compress(html),
+      loadStrategy: payload.waitFor ? 'custom' : 'default',
+      selectedCity: scenario.selectedCity ?? DEFAULT_CITY,
+      bandwidthMetrics: { networkBytes: Buffer.byteLength(html), cachedBytes: 0, cacheHitRate: '0.0%' },
+      captcha: scenario.captcha ?? { detected: false, handled: false },
+      timingBreakdown: { totalMs: render.finishesAt - render.createdAt },
+      retryAfter: scenario.retryAfter ?? 1,
+      billable
+    };
+
+    if (payload.fetchUrls) {
+      const fetchResponses = scenario.fetchResponses ?? payload.fetchUrls.map(url => ({
+        url,
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: '{}'
+      }));
+      // Binary bodies travel as base64, like the API does for non-text responses
+      result.fetchResponses = compress(JSON.stringify(fetchResponses.map(response =>
+        Buffer.isBuffer(response.body)
+          ? { ...response, body: response.body.toString('base64'), encoding: 'base64' }
+          : response
+      )));
+    }
+
+    if (payload.includeScreenshot) {
+      const screenshot = scenario.screenshot ?? Buffer.from('mock-screenshot');
+      result.screenshot = Buffer.isBuffer(screenshot) ? screenshot.toString('base64') : screenshot;
+    }
+
+    return { httpStatus: 200, body: result };
+  }
+
+  /**
+   * Deliver a render's webhook once it finishes
+   * @param {Object} render
+   * @private
+   */
+  _scheduleWebhook(render) {
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      const delivery = this._deliverWebhook(render);
+      this._deliveries.add(delivery);
+      delivery.finally(() => this._deliveries.delete(delivery));
+    }, Math.max(0, render.finishesAt - Date.now()));
+    this._timers.add(timer);
+  }
+
+  /**
+   * POST a finished render to its webhookUrl, signed with its webhookSecret
+   * @param {Object} render
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deliverWebhook(render) {
+    const { renderId, payload } = render;
+    const { body } = this._outcome(render);
+    const rawBody = JSON.stringify({
+      type: `render.${body.status}`,
+      renderId,
+      timestamp: new Date().toISOString(),
+      data: body
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (payload.webhookSecret) headers['Browser7-Signature'] = signWebhook(rawBody, payload.webhookSecret);
+
+    const delivery = { renderId, url: payload.webhookUrl, status: null, error: null };
+    this.webhooks.push(delivery);
+    try {
+      const response = await fetch(payload.webhookUrl, { method: 'POST', headers, body: rawBody });
+      delivery.status = response.status;
+      await response.arrayBuffer();
+    } catch (error) {
+      delivery.error = error;
+    }
+  }
+
+  /**
+   * GET /account/balance
+   * @private
+   */
+  _balance() {
+    return {
+      totalBalanceCents: this.balanceCents,
+      totalBalanceFormatted: formatCents(this.balanceCents),
+      breakdown: {
+        paid: { cents: this.balanceCents, formatted: formatCents(this.balanceCents) },
+        free: { cents: 0, formatted: formatCents(0) },
+        bonus: { cents: 0, formatted: formatCents(0) }
+      }
+    };
+  }
+}
+
+/**
+ * Create and start a mock Browser7 API server
+ * @param {MockServerOptions} [options={}]
+ * @returns {Promise<MockServer>} The listening server
+ */
+async function createMockServer(options = {}) {
+  return await new MockServer(options).listen();
+}
+
+export { MockServer, createMockServer, signWebhook };
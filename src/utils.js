@@ -0,0 +1,109 @@
+/**
+ * Browser7 SDK internal helpers
+ */
+
+import { AbortError, TimeoutError } from './errors.js';
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Duration in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with the signal's reason when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine an optional caller signal and an optional timeout into a single signal
+ * @param {AbortSignal} [signal] - Caller-provided abort signal
+ * @param {number} [timeout] - Wall-clock limit in milliseconds
+ * @returns {{signal: AbortSignal|undefined, clear: function(): void}} The combined signal
+ *          and a function that releases its timer and listeners
+ */
+function createDeadline(signal, timeout) {
+  if (timeout === undefined || timeout === null) {
+    return { signal, clear: () => {} };
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Operation timed out after ${timeout}ms`, null, timeout));
+  }, timeout);
+
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Build the SDK error to throw for an aborted signal
+ * @param {AbortSignal} signal - The aborted signal
+ * @param {string|null} [renderId=null] - The render ID, if the render was already created
+ * @returns {AbortError|TimeoutError}
+ */
+function toAbortError(signal, renderId = null) {
+  const reason = signal.reason;
+
+  if (reason instanceof AbortError) {
+    if (renderId && !reason.renderId) reason.renderId = renderId;
+    return reason;
+  }
+  if (reason?.name === 'TimeoutError') {
+    return new TimeoutError('Operation timed out', renderId, null, { cause: reason });
+  }
+  return new AbortError('Operation was aborted', renderId, { cause: reason });
+}
+
+/**
+ * Settle with a promise, or reject early with the signal's reason once aborted.
+ * The promise itself keeps running.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export { sleep, createDeadline, toAbortError, abortable };
@@ -0,0 +1,300 @@
+/**
+ * Browser7 SDK Render Option Validation
+ *
+ * Checks render options locally so mistakes fail fast instead of after a
+ * round-trip. Constraints mirror the API documentation; failures throw a
+ * ValidationError shaped like the API's own 400 response:
+ *   { message, details: [{ field, message }] }
+ */
+
+import { ValidationError } from './errors.js';
+import { checkSchema } from './extract.js';
+
+const SUPPORTED_COUNTRIES = [
+  'AT', 'BE', 'CA', 'CH', 'CZ', 'DE', 'FR', 'GB', 'HR', 'HU', 'IT', 'NL', 'PL', 'SK', 'US'
+];
+const CAPTCHA_MODES = ['disabled', 'auto', 'recaptcha_v2', 'recaptcha_v3', 'turnstile'];
+const SCREENSHOT_FORMATS = ['jpeg', 'png'];
+const SELECTOR_STATES = ['visible', 'hidden', 'attached'];
+const WAIT_FOR_MERGE_MODES = ['append', 'replace'];
+const MAX_WAIT_ACTIONS = 10;
+const MAX_FETCH_URLS = 10;
+const DELAY_RANGE = [100, 60000];
+const TIMEOUT_RANGE = [1000, 60000];
+
+// Options sent to the API
+const API_OPTIONS = [
+  'countryCode', 'city', 'fetchUrls', 'waitFor', 'captcha', 'blockImages',
+  'includeScreenshot', 'screenshotFormat', 'screenshotQuality', 'screenshotFullPage',
+  'debug', 'forceNewProxy', 'webhookUrl', 'webhookSecret'
+];
+
+// Options consumed by the SDK itself and never sent to the API
+const CLIENT_OPTIONS = [
+  'onRetry', 'signal', 'timeout', 'maxPollAttempts', 'initialPollDelay', 'onProgress', 'validate', 'cache',
+  'strictDecoding', 'region', 'key', 'extract', 'metadata', 'waitForMerge'
+];
+
+/**
+ * @typedef {Object} ValidationDetail
+ * @property {string} field - Path of the invalid field (e.g., 'waitFor[2].duration')
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Whether a value is a string URL with an http(s) scheme
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a value is an integer within an inclusive range
+ * @param {*} value
+ * @param {number[]} range - [min, max]
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Whether a value is a non-empty string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Whether a value survives a JSON round-trip unchanged (plain objects, arrays, strings, finite numbers, booleans, null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isJsonValue(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (Array.isArray(value)) return value.every(isJsonValue);
+  if (typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.values(value).every(isJsonValue);
+  }
+  return false;
+}
+
+/**
+ * Validate a single wait action
+ * @param {*} action - The wait action
+ * @param {string} field - Field path for error details
+ * @param {ValidationDetail[]} details - Collected problems
+ */
+function validateWaitAction(action, field, details) {
+  const fail = (name, message) => details.push({ field: name ? `${field}.${name}` : field, message });
+
+  if (action === null || typeof action !== 'object' || Array.isArray(action)) {
+    fail(null, 'must be a wait action object');
+    return;
+  }
+
+  const checkTimeout = () => {
+    if (action.timeout !== undefined && !isIntegerInRange(action.timeout, TIMEOUT_RANGE)) {
+      fail('timeout', `must be an integer between ${TIMEOUT_RANGE[0]} and ${TIMEOUT_RANGE[1]}`);
+    }
+  };
+
+  switch (action.type) {
+    case 'delay':
+      if (!isIntegerInRange(action.duration, DELAY_RANGE)) {
+        fail('duration', `must be an integer between ${DELAY_RANGE[0]} and ${DELAY_RANGE[1]}`);
+      }
+      break;
+    case 'selector':
+      if (!isNonEmptyString(action.selector)) fail('selector', 'must be a non-empty string');
+      if (action.state !== undefined && !SELECTOR_STATES.includes(action.state)) {
+        fail('state', `must be one of: ${SELECTOR_STATES.join(', ')}`);
+      }
+      checkTimeout();
+      break;
+    case 'text':
+      if (!isNonEmptyString(action.text)) fail('text', 'must be a non-empty string');
+      if (action.selector !== undefined && !isNonEmptyString(action.selector)) {
+        fail('selector', 'must be a non-empty string');
+      }
+      checkTimeout();
+      break;
+    case 'click':
+      if (!isNonEmptyString(action.selector)) fail('selector', 'must be a non-empty string');
+      checkTimeout();
+      break;
+    default:
+      fail('type', 'must be one of: delay, selector, text, click');
+  }
+}
+
+/**
+ * Validate a list of wait actions
+ * @param {*} actions - The wait actions
+ * @param {string} [field='waitFor'] - Field path for error details
+ * @returns {ValidationDetail[]} Problems found (empty when valid)
+ */
+function validateWaitActions(actions, field = 'waitFor') {
+  const details = [];
+  if (!Array.isArray(actions)) {
+    details.push({ field, message: 'must be an array of wait actions' });
+    return details;
+  }
+  if (actions.length > MAX_WAIT_ACTIONS) {
+    details.push({ field, message: `must contain at most ${MAX_WAIT_ACTIONS} wait actions` });
+  }
+  actions.forEach((action, index) => validateWaitAction(action, `${field}[${index}]`, details));
+  return details;
+}
+
+/**
+ * Collect every problem with a render request
+ * @param {string} url - The URL to render
+ * @param {Object} options - Render options
+ * @returns {ValidationDetail[]} Problems found (empty when valid)
+ */
+function validateRenderOptions(url, options) {
+  const details = [];
+  const fail = (field, message) => details.push({ field, message });
+  const checkBoolean = (key) => {
+    if (options[key] !== undefined && typeof options[key] !== 'boolean') fail(key, 'must be a boolean');
+  };
+
+  if (!isHttpUrl(url)) fail('url', 'must be an absolute http(s) URL');
+
+  for (const key of Object.keys(options)) {
+    if (!API_OPTIONS.includes(key) && !CLIENT_OPTIONS.includes(key)) {
+      fail(key, 'is not a known render option');
+    }
+  }
+
+  if (options.countryCode !== undefined && !SUPPORTED_COUNTRIES.includes(options.countryCode)) {
+    // Codes are case-sensitive: the API and the result cache treat 'us' and 'US' as different
+    const upper = typeof options.countryCode === 'string' ? options.countryCode.toUpperCase() : null;
+    fail('countryCode', SUPPORTED_COUNTRIES.includes(upper)
+      ? `must be upper case ('${upper}')`
+      : `must be one of: ${SUPPORTED_COUNTRIES.join(', ')}`);
+  }
+  if (options.city !== undefined && !isNonEmptyString(options.city)) {
+    fail('city', 'must be a non-empty string');
+  }
+
+  if (options.fetchUrls !== undefined) {
+    if (!Array.isArray(options.fetchUrls)) {
+      fail('fetchUrls', 'must be an array of URLs');
+    } else {
+      if (options.fetchUrls.length > MAX_FETCH_URLS) {
+        fail('fetchUrls', `must contain at most ${MAX_FETCH_URLS} URLs`);
+      }
+      options.fetchUrls.forEach((fetchUrl, index) => {
+        if (!isHttpUrl(fetchUrl)) fail(`fetchUrls[${index}]`, 'must be an absolute http(s) URL');
+      });
+    }
+  }
+
+  if (options.waitFor !== undefined) {
+    details.push(...validateWaitActions(options.waitFor));
+  }
+
+  if (options.captcha !== undefined && !CAPTCHA_MODES.includes(options.captcha)) {
+    fail('captcha', `must be one of: ${CAPTCHA_MODES.join(', ')}`);
+  }
+
+  if (options.screenshotFormat !== undefined && !SCREENSHOT_FORMATS.includes(options.screenshotFormat)) {
+    fail('screenshotFormat', `must be one of: ${SCREENSHOT_FORMATS.join(', ')}`);
+  }
+  if (options.screenshotQuality !== undefined && !isIntegerInRange(options.screenshotQuality, [1, 100])) {
+    fail('screenshotQuality', 'must be an integer between 1 and 100');
+  }
+
+  if (options.webhookUrl !== undefined && !isHttpUrl(options.webhookUrl)) {
+    fail('webhookUrl', 'must be an absolute http(s) URL');
+  }
+  if (options.webhookSecret !== undefined) {
+    if (!isNonEmptyString(options.webhookSecret)) fail('webhookSecret', 'must be a non-empty string');
+    if (options.webhookUrl === undefined) fail('webhookSecret', 'requires webhookUrl');
+  }
+
+  checkBoolean('blockImages');
+  checkBoolean('includeScreenshot');
+  checkBoolean('screenshotFullPage');
+  checkBoolean('debug');
+  checkBoolean('forceNewProxy');
+  checkBoolean('strictDecoding');
+
+  if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout >= 0)) {
+    fail('timeout', 'must be a non-negative number of milliseconds');
+  }
+  if (options.maxPollAttempts !== undefined && !(Number.isInteger(options.maxPollAttempts) && options.maxPollAttempts > 0)) {
+    fail('maxPollAttempts', 'must be a positive integer');
+  }
+  if (options.initialPollDelay !== undefined && !(typeof options.initialPollDelay === 'number' && options.initialPollDelay >= 0)) {
+    fail('initialPollDelay', 'must be a non-negative number of milliseconds');
+  }
+  if (options.region !== undefined && !isNonEmptyString(options.region)) {
+    fail('region', 'must be a region code or \'auto\'');
+  }
+  if (options.key !== undefined && !isNonEmptyString(options.key)) {
+    fail('key', 'must be the label of a key in the client\'s API key pool');
+  }
+  if (options.waitForMerge !== undefined && !WAIT_FOR_MERGE_MODES.includes(options.waitForMerge)) {
+    fail('waitForMerge', `must be one of: ${WAIT_FOR_MERGE_MODES.join(', ')}`);
+  }
+  if (options.metadata !== undefined && options.metadata !== null && !isJsonValue(options.metadata)) {
+    fail('metadata', 'must be JSON-serializable data');
+  }
+  if (options.extract !== undefined) {
+    try {
+      checkSchema(options.extract);
+    } catch (error) {
+      fail('extract', error.message.replace(/^Invalid extract schema:?\s*/, ''));
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Throw a ValidationError if a render request is invalid
+ * @param {string} url - The URL to render
+ * @param {Object} options - Render options
+ * @throws {ValidationError} With `details` listing every problem
+ */
+function assertValidRenderOptions(url, options) {
+  const details = validateRenderOptions(url, options);
+  if (details.length === 0) return;
+
+  const summary = details.map(({ field, message }) => `${field} ${message}`).join('; ');
+  throw new ValidationError(`Invalid render options: ${summary}`, null, {
+    message: 'Validation failed',
+    details
+  });
+}
+
+/**
+ * Pick options this SDK version doesn't know, to forward when validation is disabled
+ * @param {Object} options - Render options
+ * @returns {Object} Unknown options with defined values
+ */
+function unknownRenderOptions(options) {
+  const unknown = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && !API_OPTIONS.includes(key) && !CLIENT_OPTIONS.includes(key)) {
+      unknown[key] = value;
+    }
+  }
+  return unknown;
+}
+
+export { API_OPTIONS, CLIENT_OPTIONS, MAX_WAIT_ACTIONS, MAX_FETCH_URLS, validateWaitActions, validateRenderOptions, assertValidRenderOptions, unknownRenderOptions };
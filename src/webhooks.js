@@ -0,0 +1,264 @@
+/**
+ * Browser7 SDK Webhooks
+ *
+ * Renders created with `webhookUrl` are reported by a POST to that URL when
+ * they finish, instead of being polled. The request body is JSON:
+ *
+ *   { type: 'render.completed' | 'render.failed', renderId, timestamp, data }
+ *
+ * where `data` is the render exactly as GET /renders/:id returns it. With a
+ * `webhookSecret`, each delivery carries a signature header:
+ *
+ *   Browser7-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Deliveries may be retried, so handlers should tolerate seeing a renderId twice.
+ */
+
+import { DecodeError, RenderError, WebhookVerificationError } from './errors.js';
+import { decodeRenderResult } from './responses.js';
+import { hmacSha256, timingSafeEqual, toBytes, concatBytes } from './runtime.js';
+
+/**
+ * @typedef {import('./index.js').RenderResult} RenderResult
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {'completed'|'failed'} type - How the render finished
+ * @property {string} renderId - The render ID
+ * @property {string} timestamp - ISO timestamp of the delivery
+ * @property {RenderResult} result - The render, decoded like getRender() results
+ * @property {RenderError} [error] - Why the render failed (for 'failed' events)
+ */
+
+/**
+ * @typedef {Object} WebhookHandlerOptions
+ * @property {string|string[]} secret - Signing secret (several during a secret rotation)
+ * @property {function(WebhookEvent): (void|Promise<void>)} [onCompleted] - Called for completed renders
+ * @property {function(WebhookEvent): (void|Promise<void>)} [onFailed] - Called for failed renders
+ * @property {function(WebhookEvent): (void|Promise<void>)} [onEvent] - Called for every event, after the typed callback
+ * @property {number} [tolerance=300] - Maximum age of a delivery in seconds (0 disables the check)
+ * @property {boolean} [strictDecoding=false] - Throw DecodeError on corrupt payloads instead of reporting them in `decodeErrors`
+ */
+
+const SIGNATURE_HEADER = 'browser7-signature';
+const DEFAULT_TOLERANCE = 300;
+
+/**
+ * A raw request body as text
+ * @param {string|Uint8Array} rawBody
+ * @returns {string}
+ */
+function bodyText(rawBody) {
+  return rawBody instanceof Uint8Array ? new TextDecoder().decode(rawBody) : String(rawBody);
+}
+
+/**
+ * Read a header from a plain object (any case) or a Headers instance
+ * @param {Object|Headers} headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getHeader(headers, name) {
+  if (typeof headers?.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers ?? {}).find(header => header.toLowerCase() === name);
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Build the signature header for a webhook payload, as the API does
+ * @param {string|Uint8Array} rawBody - The exact request body
+ * @param {string} secret - Signing secret
+ * @param {number} [timestamp] - Unix time in seconds (default: now)
+ * @returns {string} Value for the Browser7-Signature header
+ */
+function signWebhook(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmacSha256(secret, `${timestamp}.${bodyText(rawBody)}`)}`;
+}
+
+/**
+ * Verify a webhook delivery and parse its body
+ * @param {string|Uint8Array} rawBody - The exact request body, before any JSON parsing
+ * @param {Object|Headers} headers - Request headers
+ * @param {string|string[]} secret - Signing secret (several during a secret rotation)
+ * @param {Object} [options={}]
+ * @param {number} [options.tolerance=300] - Maximum age of the delivery in seconds (0 disables the check)
+ * @returns {Object} The parsed webhook body ({ type, renderId, timestamp, data })
+ * @throws {WebhookVerificationError} If the signature is missing, does not match, or is too old
+ */
+function verifyWebhook(rawBody, headers, secret, options = {}) {
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+  const secrets = [].concat(secret).filter(Boolean);
+  if (secrets.length === 0) {
+    throw new WebhookVerificationError('A webhook secret is required to verify signatures');
+  }
+
+  const header = getHeader(headers, SIGNATURE_HEADER);
+  if (!header) {
+    throw new WebhookVerificationError(`Missing ${SIGNATURE_HEADER} header`);
+  }
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    throw new WebhookVerificationError(`Malformed ${SIGNATURE_HEADER} header`);
+  }
+
+  if (tolerance > 0 && Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+    throw new WebhookVerificationError(`Webhook timestamp is outside the ${tolerance}s tolerance`);
+  }
+
+  const body = bodyText(rawBody);
+  const valid = secrets.some(key => {
+    const expected = toBytes(hmacSha256(key, `${timestamp}.${body}`));
+    return signatures.some(signature => {
+      const actual = toBytes(signature.toLowerCase());
+      return actual.length === expected.length && timingSafeEqual(actual, expected);
+    });
+  });
+  if (!valid) {
+    throw new WebhookVerificationError('Webhook signature does not match');
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new WebhookVerificationError('Webhook body is not valid JSON', { cause: error });
+  }
+}
+
+/**
+ * Turn a verified webhook body into a WebhookEvent
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} [options={}]
+ * @param {boolean} [options.strictDecoding=false] - Throw DecodeError on corrupt payloads
+ * @returns {Promise<WebhookEvent>}
+ * @throws {WebhookVerificationError} If the body is not a render event
+ */
+async function toWebhookEvent(payload, options = {}) {
+  const { renderId, timestamp } = payload ?? {};
+  const type = payload?.type?.replace(/^render\./, '');
+  if ((type !== 'completed' && type !== 'failed') || !renderId || !payload.data) {
+    throw new WebhookVerificationError(`Unsupported webhook event: ${payload?.type}`);
+  }
+
+  const result = await decodeRenderResult(structuredClone(payload.data), {
+    strict: options.strictDecoding ?? false,
+    renderId
+  });
+
+  const event = { type, renderId, timestamp: timestamp ?? new Date().toISOString(), result };
+  if (type === 'failed') {
+    event.error = new RenderError(
+      `Render failed: ${result.error || 'Unknown error'}`,
+      null, result, result.errorCode ?? null, renderId, result.billable ?? null
+    );
+  }
+  return event;
+}
+
+/**
+ * Read the raw body of an incoming request
+ * @param {Object} req - Node, Express or Fastify request
+ * @returns {Promise<string|Uint8Array>}
+ * @throws {WebhookVerificationError} If a body parser already replaced the raw body
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string' || req.rawBody instanceof Uint8Array) return req.rawBody;
+  if (typeof req.body === 'string' || req.body instanceof Uint8Array) return req.body;
+  if (req.body !== undefined && req.body !== null) {
+    throw new WebhookVerificationError(
+      'The request body was already parsed, so its signature cannot be checked. ' +
+      'Give the webhook route the raw body (e.g., express.raw({ type: \'application/json\' }))'
+    );
+  }
+
+  const chunks = [];
+  for await (const chunk of req.raw ?? req) chunks.push(toBytes(chunk));
+  return concatBytes(chunks);
+}
+
+/**
+ * Send a JSON response through a Node/Express response or a Fastify reply
+ * @param {Object} res
+ * @param {number} status
+ * @param {Object} body
+ * @returns {*}
+ */
+function respond(res, status, body) {
+  if (typeof res.code === 'function' && typeof res.send === 'function') {
+    return res.code(status).send(body);
+  }
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+  return undefined;
+}
+
+/**
+ * Create a request handler that verifies, decodes and dispatches webhook deliveries.
+ * Works as a Node http request listener, Express middleware or Fastify route handler.
+ * Answers 200 once the callbacks finish, 400 for deliveries that fail verification,
+ * 422 for payloads that cannot be decoded with `strictDecoding` (retrying would not
+ * help), and 500 (or passes the error to Express' `next`) when a callback throws, so
+ * the delivery is retried.
+ * @param {WebhookHandlerOptions} options
+ * @returns {function(Object, Object, function=): Promise<*>} Request handler, with a
+ *          `handle(rawBody, headers)` method for other frameworks
+ *
+ * @example
+ * const handler = createWebhookHandler({
+ *   secret: process.env.BROWSER7_WEBHOOK_SECRET,
+ *   onCompleted: async ({ renderId, result }) => save(renderId, result.html),
+ *   onFailed: async ({ renderId, error }) => console.error(renderId, error.message)
+ * });
+ * http.createServer(handler).listen(3000);
+ */
+function createWebhookHandler(options) {
+  if (!options?.secret) {
+    throw new WebhookVerificationError('createWebhookHandler requires a secret');
+  }
+
+  /**
+   * Verify and dispatch one delivery
+   * @param {string|Uint8Array} rawBody
+   * @param {Object|Headers} headers
+   * @returns {Promise<WebhookEvent>}
+   */
+  const handle = async (rawBody, headers) => {
+    const payload = verifyWebhook(rawBody, headers, options.secret, { tolerance: options.tolerance });
+    const event = await toWebhookEvent(payload, { strictDecoding: options.strictDecoding });
+
+    const callback = event.type === 'completed' ? options.onCompleted : options.onFailed;
+    if (callback) await callback(event);
+    if (options.onEvent) await options.onEvent(event);
+    return event;
+  };
+
+  const handler = async (req, res, next) => {
+    try {
+      await handle(await readRawBody(req), req.headers);
+    } catch (error) {
+      if (error instanceof WebhookVerificationError) {
+        return respond(res, 400, { error: error.message });
+      }
+      if (error instanceof DecodeError) {
+        return respond(res, 422, { error: error.message });
+      }
+      if (typeof next === 'function') return next(error);
+      return respond(res, 500, { error: 'Webhook handler failed' });
+    }
+    return respond(res, 200, { received: true });
+  };
+
+  handler.handle = handle;
+  return handler;
+}
+
+export { signWebhook, verifyWebhook, createWebhookHandler, SIGNATURE_HEADER };
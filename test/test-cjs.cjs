@@ -1,14 +1,15 @@
 // Test CommonJS require
 const Browser7 = require('../dist/index.cjs');
+const { createMockServer, signWebhook } = require('../dist/testing.cjs');
 
 console.log('✓ CJS require successful');
 console.log('✓ Browser7 class:', typeof Browser7);
 console.log('✓ waitForDelay:', typeof Browser7.waitForDelay);
 
 // Verify error classes are accessible via destructuring
-const { Browser7Error, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, RenderError } = require('../dist/index.cjs');
+const { Browser7Error, NetworkError, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, BudgetExceededError, RenderError, DecodeError, WebhookVerificationError, AbortError, TimeoutError } = require('../dist/index.cjs');
 
-const errorClasses = { Browser7Error, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, RenderError };
+const errorClasses = { Browser7Error, NetworkError, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, BudgetExceededError, RenderError, DecodeError, WebhookVerificationError, AbortError, TimeoutError };
 for (const [name, cls] of Object.entries(errorClasses)) {
   if (typeof cls !== 'function') {
     console.error(`❌ ${name} should be a function, got ${typeof cls}`);
@@ -32,12 +33,140 @@ if (!(err instanceof Browser7Error) || !(err instanceof Error)) {
 }
 console.log('✓ Inheritance chain correct');
 
-try {
-  const client = new Browser7({ apiKey: 'test_key' });
-  console.log('✓ Client instantiation successful');
-  console.log('✓ Client has render method:', typeof client.render);
-  console.log('\n✅ CJS test passed!');
-} catch (error) {
-  console.error('❌ CJS test failed:', error.message);
+// Verify webhook signatures round-trip
+const webhookBody = JSON.stringify({ type: 'render.completed', renderId: 'r1', data: { status: 'completed' } });
+const webhook = Browser7.verifyWebhook(webhookBody, { 'browser7-signature': signWebhook(webhookBody, 'secret') }, 'secret');
+if (webhook.renderId !== 'r1') {
+  console.error('❌ verifyWebhook should return the parsed body');
   process.exit(1);
 }
+console.log('✓ Webhook signature verified');
+
+(async () => {
+  // Verify a render round-trip against the mock server
+  const server = await createMockServer();
+  server.route('https://example.com/', { html: '<h1>Mock</h1>' });
+  try {
+    const mockClient = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl });
+    const result = await mockClient.render('https://example.com/', { initialPollDelay: 0 });
+    if (result.html !== '<h1>Mock</h1>') {
+      throw new Error(`unexpected html: ${result.html}`);
+    }
+    console.log('✓ Mock server render round-trip');
+
+    const extracted = await mockClient.render('https://example.com/', {
+      initialPollDelay: 0,
+      extract: { heading: 'h1', missing: '.absent' }
+    });
+    if (extracted.extracted.data.heading !== 'Mock' || extracted.extracted.missing[0]?.path !== 'missing') {
+      throw new Error(`unexpected extraction: ${JSON.stringify(extracted.extracted)}`);
+    }
+    console.log('✓ Extraction from rendered HTML');
+
+    const scenario = Browser7.scenario().click('.cookie').waitFor('h1', { state: 'visible' }).delay(100);
+    const replayed = Browser7.Scenario.from(JSON.stringify(scenario));
+    const scripted = await mockClient.render('https://example.com/', { initialPollDelay: 0, waitFor: replayed });
+    if (replayed.length !== 3 || scripted.html !== '<h1>Mock</h1>') {
+      throw new Error(`unexpected scenario render: ${JSON.stringify(replayed)}`);
+    }
+    console.log('✓ Scenario round-trip');
+
+    server.route('https://example.com/crawl/*', { html: '<a href="/crawl/a#top">a</a><a href="https://elsewhere.test/">x</a>' });
+    const crawled = [];
+    for await (const page of mockClient.crawl('https://example.com/crawl/start', { renderOptions: { initialPollDelay: 0 } })) {
+      crawled.push(page.url);
+    }
+    if (crawled.join(' ') !== 'https://example.com/crawl/start https://example.com/crawl/a') {
+      throw new Error(`unexpected crawl: ${crawled}`);
+    }
+    console.log('✓ Crawl follows in-scope links once');
+
+    const fetched = await mockClient.render('https://example.com/', {
+      initialPollDelay: 0,
+      fetchUrls: ['https://example.com/api']
+    });
+    const [response] = fetched.fetchResponses;
+    if (response.url !== 'https://example.com/api' || typeof response.json() !== 'object') {
+      throw new Error(`unexpected fetch response: ${JSON.stringify(response)}`);
+    }
+    console.log('✓ Fetch responses decoded');
+
+    const journal = new Browser7.MemoryJournal();
+    const journaled = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, journal: { store: journal } });
+    const { renderId } = await journaled.createRender('https://example.com/', { metadata: { id: 1 } });
+    const [resumed] = await journaled.resumePending();
+    await resumed.result();
+    const [entry] = await journal.list();
+    if (resumed.renderId !== renderId || resumed.metadata.id !== 1 || entry.status !== 'completed') {
+      throw new Error(`unexpected journal entry: ${JSON.stringify(entry)}`);
+    }
+    console.log('✓ Journaled render resumed');
+
+    const budgeted = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, budget: { maxCents: 1 } });
+    await budgeted.render('https://example.com/', { initialPollDelay: 0 });
+    const refused = await budgeted.render('https://example.com/').catch(error => error);
+    if (!(refused instanceof BudgetExceededError) || budgeted.usageReport().spentCents !== 1) {
+      throw new Error(`unexpected budget outcome: ${refused}`);
+    }
+    console.log('✓ Budget refuses renders over the limit');
+
+    // Retries: polls back off exponentially, a create the API may have accepted is not
+    // repeated, and Retry-After hints are followed up to maxDelayMs
+    const retried = [];
+    const retrying = new Browser7({
+      apiKey: server.apiKey,
+      baseUrl: server.baseUrl,
+      retry: {
+        initialDelayMs: 10,
+        factor: 3,
+        jitter: false,
+        maxDelayMs: 1000,
+        onRetry: ({ delayMs, error }) => retried.push(`${error.statusCode}:${delayMs}`)
+      }
+    });
+    server.route('https://example.com/flaky', { pollErrors: [503, 502] });
+    await retrying.render('https://example.com/flaky', { initialPollDelay: 0 });
+    server.route('https://example.com/down', { reject: { status: 503, times: 1 } });
+    const notRepeated = await retrying.createRender('https://example.com/down').catch(error => error);
+    server.route('https://example.com/busy', { reject: { status: 429, retryAfter: 0.05, times: 1 } });
+    await retrying.createRender('https://example.com/busy');
+    server.route('https://example.com/closed', { reject: { status: 429, retryAfter: 3600, times: 1 } });
+    const tooLong = await retrying.createRender('https://example.com/closed').catch(error => error);
+    if (retried.join() !== '503:10,502:30,429:50' || notRepeated.statusCode !== 503 ||
+        !(tooLong instanceof RateLimitError) || tooLong.retryAfterMs !== 3600000) {
+      throw new Error(`unexpected retries: ${retried.join()} / ${notRepeated} / ${tooLong}`);
+    }
+    console.log('✓ Retries back off and respect idempotency and Retry-After');
+
+    const logged = [];
+    const observed = new Browser7({
+      apiKey: server.apiKey,
+      baseUrl: server.baseUrl,
+      logger: { debug: (message, fields) => logged.push(message, JSON.stringify(fields ?? {})) }
+    });
+    const statuses = [];
+    observed.use({ onResponse: request => statuses.push(request.status) });
+    await observed.render('https://example.com/', { initialPollDelay: 0 });
+    if (statuses[0] !== 200 || logged.length === 0 || logged.some(line => line.includes(server.apiKey))) {
+      throw new Error(`unexpected interceptor or log output: ${statuses}`);
+    }
+    console.log('✓ Interceptors and redacted logging');
+  } catch (error) {
+    console.error('❌ Mock server render failed:', error.message);
+    process.exit(1);
+  } finally {
+    await server.close();
+  }
+
+  try {
+    const client = new Browser7({ apiKey: 'test_key' });
+    console.log('✓ Client instantiation successful');
+    console.log('✓ Client has render method:', typeof client.render);
+    console.log('✓ Client has renderMany method:', typeof client.renderMany);
+    console.log('✓ Client has startRender method:', typeof client.startRender);
+    console.log('\n✅ CJS test passed!');
+  } catch (error) {
+    console.error('❌ CJS test failed:', error.message);
+    process.exit(1);
+  }
+})();
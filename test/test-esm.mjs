@@ -1,19 +1,32 @@
 // Test ESM import
 import Browser7, {
   Browser7Error,
+  NetworkError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
   InsufficientBalanceError,
-  RenderError
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError,
+  WarcWriter
 } from '../dist/index.mjs';
+import { createMockServer, signWebhook } from '../dist/testing.mjs';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { execFile } from 'child_process';
 
 console.log('✓ ESM import successful');
 console.log('✓ Browser7 class:', typeof Browser7);
 console.log('✓ waitForDelay:', typeof Browser7.waitForDelay);
 
 // Verify error classes are importable
-const errorClasses = { Browser7Error, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, RenderError };
+const errorClasses = { Browser7Error, NetworkError, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, BudgetExceededError, RenderError, DecodeError, WebhookVerificationError, AbortError, TimeoutError };
 for (const [name, cls] of Object.entries(errorClasses)) {
   if (typeof cls !== 'function') {
     console.error(`❌ ${name} should be a function, got ${typeof cls}`);
@@ -44,10 +57,711 @@ if (Browser7.Browser7Error !== Browser7Error || Browser7.AuthenticationError !==
 }
 console.log('✓ Static properties match named exports');
 
+// Verify errors survive a JSON round-trip with their class, fields and cause
+const renderError = new RenderError('Render failed', 422, null, 'NETWORK_ERROR', 'r1', true, {
+  cause: new NetworkError('Failed to connect', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) })
+});
+const restored = Browser7Error.fromJSON(JSON.parse(JSON.stringify(renderError)));
+if (!(restored instanceof RenderError) || restored.errorCode !== 'NETWORK_ERROR' || !restored.isRetryable || !restored.isBillable ||
+    !(restored.cause instanceof NetworkError) || restored.cause.cause.code !== 'ECONNREFUSED' || restored.stack !== renderError.stack) {
+  console.error('❌ Errors should round-trip through toJSON() and fromJSON()');
+  process.exit(1);
+}
+if (new AuthenticationError('test', 401).isRetryable || new RenderError('test').errorCode !== null ||
+    new RenderError('test', 422, null, 'SOMETHING_NEW').isRetryable ||
+    new RateLimitError('Too many concurrent renders. Maximum allowed: 3', 429).concurrentLimit !== 3 ||
+    new RateLimitError('Too many requests', 429).concurrentLimit !== null) {
+  console.error('❌ Unexpected error taxonomy defaults');
+  process.exit(1);
+}
+console.log('✓ Errors serialize and restore');
+
+// A port nothing listens on
+const closed = createServer();
+await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+const closedPort = closed.address().port;
+await new Promise(resolve => closed.close(resolve));
+try {
+  await new Browser7({ apiKey: 'test_key', baseUrl: `http://127.0.0.1:${closedPort}/v1`, retry: false }).getAccountBalance();
+  console.error('❌ getAccountBalance should fail without a server');
+  process.exit(1);
+} catch (error) {
+  if (!(error instanceof NetworkError) || !error.isRetryable || error.cause?.cause?.code !== 'ECONNREFUSED') {
+    console.error('❌ Network failures should keep their cause:', error);
+    process.exit(1);
+  }
+}
+console.log('✓ Network errors keep their cause');
+
+// Verify webhook signatures round-trip
+const webhookBody = JSON.stringify({ type: 'render.completed', renderId: 'r1', data: { status: 'completed' } });
+const webhook = Browser7.verifyWebhook(webhookBody, { 'browser7-signature': signWebhook(webhookBody, 'secret') }, 'secret');
+if (webhook.renderId !== 'r1') {
+  console.error('❌ verifyWebhook should return the parsed body');
+  process.exit(1);
+}
+console.log('✓ Webhook signature verified');
+
+// The webhook handler answers undecodable payloads with 422 and failing callbacks with 500
+const deliver = async (handler, data) => {
+  const body = JSON.stringify({ type: 'render.completed', renderId: 'r1', data });
+  const res = { statusCode: null, setHeader() {}, end() {} };
+  await handler({ body, headers: { 'browser7-signature': signWebhook(body, 'secret') } }, res);
+  return res.statusCode;
+};
+const strictHandler = Browser7.createWebhookHandler({ secret: 'secret', strictDecoding: true });
+const failingHandler = Browser7.createWebhookHandler({ secret: 'secret', onCompleted: () => { throw new Error('database down'); } });
+const webhookStatuses = [
+  await deliver(strictHandler, { status: 'completed', html: 'bm90IGd6aXA=' }),
+  await deliver(failingHandler, { status: 'completed' }),
+  await deliver(strictHandler, { status: 'completed' })
+];
+if (webhookStatuses.join() !== '422,500,200') {
+  console.error('❌ Unexpected webhook handler statuses:', webhookStatuses.join());
+  process.exit(1);
+}
+console.log('✓ Webhook handler statuses');
+
+// Verify a render round-trip against the mock server
+const server = await createMockServer();
+server.route('https://example.com/', { html: '<h1>Mock</h1>' });
+try {
+  const mockClient = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl });
+  const result = await mockClient.render('https://example.com/', { initialPollDelay: 0 });
+  if (result.html !== '<h1>Mock</h1>') {
+    throw new Error(`unexpected html: ${result.html}`);
+  }
+  console.log('✓ Mock server render round-trip');
+
+  // Each validation rule, reported as { field, message } details
+  const invalidFields = (options) => Browser7.validateRenderOptions('https://example.com/', options).map(({ field }) => field).join();
+  const validationCases = [
+    [{ colour: 'red' }, 'colour'],
+    [{ screenshotQuality: 150 }, 'screenshotQuality'],
+    [{ waitFor: Array.from({ length: 11 }, () => Browser7.waitForDelay(100)) }, 'waitFor'],
+    [{ waitFor: [Browser7.waitForDelay(100000)] }, 'waitFor[0].duration'],
+    [{ captcha: 'sometimes' }, 'captcha'],
+    [{ countryCode: 'us' }, 'countryCode'],
+    [{ countryCode: 'US', captcha: 'auto', waitFor: Browser7.scenario().delay(100) }, '']
+  ];
+  for (const [options, expected] of validationCases) {
+    if (invalidFields(options) !== expected) {
+      throw new Error(`validation of ${JSON.stringify(options)} reported '${invalidFields(options)}', expected '${expected}'`);
+    }
+  }
+  const requestsBeforeInvalid = server.requests.length;
+  const invalid = await mockClient.render('https://example.com/', { countryCode: 'us', screenshotQuality: 150 }).catch(error => error);
+  if (!(invalid instanceof ValidationError) || invalid.statusCode !== null || server.requests.length !== requestsBeforeInvalid ||
+      JSON.stringify(invalid.details) !== JSON.stringify([
+        { field: 'countryCode', message: 'must be upper case (\'US\')' },
+        { field: 'screenshotQuality', message: 'must be an integer between 1 and 100' }
+      ]) || invalid.body.message !== 'Validation failed') {
+    throw new Error(`unexpected validation error: ${JSON.stringify(invalid)}`);
+  }
+  await mockClient.createRender('https://example.com/', { validate: false, futureOption: { level: 2 }, screenshotQuality: 150 });
+  const unvalidated = server.requests.at(-1).body;
+  if (unvalidated.futureOption?.level !== 2 || unvalidated.screenshotQuality !== 150 || 'validate' in unvalidated) {
+    throw new Error(`unexpected unvalidated payload: ${JSON.stringify(unvalidated)}`);
+  }
+  console.log('✓ Render options validated locally, unless disabled');
+
+  const extracted = await mockClient.render('https://example.com/', {
+    initialPollDelay: 0,
+    extract: { heading: 'h1', missing: '.absent' }
+  });
+  if (extracted.extracted.data.heading !== 'Mock' || extracted.extracted.missing[0]?.path !== 'missing') {
+    throw new Error(`unexpected extraction: ${JSON.stringify(extracted.extracted)}`);
+  }
+  console.log('✓ Extraction from rendered HTML');
+
+  server.route('https://example.com/failing', { fail: { error: 'Page crashed' } });
+  const uncoded = await mockClient.render('https://example.com/failing', { initialPollDelay: 0 }).catch(error => error);
+  if (!(uncoded instanceof RenderError) || uncoded.errorCode !== null || uncoded.body.errorCode !== null || uncoded.isRetryable) {
+    throw new Error(`a failure without an error code should keep errorCode null: ${uncoded.errorCode}`);
+  }
+  console.log('✓ Mock failures default to no error code');
+
+  // Raw text end tags match in any case; '&copy=' in a query string is not a character reference
+  const { data: parsed } = Browser7.extract(
+    '<a href="/p?a=1&copy=2&amp;b=3&copy;">x</a><SCRIPT>if (a </b) {}</Script><TITLE>A &amp; B</title><h1>Head</h1>',
+    { link: { selector: 'a', attribute: 'href' }, title: 'title', heading: 'h1' }
+  );
+  if (parsed.link !== '/p?a=1&copy=2&b=3©' || parsed.title !== 'A & B' || parsed.heading !== 'Head') {
+    throw new Error(`unexpected parse: ${JSON.stringify(parsed)}`);
+  }
+  const manyScripts = '<script>var x = 1;</script>'.repeat(400) + `<p>${'x'.repeat(2_000_000)}</p><h1>Late</h1>`;
+  const parseStart = Date.now();
+  if (Browser7.extract(manyScripts, { heading: 'h1' }).data.heading !== 'Late' || Date.now() - parseStart > 200) {
+    throw new Error(`parsing a large page with many scripts took ${Date.now() - parseStart} ms`);
+  }
+  console.log('✓ HTML parsing of raw text elements and attribute entities');
+
+  const scenario = Browser7.scenario().click('.cookie').waitFor('h1', { state: 'visible' }).delay(100);
+  const replayed = Browser7.Scenario.from(JSON.stringify(scenario));
+  const scripted = await mockClient.render('https://example.com/', { initialPollDelay: 0, waitFor: replayed });
+  if (replayed.length !== 3 || scripted.html !== '<h1>Mock</h1>') {
+    throw new Error(`unexpected scenario render: ${JSON.stringify(replayed)}`);
+  }
+  console.log('✓ Scenario round-trip');
+
+  server.route('https://example.com/crawl/*', { html: '<a href="/crawl/a#top">a</a><a href="https://elsewhere.test/">x</a>' });
+  const crawled = [];
+  for await (const page of mockClient.crawl('https://example.com/crawl/start', { renderOptions: { initialPollDelay: 0 } })) {
+    crawled.push(page.url);
+  }
+  if (crawled.join(' ') !== 'https://example.com/crawl/start https://example.com/crawl/a') {
+    throw new Error(`unexpected crawl: ${crawled}`);
+  }
+  console.log('✓ Crawl follows in-scope links once');
+
+  // A page rendered along with robots.txt that disallows it is reported as skipped, not dropped
+  server.route('https://example.com/mixed', { html: '<a href="https://docs.example.com/private/guide">docs</a>' });
+  server.route('https://docs.example.com/private/*', {
+    html: '<a href="/private/more">more</a>',
+    fetchResponses: [{ url: 'https://docs.example.com/robots.txt', status: 200, headers: { 'content-type': 'text/plain' }, body: 'User-agent: *\nDisallow: /private' }]
+  });
+  const mixed = [];
+  for await (const page of mockClient.crawl('https://example.com/mixed', { allowedDomains: ['example.com'], renderOptions: { initialPollDelay: 0 } })) {
+    mixed.push(`${page.url} ${page.ok} ${page.skipped ?? false}`);
+  }
+  if (mixed.join(', ') !== 'https://example.com/mixed true false, https://docs.example.com/private/guide false true') {
+    throw new Error(`unexpected crawl with robots.txt: ${mixed.join(', ')}`);
+  }
+  console.log('✓ Crawl reports pages robots.txt disallows after rendering');
+
+  // robots.txt needs a free fetchUrls slot, so a full list is rejected before any render
+  const fullFetchUrls = Array.from({ length: 10 }, (_, i) => `https://example.com/api/${i}`);
+  const rendersBeforeFull = server.requests.filter(request => request.method === 'POST').length;
+  let fullError = null;
+  try {
+    mockClient.crawl('https://example.com/full', { renderOptions: { initialPollDelay: 0, fetchUrls: fullFetchUrls } });
+  } catch (error) {
+    fullError = error;
+  }
+  if (!(fullError instanceof Browser7Error) || !fullError.message.includes('robots.txt') ||
+      server.requests.filter(request => request.method === 'POST').length !== rendersBeforeFull) {
+    throw new Error(`full fetchUrls not rejected: ${fullError}`);
+  }
+  const unchecked = [];
+  for await (const page of mockClient.crawl('https://example.com/full', { maxPages: 1, respectRobots: false, renderOptions: { initialPollDelay: 0, fetchUrls: fullFetchUrls } })) {
+    unchecked.push(page.ok);
+  }
+  if (unchecked.join() !== 'true') throw new Error(`unexpected crawl without robots.txt: ${unchecked}`);
+  console.log('✓ Crawl rejects fetchUrls with no slot left for robots.txt');
+
+  const fetched = await mockClient.render('https://example.com/', {
+    initialPollDelay: 0,
+    fetchUrls: ['https://example.com/api']
+  });
+  const [response] = fetched.fetchResponses;
+  if (response.url !== 'https://example.com/api' || typeof response.json() !== 'object') {
+    throw new Error(`unexpected fetch response: ${JSON.stringify(response)}`);
+  }
+  console.log('✓ Fetch responses decoded');
+
+  // Unknown charsets fall back to UTF-8 and are reported; `body` still holds the body as sent
+  server.route('https://example.com/klingon', {
+    html: '<meta charset="x-klingon"><h1>Qapla\'</h1>',
+    fetchResponses: [
+      { url: 'https://example.com/api', status: 200, headers: { 'content-type': 'text/plain; charset=x-klingon' }, body: Buffer.from('nuqneH') },
+      { url: 'https://example.com/text', status: 200, headers: { 'content-type': 'text/plain' }, body: 'plain' }
+    ]
+  });
+  const klingon = await mockClient.render('https://example.com/klingon', { initialPollDelay: 0, fetchUrls: ['https://example.com/api'] });
+  const [binary, plain] = klingon.fetchResponses;
+  if (klingon.html !== '<meta charset="x-klingon"><h1>Qapla\'</h1>' || binary.text() !== 'nuqneH' ||
+      klingon.decodeErrors?.map(error => error.field).join() !== 'html,fetchResponses[0].body' ||
+      binary.body !== Buffer.from('nuqneH').toString('base64') || binary.encoding !== 'base64' ||
+      plain.body !== 'plain' || plain.encoding !== undefined) {
+    throw new Error(`unexpected charset fallback: ${JSON.stringify(klingon.decodeErrors)}`);
+  }
+  console.log('✓ Unknown charsets reported, deprecated body kept');
+
+  const archiveDir = await mkdtemp(path.join(tmpdir(), 'browser7-'));
+  try {
+    const archive = new WarcWriter({ path: path.join(archiveDir, 'test.warc.gz') });
+    await archive.write(fetched, { url: 'https://example.com/', renderId: 'render_1' });
+    await archive.close();
+    const archived = [];
+    for await (const entry of Browser7.readArchive(archive.path)) archived.push(entry);
+    if (archived.length !== 1 || archived[0].result.html !== fetched.html || archived[0].result.fetchResponses[0].text() !== response.text()) {
+      throw new Error(`unexpected archive contents: ${JSON.stringify(archived)}`);
+    }
+  } finally {
+    await rm(archiveDir, { recursive: true, force: true });
+  }
+  console.log('✓ WARC archive round-trip');
+
+  const journal = new Browser7.MemoryJournal();
+  const journaled = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, journal: { store: journal } });
+  const { renderId } = await journaled.createRender('https://example.com/', { metadata: { id: 1 } });
+  const [resumed] = await journaled.resumePending();
+  await resumed.result();
+  const [entry] = await journal.list();
+  if (resumed.renderId !== renderId || resumed.metadata.id !== 1 || entry.status !== 'completed') {
+    throw new Error(`unexpected journal entry: ${JSON.stringify(entry)}`);
+  }
+  console.log('✓ Journaled render resumed');
+
+  // A render recorded while the journal file is compacted is kept
+  const journalDir = await mkdtemp(path.join(tmpdir(), 'browser7-journal-'));
+  try {
+    const fileJournal = new Browser7.FileJournal({ path: path.join(journalDir, 'journal.jsonl') });
+    const now = new Date().toISOString();
+    const pendingEntry = (renderId) => ({ renderId, url: 'https://example.com/', options: {}, status: 'pending', createdAt: now, updatedAt: now });
+    await fileJournal.add(pendingEntry('a'));
+    await Promise.all([fileJournal.compact(), fileJournal.add(pendingEntry('b'))]);
+    const kept = (await fileJournal.list()).map(entry => entry.renderId).join();
+    if (kept !== 'a,b') {
+      throw new Error(`compacting the journal lost a render: ${kept}`);
+    }
+  } finally {
+    await rm(journalDir, { recursive: true, force: true });
+  }
+  console.log('✓ Journal compaction keeps concurrent renders');
+
+  // Record live traffic, replay it offline, and keep recording after a failed save
+  const fixtureDir = await mkdtemp(path.join(tmpdir(), 'browser7-fixtures-'));
+  try {
+    const fixture = path.join(fixtureDir, 'render.json');
+    const recorder = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, recording: { mode: 'record', path: fixture } });
+    const live = await recorder.render('https://example.com/', { initialPollDelay: 0 });
+    const replayer = new Browser7({ apiKey: server.apiKey, baseUrl: `http://127.0.0.1:${closedPort}/v1`, recording: { mode: 'replay', path: fixture } });
+    const replayedRender = await replayer.render('https://example.com/', { initialPollDelay: 0 });
+    const unrecorded = await replayer.render('https://example.com/other').catch(error => error);
+    if (replayedRender.html !== live.html || replayedRender.renderId !== live.renderId ||
+        !(unrecorded instanceof Browser7Error) || !unrecorded.message.includes('Replay mismatch') ||
+        (await readFile(fixture, 'utf-8')).includes(server.apiKey)) {
+      throw new Error(`unexpected replay: ${unrecorded}`);
+    }
+
+    const blocked = path.join(fixtureDir, 'blocked');
+    await writeFile(blocked, '');
+    const unsaved = new Browser7({
+      apiKey: server.apiKey,
+      baseUrl: server.baseUrl,
+      retry: false,
+      recording: { mode: 'record', path: path.join(blocked, 'render.json') }
+    });
+    const saveFailure = await unsaved.createRender('https://example.com/').catch(error => error);
+    await rm(blocked);
+    await unsaved.createRender('https://example.com/');
+    const saved = JSON.parse(await readFile(path.join(blocked, 'render.json'), 'utf-8'));
+    if (!(saveFailure instanceof Error) || saved.interactions.length !== 2) {
+      throw new Error(`recording should resume after a failed save: ${saveFailure}`);
+    }
+  } finally {
+    await rm(fixtureDir, { recursive: true, force: true });
+  }
+  console.log('✓ Recorded renders replay offline');
+
+  const budgeted = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, budget: { maxCents: 1 } });
+  await budgeted.render('https://example.com/', { initialPollDelay: 0 });
+  const refused = await budgeted.render('https://example.com/').catch(error => error);
+  if (!(refused instanceof BudgetExceededError) || budgeted.usageReport().spentCents !== 1) {
+    throw new Error(`unexpected budget outcome: ${refused}`);
+  }
+  console.log('✓ Budget refuses renders over the limit');
+
+  // Retries: polls back off exponentially, a create the API may have accepted is not
+  // repeated, and Retry-After hints are followed up to maxDelayMs
+  const retried = [];
+  const retrying = new Browser7({
+    apiKey: server.apiKey,
+    baseUrl: server.baseUrl,
+    retry: {
+      initialDelayMs: 10,
+      factor: 3,
+      jitter: false,
+      maxDelayMs: 1000,
+      onRetry: ({ delayMs, error }) => retried.push(`${error.statusCode}:${delayMs}`)
+    }
+  });
+  server.route('https://example.com/flaky', { pollErrors: [503, 502] });
+  await retrying.render('https://example.com/flaky', { initialPollDelay: 0 });
+  server.route('https://example.com/down', { reject: { status: 503, times: 1 } });
+  const notRepeated = await retrying.createRender('https://example.com/down').catch(error => error);
+  server.route('https://example.com/busy', { reject: { status: 429, retryAfter: 0.05, times: 1 } });
+  await retrying.createRender('https://example.com/busy');
+  server.route('https://example.com/closed', { reject: { status: 429, retryAfter: 3600, times: 1 } });
+  const tooLong = await retrying.createRender('https://example.com/closed').catch(error => error);
+  if (retried.join() !== '503:10,502:30,429:50' || notRepeated.statusCode !== 503 ||
+      !(tooLong instanceof RateLimitError) || tooLong.retryAfterMs !== 3600000) {
+    throw new Error(`unexpected retries: ${retried.join()} / ${notRepeated} / ${tooLong}`);
+  }
+  console.log('✓ Retries back off and respect idempotency and Retry-After');
+
+  const userRetries = [];
+  server.route('https://example.com/flaky-again', { pollErrors: [503], reject: { status: 429, retryAfter: 0.01, times: 1 } });
+  await retrying.render('https://example.com/flaky-again', { initialPollDelay: 0, onRetry: ({ error }) => userRetries.push(error.statusCode) });
+  if (userRetries.join() !== '429,503') {
+    throw new Error(`a render's onRetry should see create and status check retries: ${userRetries.join()}`);
+  }
+  console.log('✓ Render onRetry callbacks');
+
+  // Batches: results in input order, a shared poller, 429s re-queued, and per-item progress
+  const batchServer = await createMockServer({ concurrentLimit: 2 });
+  try {
+    batchServer.route('https://example.com/batch/slow', { latency: 300, retryAfter: 0.05 });
+    batchServer.route('https://example.com/batch/fast', { html: '<h1>Fast</h1>' });
+    batchServer.route('https://example.com/batch/broken', { fail: { errorCode: 'NETWORK_ERROR', error: 'Proxy failed' } });
+    batchServer.route('https://example.com/batch/stuck', { latency: 60000, retryAfter: 0.05 });
+    const batchClient = new Browser7({ apiKey: batchServer.apiKey, baseUrl: batchServer.baseUrl });
+    const itemEvents = [];
+    const batchEvents = [];
+    let itemRetries = 0;
+    const batchResults = await batchClient.renderMany([
+      'https://example.com/batch/slow',
+      { url: 'https://example.com/batch/fast', options: { extract: { heading: 'h1' } } },
+      'https://example.com/batch/broken',
+      { url: 'https://example.com/batch/stuck', options: { maxPollAttempts: 3 } },
+      'https://example.com/batch/slow'
+    ], {
+      renderOptions: { initialPollDelay: 0, onProgress: event => itemEvents.push(event), onRetry: () => itemRetries++ },
+      onProgress: event => batchEvents.push(event)
+    });
+    const outcomes = batchResults.map(({ ok, result, error }) => ok ? 'ok' : error.errorCode).join();
+    if (outcomes !== 'ok,ok,NETWORK_ERROR,RENDER_TIMEOUT,ok' || batchResults[1].result.extracted.data.heading !== 'Fast' ||
+        itemEvents.length !== batchEvents.length || itemEvents.some(event => 'index' in event) ||
+        itemEvents.filter(event => event.type === 'completed').length !== 3 ||
+        !batchEvents.some(event => event.type === 'retry' && event.error instanceof RateLimitError) ||
+        itemRetries !== batchEvents.filter(event => event.type === 'retry').length) {
+      throw new Error(`unexpected batch: ${outcomes} / ${itemEvents.length} events`);
+    }
+  } finally {
+    await batchServer.close();
+  }
+  console.log('✓ Batch renders share a poller and report per-item progress');
+
+  // Concurrent renders all wait for the same balance check, and still stop at the limits
+  const concurrentOutcomes = async (budget) => {
+    const account = await createMockServer({ balanceCents: 10 });
+    try {
+      const client = new Browser7({ apiKey: account.apiKey, baseUrl: account.baseUrl, budget });
+      const settled = await Promise.allSettled(Array.from({ length: 6 }, () => client.createRender('https://example.com/')));
+      return settled.map(({ status, reason }) => status === 'fulfilled' ? 'created' : reason.limit).sort().join();
+    } finally {
+      await account.close();
+    }
+  };
+  const capped = await concurrentOutcomes({ maxCents: 2, minBalanceCents: 0 });
+  const floored = await concurrentOutcomes({ minBalanceCents: 7 });
+  if (capped !== 'created,created,maxCents,maxCents,maxCents,maxCents' ||
+      floored !== 'created,created,created,minBalanceCents,minBalanceCents,minBalanceCents') {
+    throw new Error(`unexpected concurrent budget outcomes: ${capped} / ${floored}`);
+  }
+  console.log('✓ Budget holds under concurrent renders');
+
+  // Cached renders: hits, TTL expiry, coalescing only on matching job options, and
+  // cancelling a shared render once every caller has given up
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const cachePosts = (url) => server.requests.filter(request => request.method === 'POST' && request.body?.url === url).length;
+  const cached = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, cache: { ttl: 300 } });
+  server.route('https://example.com/cached', { html: '<h1>Cached</h1>' });
+  const [firstCached, coalesced] = await Promise.all([
+    cached.render('https://example.com/cached', { initialPollDelay: 0 }),
+    cached.render('https://example.com/cached', { initialPollDelay: 0 })
+  ]);
+  const hit = await cached.render('https://example.com/cached', { initialPollDelay: 0 });
+  if (cachePosts('https://example.com/cached') !== 1 || firstCached.fromCache || coalesced.renderId !== firstCached.renderId ||
+      !hit.fromCache || hit.html !== '<h1>Cached</h1>') {
+    throw new Error(`unexpected cache hits: ${cachePosts('https://example.com/cached')} renders`);
+  }
+  await sleep(350);
+  await Promise.all([
+    cached.render('https://example.com/cached', { initialPollDelay: 0 }),
+    cached.render('https://example.com/cached', { initialPollDelay: 0, maxPollAttempts: 5 })
+  ]);
+  if (cachePosts('https://example.com/cached') !== 3) {
+    throw new Error(`expired entries and differing poll options should render again: ${cachePosts('https://example.com/cached')} renders`);
+  }
+  server.route('https://example.com/cached/slow', { latency: 5000 });
+  const abandoned = ['first', 'second'].map(() =>
+    cached.render('https://example.com/cached/slow', { signal: AbortSignal.timeout(100) }).catch(error => error)
+  );
+  await sleep(20);
+  const [{ job: sharedJob }] = cached.cache._inflight.values();
+  const [firstAbandoned, secondAbandoned] = await Promise.all(abandoned);
+  const sharedOutcome = await sharedJob.result().catch(error => error);
+  if (!(firstAbandoned instanceof AbortError) || !(secondAbandoned instanceof AbortError) ||
+      !(sharedOutcome instanceof AbortError) || cached.cache._inflight.size !== 0) {
+    throw new Error(`an abandoned shared render should be cancelled: ${sharedOutcome}`);
+  }
+  console.log('✓ Cache hits, expiry, coalescing and cancellation');
+
+  const lru = new Browser7.MemoryCache({ maxEntries: 2 });
+  await lru.set('a', 1, 60000);
+  await lru.set('b', 2, 60000);
+  await lru.get('a');
+  await lru.set('c', 3, 60000);
+  if (await lru.get('a') !== 1 || await lru.get('b') !== undefined || await lru.get('c') !== 3) {
+    throw new Error('MemoryCache should evict the least recently used entry');
+  }
+  const cacheDir = await mkdtemp(path.join(tmpdir(), 'browser7-cache-'));
+  try {
+    const files = new Browser7.FileCache({ directory: cacheDir });
+    await files.set('short', { value: 1 }, 50);
+    await files.set('long', { value: 2 }, 60000);
+    await sleep(100);
+    if (await files.get('short') !== undefined || (await files.get('long'))?.value !== 2) {
+      throw new Error('FileCache should expire entries after their TTL');
+    }
+    const writer = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, cache: { store: new Browser7.FileCache({ directory: cacheDir }) } });
+    const reader = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, cache: { store: new Browser7.FileCache({ directory: cacheDir }) } });
+    await writer.render('https://example.com/cached', { initialPollDelay: 0 });
+    await sleep(100);
+    const shared = await reader.render('https://example.com/cached', { initialPollDelay: 0 });
+    if (!shared.fromCache || shared.html !== '<h1>Cached</h1>') {
+      throw new Error('FileCache entries should be shared between clients');
+    }
+    await writer.render('https://example.com/cached', {
+      initialPollDelay: 0,
+      webhookUrl: `http://127.0.0.1:${closedPort}/hook`,
+      webhookSecret: 'whsec_do_not_store'
+    });
+    await sleep(100);
+    for (const name of await readdir(cacheDir)) {
+      if ((await readFile(path.join(cacheDir, name), 'utf-8')).includes('whsec_do_not_store')) {
+        throw new Error('FileCache should not write webhook secrets to disk');
+      }
+    }
+  } finally {
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+  console.log('✓ MemoryCache evicts by LRU, FileCache expires and shares entries');
+
+  const logged = [];
+  const observed = new Browser7({
+    apiKey: server.apiKey,
+    baseUrl: server.baseUrl,
+    logger: { debug: (message, fields) => logged.push(message, JSON.stringify(fields ?? {})) }
+  });
+  const statuses = [];
+  observed.use({ onResponse: request => statuses.push(request.status) });
+  await observed.render('https://example.com/', { initialPollDelay: 0 });
+  if (statuses[0] !== 200 || logged.length === 0 || logged.some(line => line.includes(server.apiKey))) {
+    throw new Error(`unexpected interceptor or log output: ${statuses}`);
+  }
+  console.log('✓ Interceptors and redacted logging');
+
+  server.route('https://example.com/monitor', { html: '<p>In stock</p>' });
+  const monitor = mockClient.monitor('https://example.com/monitor', { renderOptions: { initialPollDelay: 0 } });
+  await monitor.check();
+  server.route('https://example.com/monitor', { html: '<p>Sold out</p>' });
+  const { changed, diff } = await monitor.check();
+  monitor.stop();
+  if (!changed || diff.lines.map(line => `${line.type} ${line.text}`).join(', ') !== 'removed In stock, added Sold out') {
+    throw new Error(`unexpected monitor diff: ${JSON.stringify(diff)}`);
+  }
+  console.log('✓ Monitor reports changes');
+
+  const comparison = await mockClient.renderAcrossGeos('https://example.com/', ['US', { countryCode: 'GB', city: 'london' }], {
+    renderOptions: { initialPollDelay: 0 }
+  });
+  const [us, gb] = comparison.geos;
+  if (!comparison.identical || comparison.baseline !== 'US' || us.cityMatched !== null || gb.cityMatched !== false) {
+    throw new Error(`unexpected geo comparison: ${JSON.stringify(comparison.geos.map(geo => geo.label))}`);
+  }
+  console.log('✓ Geo comparison');
+
+  // A bad selector fails before any geo is rendered
+  const rendersBeforeGeo = server.requests.filter(request => request.method === 'POST').length;
+  const badGeo = await mockClient.renderAcrossGeos('https://example.com/', ['US', 'GB'], { ignore: ['div['] }).catch(error => error);
+  if (!(badGeo instanceof Browser7Error) || !badGeo.message.startsWith('Invalid geo comparison selector') ||
+      server.requests.filter(request => request.method === 'POST').length !== rendersBeforeGeo) {
+    throw new Error(`bad geo selector not rejected up front: ${badGeo}`);
+  }
+  console.log('✓ Geo comparison rejects bad selectors before rendering');
+
+  const pooled = new Browser7({
+    apiKey: [{ key: 'revoked_key', label: 'old' }, { key: server.apiKey, label: 'current' }],
+    baseUrl: server.baseUrl,
+    retry: false
+  });
+  const pooledResult = await pooled.render('https://example.com/', { initialPollDelay: 0 });
+  const [old, current] = pooled.keyStatus();
+  if (pooledResult.status !== 'completed' || !old.ejectedUntil || current.created !== 1 || current.inFlight !== 0) {
+    throw new Error(`unexpected key pool status: ${JSON.stringify(pooled.keyStatus())}`);
+  }
+  console.log('✓ API key pool fails over');
+
+  // A render nobody polls holds its key's slot only until the slot expires
+  const limited = new Browser7({
+    apiKey: [{ key: server.apiKey, label: 'only', maxConcurrent: 1 }],
+    baseUrl: server.baseUrl,
+    retry: false
+  });
+  await limited.createRender('https://example.com/');
+  for (const held of limited.keyPool._slots.values()) held.since -= 10 * 60 * 1000 - 50;
+  const waited = await limited.createRender('https://example.com/', { signal: AbortSignal.timeout(5000) });
+  if (!waited.renderId || limited.keyPool._waiters.size !== 0) {
+    throw new Error('a render waiting for a key should wake when an abandoned slot expires');
+  }
+  console.log('✓ API key pool reclaims abandoned slots');
+
+  // CLI: argument errors come before credentials, and each failure has its exit code
+  const cliEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('BROWSER7_')));
+  const cli = (...args) => new Promise(resolve => {
+    execFile(process.execPath, [path.join(import.meta.dirname, '../dist/cli.mjs'), ...args], { env: cliEnv, timeout: 30000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+  const cliDir = await mkdtemp(path.join(tmpdir(), 'browser7-cli-'));
+  try {
+    const apiOptions = ['--api-key', server.apiKey, '--base-url', server.baseUrl];
+    const batchFile = path.join(cliDir, 'urls.txt');
+    await writeFile(batchFile, '# renders\n\nhttps://example.com/\n{"url": "https://example.com/",\n');
+    const cliCases = [
+      [[], 2, ''],
+      [['render'], 2, 'Usage: browser7 render <url>'],
+      [['batch', ...apiOptions], 2, 'Usage: browser7 batch <file>'],
+      [['render', 'https://example.com/'], 2, 'An API key is required'],
+      [['render', 'https://example.com/', '--colour', 'red'], 2, 'Unknown option: --colour'],
+      [['render', 'https://example.com/', '--timeout', 'soon'], 2, '--timeout expects a number'],
+      [['launch'], 2, 'Unknown command: launch'],
+      [['batch', batchFile, ...apiOptions], 2, `Invalid JSON on line 4 of ${batchFile}`],
+      [['render', 'https://example.com/', '--api-key', 'wrong_key', '--base-url', server.baseUrl], 3, ''],
+      [['render', 'https://example.com/', '-c', 'us', ...apiOptions], 4, 'countryCode'],
+      [['render', 'https://example.com/', '-o', '-', ...apiOptions], 0, '']
+    ];
+    for (const [args, code, message] of cliCases) {
+      const run = await cli(...args);
+      if (run.code !== code || !run.stderr.includes(message)) {
+        throw new Error(`browser7 ${args.join(' ')} exited with ${run.code}: ${run.stderr}`);
+      }
+      if (code === 0 && run.stdout !== '<h1>Mock</h1>') {
+        throw new Error(`unexpected CLI output: ${run.stdout}`);
+      }
+    }
+    const noScreenshot = await cli('render', 'https://example.com/', '--no-screenshot', '--screenshot-output', path.join(cliDir, 'page.jpg'), ...apiOptions);
+    if (noScreenshot.code !== 0 || !noScreenshot.stderr.includes('no screenshot')) {
+      throw new Error(`a missing screenshot should be reported: ${noScreenshot.stderr}`);
+    }
+  } finally {
+    await rm(cliDir, { recursive: true, force: true });
+  }
+  console.log('✓ CLI exit codes and argument errors');
+
+  const configDir = await mkdtemp(path.join(tmpdir(), 'browser7-config-'));
+  const configFile = path.join(configDir, 'browser7.config.json');
+  await writeFile(configFile, JSON.stringify({
+    defaults: { blockImages: false, waitFor: [{ type: 'click', selector: '.cookie-accept' }] },
+    profiles: { 'uk-retail': { apiKey: server.apiKey, baseUrl: server.baseUrl, defaults: { countryCode: 'GB' } } }
+  }));
+  try {
+    const configured = new Browser7({ configFile, profile: 'uk-retail' });
+    await configured.render('https://example.com/', { initialPollDelay: 0, waitFor: [Browser7.waitForDelay(500)] });
+    await configured.render('https://example.com/', { initialPollDelay: 0, countryCode: 'US', waitFor: [], waitForMerge: 'replace' });
+    const [appended, replaced] = server.requests
+      .filter(request => request.method === 'POST' && request.path === '/renders')
+      .slice(-2)
+      .map(request => request.body);
+    if (appended.countryCode !== 'GB' || appended.blockImages !== false || appended.waitFor.map(action => action.type).join() !== 'click,delay' ||
+        replaced.countryCode !== 'US' || replaced.waitFor.length !== 0 || 'waitForMerge' in replaced) {
+      throw new Error(`unexpected payloads: ${JSON.stringify([appended, replaced])}`);
+    }
+    try {
+      new Browser7({ configFile, profile: 'us-captcha' });
+      throw new Error('an unknown profile should be rejected');
+    } catch (error) {
+      if (!(error instanceof Browser7Error) || !error.message.includes('uk-retail')) throw error;
+    }
+
+    // browser7.config.json in the working directory is only read when named, and the environment beats profiles
+    const workingDirectory = process.cwd();
+    process.chdir(configDir);
+    process.env.BROWSER7_API_KEY = 'env_key';
+    try {
+      const unconfigured = new Browser7();
+      const fromEnvironment = new Browser7({ configFile, profile: 'uk-retail' });
+      if (unconfigured.defaults !== null || fromEnvironment.apiKey !== 'env_key' || fromEnvironment.defaults.countryCode !== 'GB') {
+        throw new Error(`unexpected config precedence: ${JSON.stringify([unconfigured.defaults, fromEnvironment.apiKey])}`);
+      }
+    } finally {
+      process.chdir(workingDirectory);
+      delete process.env.BROWSER7_API_KEY;
+    }
+  } finally {
+    await rm(configDir, { recursive: true, force: true });
+  }
+  console.log('✓ Config file profiles and render defaults');
+} catch (error) {
+  console.error('❌ Mock server render failed:', error.message);
+  process.exit(1);
+} finally {
+  await server.close();
+}
+
+// Regions: 'eu' is in maintenance, 'ca' refuses connections, 'sg' and 'us' answer
+const [directory, singapore, unitedStates] = await Promise.all([createMockServer(), createMockServer(), createMockServer()]);
+directory.regions = [
+  { code: 'eu', name: 'Europe', status: 'maintenance', endpoint: directory.baseUrl },
+  { code: 'ca', name: 'Canada', status: 'active', endpoint: `http://127.0.0.1:${closedPort}/v1` },
+  { code: 'sg', name: 'Singapore', status: 'active', endpoint: singapore.baseUrl },
+  { code: 'us', name: 'United States', status: 'active', endpoint: unitedStates.baseUrl }
+];
+try {
+  const regional = new Browser7({ apiKey: directory.apiKey, baseUrl: directory.baseUrl, region: 'ca', retry: false });
+  const codes = (await regional.regionRouter.candidates()).map(({ code }) => code);
+  if (codes.join() !== 'ca,sg,us') {
+    throw new Error(`unexpected candidate regions: ${codes}`);
+  }
+  try {
+    await regional.createRender('https://example.com/', { region: 'mars' });
+    throw new Error('an unknown region should be rejected');
+  } catch (error) {
+    if (!(error instanceof Browser7Error) || !error.message.includes('mars')) throw error;
+  }
+  console.log('✓ Regions resolved, skipping those in maintenance');
+
+  // Nothing reached Canada, so creating the render moves on to Singapore, and polling stays there
+  const regionalResult = await regional.render('https://example.com/', { initialPollDelay: 0 });
+  const singaporeCalls = singapore.requests.map(({ method, path }) => `${method} ${path}`);
+  if (regionalResult.status !== 'completed' || singaporeCalls[0] !== 'POST /renders' ||
+      !singaporeCalls.slice(1).every(call => call.startsWith('GET /renders/')) ||
+      unitedStates.requests.length !== 0 || directory.requests.some(({ path }) => path.startsWith('/renders'))) {
+    throw new Error(`unexpected regional requests: ${JSON.stringify(singaporeCalls)}`);
+  }
+  // Another client preferring 'us' finds the render through the region it was created in
+  const { renderId: regionalId, region: createdIn } = await regional.createRender('https://example.com/');
+  const elsewhere = new Browser7({ apiKey: directory.apiKey, baseUrl: directory.baseUrl, region: 'us' });
+  await elsewhere.getRender(regionalId, { region: createdIn });
+  if (createdIn !== 'sg' || unitedStates.requests.length !== 0) {
+    throw new Error(`render should be created in and polled from sg, not ${createdIn}`);
+  }
+  console.log('✓ Region failover, with polling pinned to the creating region');
+
+  // A create request that reached the API is not sent to another region
+  singapore.route('https://example.com/unavailable', { reject: { status: 503 } });
+  const requestsBefore = unitedStates.requests.length;
+  try {
+    await new Browser7({ apiKey: directory.apiKey, baseUrl: directory.baseUrl, region: 'sg', retry: false })
+      .createRender('https://example.com/unavailable');
+    throw new Error('the 503 should be thrown');
+  } catch (error) {
+    if (error.statusCode !== 503 || unitedStates.requests.length !== requestsBefore) throw error;
+  }
+  // A 429 is the account's limit, not a sick region: no failover, and the region stays in use
+  singapore.route('https://example.com/busy', { reject: { status: 429, retryAfter: 0, times: 1 } });
+  const limitedRegion = new Browser7({ apiKey: directory.apiKey, baseUrl: directory.baseUrl, region: 'sg', retry: false });
+  const busy = await limitedRegion.createRender('https://example.com/busy').catch(error => error);
+  const { region: afterLimit } = await limitedRegion.createRender('https://example.com/busy');
+  if (!(busy instanceof RateLimitError) || unitedStates.requests.length !== requestsBefore || afterLimit !== 'sg') {
+    throw new Error(`a 429 should not fail over or bench the region: ${busy} / ${afterLimit}`);
+  }
+  console.log('✓ Render creation only fails over when the API did not accept it');
+} catch (error) {
+  console.error('❌ Region routing failed:', error.message);
+  process.exit(1);
+} finally {
+  await Promise.all([directory.close(), singapore.close(), unitedStates.close()]);
+}
+
 try {
   const client = new Browser7({ apiKey: 'test_key' });
   console.log('✓ Client instantiation successful');
   console.log('✓ Client has render method:', typeof client.render);
+  console.log('✓ Client has renderMany method:', typeof client.renderMany);
+  console.log('✓ Client has startRender method:', typeof client.startRender);
   console.log('\n✅ ESM test passed!');
 } catch (error) {
   console.error('❌ ESM test failed:', error.message);
@@ -0,0 +1,108 @@
+// Test the web-standard build (as used by Deno, Cloudflare Workers and browsers) under Node
+import Browser7, {
+  Browser7Error,
+  NetworkError,
+  AuthenticationError,
+  ValidationError,
+  RateLimitError,
+  InsufficientBalanceError,
+  BudgetExceededError,
+  RenderError,
+  DecodeError,
+  WebhookVerificationError,
+  AbortError,
+  TimeoutError,
+  FileCache
+} from '../dist/web.mjs';
+import { createMockServer, signWebhook } from '../dist/testing.mjs';
+import { readFile } from 'fs/promises';
+
+console.log('✓ Web import successful');
+
+// The web build must not pull in any Node.js built-in
+const source = await readFile(new URL('../dist/web.mjs', import.meta.url), 'utf-8');
+const builtin = /(?:from\s*|import\(\s*|require\(\s*)["'](?:node:)?(?:fs|path|zlib|crypto|events|stream|util|string_decoder|os|http|https)(?:\/[\w]+)?["']/.exec(source);
+if (builtin) {
+  console.error(`❌ Web build imports a Node.js built-in: ${builtin[0]}`);
+  process.exit(1);
+}
+console.log('✓ No Node.js built-ins in the web build');
+
+const errorClasses = { Browser7Error, NetworkError, AuthenticationError, ValidationError, RateLimitError, InsufficientBalanceError, BudgetExceededError, RenderError, DecodeError, WebhookVerificationError, AbortError, TimeoutError };
+for (const [name, cls] of Object.entries(errorClasses)) {
+  if (typeof cls !== 'function' || Browser7[name] !== cls || !(new cls('test') instanceof Error)) {
+    console.error(`❌ ${name} should be exported as in the Node.js build`);
+    process.exit(1);
+  }
+}
+console.log('✓ Error classes exported');
+
+// Signatures from the Node.js crypto module must verify with the web build's SHA-256
+const webhookBody = JSON.stringify({ type: 'render.completed', renderId: 'r1', data: { status: 'completed', note: 'naïve ✓' } });
+const longSecret = 'x'.repeat(100);
+for (const secret of ['secret', longSecret]) {
+  const headers = { 'browser7-signature': signWebhook(webhookBody, secret) };
+  if (Browser7.verifyWebhook(new TextEncoder().encode(webhookBody), headers, secret).renderId !== 'r1') {
+    console.error('❌ verifyWebhook should return the parsed body');
+    process.exit(1);
+  }
+}
+console.log('✓ Webhook signature verified');
+
+try {
+  new FileCache({ directory: 'cache' });
+  console.error('❌ FileCache should need a file system');
+  process.exit(1);
+} catch (error) {
+  if (!(error instanceof Browser7Error)) throw error;
+}
+console.log('✓ File stores refused');
+
+const server = await createMockServer();
+server.route('https://example.com/', {
+  html: '<h1>Mock ✓</h1>',
+  fetchResponses: [{ url: 'https://example.com/logo.png', status: 200, headers: { 'content-type': 'image/png' }, body: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }]
+});
+try {
+  const client = new Browser7({ apiKey: server.apiKey, baseUrl: server.baseUrl, cache: true });
+  const events = [];
+  const job = client.startRender('https://example.com/', { initialPollDelay: 0, fetchUrls: ['https://example.com/logo.png'] });
+  job.on('progress', event => events.push(event.type));
+  const result = await job.result();
+  const [logo] = result.fetchResponses;
+  const bytes = logo.buffer();
+  if (result.html !== '<h1>Mock ✓</h1>' || Buffer.isBuffer(bytes) || bytes.join() !== '137,80,78,71' || !events.includes('completed')) {
+    throw new Error(`unexpected result: ${JSON.stringify({ html: result.html, events })}`);
+  }
+  if (JSON.stringify(logo) !== JSON.stringify({ ...logo.toJSON(), body: 'iVBORw==', encoding: 'base64' })) {
+    throw new Error(`unexpected serialized response: ${JSON.stringify(logo)}`);
+  }
+  console.log('✓ Mock server render decoded with web APIs');
+
+  await client.render('https://example.com/', { initialPollDelay: 0 });
+  const cached = await client.render('https://example.com/', { initialPollDelay: 0 });
+  if (cached.html !== '<h1>Mock ✓</h1>' || client.usageReport().renders.created !== 2) {
+    throw new Error(`unexpected cache behaviour: ${JSON.stringify(client.usageReport().renders)}`);
+  }
+  console.log('✓ Memory cache');
+
+  server.route('https://example.com/monitor', { html: '<p>In stock</p>' });
+  const monitor = client.monitor('https://example.com/monitor', { renderOptions: { initialPollDelay: 0 } });
+  const changes = [];
+  monitor.on('changed', ({ diff }) => changes.push(diff.summary));
+  await monitor.check();
+  server.route('https://example.com/monitor', { html: '<p>Sold out</p>' });
+  await monitor.check();
+  monitor.stop();
+  if (changes.length !== 1) {
+    throw new Error(`unexpected monitor events: ${JSON.stringify(changes)}`);
+  }
+  console.log('✓ Monitor events');
+} catch (error) {
+  console.error('❌ Web build render failed:', error.message);
+  process.exit(1);
+} finally {
+  await server.close();
+}
+
+console.log('\n✅ Web test passed!');
@@ -1,26 +1,39 @@
 import { defineConfig } from 'tsup';
 import { readFileSync } from 'fs';
+import path from 'path';
 
 // Read package.json for version injection
 const packageJson = JSON.parse(readFileSync('./package.json', 'utf-8'));
 
-export default defineConfig({
-  entry: ['src/index.js'],
+const define = {
+  // Inject package version at build time
+  __PACKAGE_VERSION__: JSON.stringify(packageJson.version)
+};
+
+// The web build swaps the Node.js runtime module for its web-standard counterpart
+const webRuntime = {
+  name: 'web-runtime',
+  setup(build) {
+    build.onResolve({ filter: /^\.\/runtime\.js$/ }, args => ({
+      path: path.join(args.resolveDir, 'runtime-web.js')
+    }));
+  }
+};
+
+export default defineConfig([{
+  entry: ['src/index.js', 'src/testing.js'],
   format: ['esm', 'cjs'],
   dts: false, // No TypeScript definitions (pure JS)
   splitting: false,
   sourcemap: false,
-  clean: true,
+  clean: ['!cli.mjs', '!web.mjs'], // The CLI and web builds come from the configs below
   outDir: 'dist',
   outExtension({ format }) {
     return {
       js: format === 'cjs' ? '.cjs' : '.mjs'
     };
   },
-  define: {
-    // Inject package version at build time
-    __PACKAGE_VERSION__: JSON.stringify(packageJson.version)
-  },
+  define,
   esbuildOptions(options, context) {
     // Fix CJS default export to work with require()
     if (context.format === 'cjs') {
@@ -29,4 +42,34 @@ export default defineConfig({
       };
     }
   }
-});
+}, {
+  // Command-line tool (ESM only, shebang preserved from the source)
+  entry: ['src/cli.js'],
+  format: ['esm'],
+  dts: false,
+  splitting: false,
+  sourcemap: false,
+  clean: false,
+  outDir: 'dist',
+  outExtension() {
+    return { js: '.mjs' };
+  },
+  define
+}, {
+  // Web-standard build for Deno, Cloudflare Workers and browsers (ESM only).
+  // The browser platform makes esbuild fail on any Node.js built-in that slips in.
+  entry: { web: 'src/index.js' },
+  format: ['esm'],
+  platform: 'browser',
+  target: 'es2022',
+  dts: false,
+  splitting: false,
+  sourcemap: false,
+  clean: false,
+  outDir: 'dist',
+  outExtension() {
+    return { js: '.mjs' };
+  },
+  define,
+  esbuildPlugins: [webRuntime]
+}]);